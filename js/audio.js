@@ -7,7 +7,9 @@
 const audio = {
     enabled: true,
     volume: 50,           // 0-100
-    crowdEnabled: true
+    crowdEnabled: true,
+    listenerDistance: 0,  // Metres from the firing site (0 = off)
+    distanceWhileEditing: true // Exports always hear the distance
 };
 
 // Audio context and nodes
@@ -34,6 +36,33 @@ const SOUND_FILES = {
 // Track if we're using synthetic sounds (fallback)
 let useSynthetic = true;
 
+// Ground effects have no recordings: they're always synthesized, and the
+// fountain hiss lasts as long as the effect burns
+const SYNTH_ONLY_SOUNDS = ['fountain', 'mine', 'candle'];
+
+// Sound effect voices playing or scheduled, for the performance HUD and
+// for cancelling late (delayed) sounds: [{ start, end, output }] in
+// context time, output being the voice's last node before the master bus
+let audioVoices = [];
+// Synthesized sounds last about this long
+const SYNTH_VOICE_SECONDS = { whoosh: 0.6, boom1: 1.4, boom2: 1.4, boom3: 1.4, crackle: 0.5, crowdCheer: 1.5, mine: 0.6, candle: 0.2 };
+
+// Sound over distance: the stage's scale (classic pixels, so the high
+// burst height is about 210 m up), the speed of sound, the distance a
+// sound is heard at full volume, and how quickly air dulls it
+const SOUND_METRES_PER_PX = 0.7;
+const SPEED_OF_SOUND = 343; // m/s
+const SOUND_REFERENCE_DISTANCE = 200; // m
+const SOUND_AIR_DULLING = 600; // m for the lowpass to fall by a factor of e
+
+// Offline capture: while set, sounds are recorded as cues on the capture
+// clock instead of played (see startAudioCapture)
+let audioCapture = null;
+
+// Set while renderCapturedAudio queues cues on the offline context, whose
+// clock the performance HUD's voice list must not mix with the live one
+let audioRenderingOffline = false;
+
 /**
  * Initialize the audio system
  */
@@ -184,6 +213,29 @@ function initAudioUI() {
         });
     }
 
+    // Listener distance
+    const distanceSlider = document.getElementById('listener-distance');
+    const distanceLabel = document.getElementById('listener-distance-label');
+    if (distanceSlider) {
+        distanceSlider.value = audio.listenerDistance;
+        if (distanceLabel) distanceLabel.textContent = describeListenerDistance();
+
+        distanceSlider.addEventListener('input', function() {
+            audio.listenerDistance = parseInt(this.value);
+            if (distanceLabel) distanceLabel.textContent = describeListenerDistance();
+            if (typeof markDirty === 'function') markDirty();
+        });
+    }
+
+    const distanceLive = document.getElementById('distance-while-editing');
+    if (distanceLive) {
+        distanceLive.checked = audio.distanceWhileEditing;
+        distanceLive.addEventListener('change', function() {
+            audio.distanceWhileEditing = this.checked;
+            if (typeof markDirty === 'function') markDirty();
+        });
+    }
+
     // Initial visibility of sound controls
     if (soundControls.length > 0) {
         soundControls.forEach(el => {
@@ -194,8 +246,11 @@ function initAudioUI() {
 
 /**
  * Play a sound effect
- * @param {string} name - Sound name (whoosh, boom1, boom2, boom3, crackle, crowdCheer)
+ * @param {string} name - Sound name (whoosh, boom1, boom2, boom3, crackle,
+ *   crowdCheer, or the ground effects: fountain, mine, candle)
  * @param {number} volumeMultiplier - Volume multiplier (0-1)
+ * @param {Object} spatial - Optional { x, y, rate, delay, duration } (seconds;
+ *   duration is how long a sustained sound like a fountain lasts)
  */
 function playSound(name, volumeMultiplier = 1.0, spatial = null) {
     if (window.PREVIEW_MUTED) return; // Silent during offscreen preview renders
@@ -212,32 +267,111 @@ function playSound(name, volumeMultiplier = 1.0, spatial = null) {
     let pan = 0;
     let muffleHz = null;
     let rate = (spatial && spatial.rate) || 1;
+    let length = (spatial && spatial.duration) || 0;
+    let delay = (spatial && spatial.delay) || 0;
+
+    // Slow motion slows the sound too (and stretches sustained ones)
+    let timeScale = 1;
+    if (typeof show !== 'undefined' && show && typeof show.getTimeScale === 'function') {
+        timeScale = show.getTimeScale();
+        rate *= timeScale;
+        length /= timeScale;
+    }
+
     if (spatial) {
         if (typeof spatial.x === 'number') {
-            pan = Math.max(-0.6, Math.min(0.6, ((spatial.x - 400) / 400) * 0.75));
+            const half = LOGIC_WIDTH / 2;
+            pan = Math.max(-0.6, Math.min(0.6, ((spatial.x - half) / half) * 0.75));
         }
-        if (typeof spatial.y === 'number') {
-            const altitude = Math.max(0, Math.min(1, (455 - spatial.y) / 455));
+        if (typeof spatial.x === 'number' && isSoundDistanceActive()) {
+            // Heard from the audience: late by the time sound takes to
+            // get there, quieter and duller the farther it travels
+            const metres = getSoundDistance(spatial.x, spatial.y);
+            delay += metres / SPEED_OF_SOUND / timeScale;
+            volume *= Math.min(1, Math.pow(SOUND_REFERENCE_DISTANCE / metres, 0.7));
+            muffleHz = Math.max(800, 18000 * Math.exp(-metres / SOUND_AIR_DULLING));
+        } else if (typeof spatial.y === 'number') {
+            const horizon = stageY(SCENERY_HORIZON_Y);
+            const altitude = Math.max(0, Math.min(1, (horizon - spatial.y) / horizon));
             volume *= 1 - altitude * 0.25;
             muffleHz = 13000 - altitude * 7500;
         }
     }
 
-    if (useSynthetic) {
-        playSyntheticSound(name, volume);
+    // Offline render: note the cue, it's mixed in after the frames are done
+    if (audioCapture) {
+        audioCapture.cues.push({
+            name: name, time: audioCapture.clock() + delay,
+            volume: volume, pan: pan, muffleHz: muffleHz, rate: rate, length: length
+        });
+        return;
+    }
+
+    const when = delay > 0 ? audioContext.currentTime + delay : 0;
+    if (useSynthetic || SYNTH_ONLY_SOUNDS.includes(name)) {
+        playSyntheticSound(name, volume, when, length, rate, muffleHz);
     } else {
-        playBufferedSound(name, volume, pan, muffleHz, rate);
+        playBufferedSound(name, volume, pan, muffleHz, rate, when);
     }
 }
 
+/**
+ * Silence sounds scheduled to start later (distance-delayed booms and
+ * cheers), so they don't go off after a pause or from before a seek
+ */
+function cancelScheduledSounds() {
+    if (!audioContext) return;
+    const now = audioContext.currentTime;
+    audioVoices = audioVoices.filter(v => {
+        if (v.start <= now || !v.output) return true;
+        v.output.disconnect();
+        return false;
+    });
+}
+
+/**
+ * Whether sounds are heard from the listener distance: always in exports,
+ * and while editing unless turned off there
+ */
+function isSoundDistanceActive() {
+    if (audio.listenerDistance <= 0) return false;
+    if (audio.distanceWhileEditing) return true;
+    return audioCapture !== null || (typeof videoExport !== 'undefined' && videoExport.recording);
+}
+
+/**
+ * Metres from the listener (standing audio.listenerDistance in front of
+ * the middle of the site, at ground level) to a point on the stage
+ * @param {number} x - Logical x
+ * @param {number} [y] - Logical y (default: on the ground)
+ */
+function getSoundDistance(x, y) {
+    const across = (x - LOGIC_WIDTH / 2) * SOUND_METRES_PER_PX;
+    const up = typeof y === 'number'
+        ? Math.max(0, stageY(CLASSIC_GROUND_Y) - y) / getStageSkyScale() * SOUND_METRES_PER_PX
+        : 0;
+    return Math.hypot(audio.listenerDistance, across, up);
+}
+
+/**
+ * Label for the listener distance setting: the distance and how late a
+ * mid-height burst is heard there
+ */
+function describeListenerDistance() {
+    if (audio.listenerDistance <= 0) return 'Off';
+    const delay = getSoundDistance(LOGIC_WIDTH / 2, stageY(HEIGHT_CONFIGS.medium.burstY)) / SPEED_OF_SOUND;
+    return `${audio.listenerDistance} m (${delay.toFixed(1)}s)`;
+}
+
 /**
  * Play a buffered (MP3) sound with optional pan and lowpass muffle
+ * @param {number} when - Context time to start at (0 = now)
  */
-function playBufferedSound(name, volumeMultiplier, pan = 0, muffleHz = null, rate = 1) {
+function playBufferedSound(name, volumeMultiplier, pan = 0, muffleHz = null, rate = 1, when = 0) {
     const buffer = soundCache[name];
     if (!buffer) {
         // Fallback to synthetic
-        playSyntheticSound(name, volumeMultiplier);
+        playSyntheticSound(name, volumeMultiplier, when, 0, rate, muffleHz);
         return;
     }
 
@@ -267,41 +401,88 @@ function playBufferedSound(name, volumeMultiplier, pan = 0, muffleHz = null, rat
     }
     out.connect(masterGain);
 
-    source.start(0);
+    source.start(when);
+    trackAudioVoice(when || audioContext.currentTime, buffer.duration / rate, out);
 }
 
 /**
  * Play a synthetic sound using Web Audio API
+ * @param {number} when - Context time to start at (0 = now)
+ * @param {number} length - Seconds a sustained sound lasts (fountains)
+ * @param {number} rate - Pitch multiplier (ground effects only)
+ * @param {number} muffleHz - Optional lowpass cutoff, as for buffered sounds
  */
-function playSyntheticSound(name, volumeMultiplier) {
-    const now = audioContext.currentTime;
+function playSyntheticSound(name, volumeMultiplier, when = 0, length = 0, rate = 1, muffleHz = null) {
+    const now = Math.max(when, audioContext.currentTime);
+
+    // voice -> bus -> [lowpass] -> master (or the crowd bus for cheers)
+    const bus = audioContext.createGain();
+    const target = name === 'crowdCheer' ? crowdGain : masterGain;
+    if (muffleHz && typeof audioContext.createBiquadFilter === 'function') {
+        const filter = audioContext.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = muffleHz;
+        bus.connect(filter);
+        filter.connect(target);
+    } else {
+        bus.connect(target);
+    }
+    trackAudioVoice(now, length || SYNTH_VOICE_SECONDS[name] || 1, bus);
 
     switch(name) {
         case 'whoosh':
-            createWhooshSound(now, volumeMultiplier);
+            createWhooshSound(now, volumeMultiplier, bus);
             break;
         case 'boom1':
-            createBoomSound(now, volumeMultiplier, 'deep');
+            createBoomSound(now, volumeMultiplier, 'deep', bus);
             break;
         case 'boom2':
-            createBoomSound(now, volumeMultiplier, 'sharp');
+            createBoomSound(now, volumeMultiplier, 'sharp', bus);
             break;
         case 'boom3':
-            createBoomSound(now, volumeMultiplier, 'rolling');
+            createBoomSound(now, volumeMultiplier, 'rolling', bus);
             break;
         case 'crackle':
-            createCrackleSound(now, volumeMultiplier);
+            createCrackleSound(now, volumeMultiplier, bus);
             break;
         case 'crowdCheer':
-            createCheerSound(now, volumeMultiplier);
+            createCheerSound(now, volumeMultiplier, bus);
+            break;
+        case 'fountain':
+            createFountainSound(now, volumeMultiplier, length || 3, rate, bus);
+            break;
+        case 'mine':
+            createMineSound(now, volumeMultiplier, length || 0.6, bus);
+            break;
+        case 'candle':
+            createCandleSound(now, volumeMultiplier, rate, bus);
             break;
     }
 }
 
+/**
+ * Note a sound effect voice from start for seconds (context time)
+ * @param {AudioNode} output - The voice's last node, disconnected to cancel it
+ */
+function trackAudioVoice(start, seconds, output = null) {
+    if (audioRenderingOffline) return;
+    audioVoices.push({ start: start, end: start + seconds, output: output });
+}
+
+/**
+ * Voices sounding right now: effects plus the crowd murmur
+ */
+function getActiveVoiceCount() {
+    if (!audioContext) return 0;
+    const now = audioContext.currentTime;
+    audioVoices = audioVoices.filter(v => v.end > now);
+    return audioVoices.filter(v => v.start <= now).length + (crowdSource ? 1 : 0);
+}
+
 /**
  * Create a whoosh/launch sound
  */
-function createWhooshSound(startTime, volume) {
+function createWhooshSound(startTime, volume, destination = masterGain) {
     const duration = 0.6;
 
     // White noise filtered for whoosh
@@ -331,7 +512,7 @@ function createWhooshSound(startTime, volume) {
 
     noise.connect(filter);
     filter.connect(gain);
-    gain.connect(masterGain);
+    gain.connect(destination);
 
     noise.start(startTime);
     noise.stop(startTime + duration);
@@ -340,7 +521,7 @@ function createWhooshSound(startTime, volume) {
 /**
  * Create a boom/explosion sound
  */
-function createBoomSound(startTime, volume, type) {
+function createBoomSound(startTime, volume, type, destination = masterGain) {
     let basePitch, duration, noiseAmount;
 
     switch(type) {
@@ -377,7 +558,7 @@ function createBoomSound(startTime, volume, type) {
     oscGain.gain.exponentialRampToValueAtTime(0.01, startTime + duration);
 
     osc.connect(oscGain);
-    oscGain.connect(masterGain);
+    oscGain.connect(destination);
 
     osc.start(startTime);
     osc.stop(startTime + duration);
@@ -406,29 +587,139 @@ function createBoomSound(startTime, volume, type) {
 
     noise.connect(filter);
     filter.connect(noiseGain);
-    noiseGain.connect(masterGain);
+    noiseGain.connect(destination);
 
     noise.start(startTime);
     noise.stop(startTime + duration);
 }
 
+/**
+ * Create a fountain/gerb hiss: bright noise that swells in, roars with a
+ * sputtering flutter for the whole burn, and tails off
+ */
+function createFountainSound(startTime, volume, duration, rate = 1, destination = masterGain) {
+    const bufferSize = Math.ceil(audioContext.sampleRate * duration);
+    const noiseBuffer = audioContext.createBuffer(1, bufferSize, audioContext.sampleRate);
+    const output = noiseBuffer.getChannelData(0);
+
+    // Sputter: the level jumps around every 15-40ms like burning composition
+    const grain = Math.floor(audioContext.sampleRate * 0.015);
+    let level = 1;
+    for (let i = 0; i < bufferSize; i++) {
+        if (i % grain === 0 && Math.random() < 0.5) level = 0.55 + Math.random() * 0.45;
+        output[i] = (Math.random() * 2 - 1) * level;
+    }
+
+    const noise = audioContext.createBufferSource();
+    noise.buffer = noiseBuffer;
+
+    const filter = audioContext.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.frequency.value = 3200 * rate;
+    filter.Q.value = 0.6;
+
+    const attack = Math.min(0.25, duration * 0.2);
+    const release = Math.min(0.5, duration * 0.3);
+    const gain = audioContext.createGain();
+    gain.gain.setValueAtTime(0, startTime);
+    gain.gain.linearRampToValueAtTime(volume * 0.35, startTime + attack);
+    gain.gain.setValueAtTime(volume * 0.35, startTime + duration - release);
+    gain.gain.linearRampToValueAtTime(0.001, startTime + duration);
+
+    noise.connect(filter);
+    filter.connect(gain);
+    gain.connect(destination);
+
+    noise.start(startTime);
+    noise.stop(startTime + duration);
+}
+
+/**
+ * Create a mine: a hard low thump, then the rushing spray of stars
+ */
+function createMineSound(startTime, volume, duration, destination = masterGain) {
+    const osc = audioContext.createOscillator();
+    osc.type = 'sine';
+    osc.frequency.setValueAtTime(140, startTime);
+    osc.frequency.exponentialRampToValueAtTime(45, startTime + 0.25);
+
+    const oscGain = audioContext.createGain();
+    oscGain.gain.setValueAtTime(volume * 0.8, startTime);
+    oscGain.gain.exponentialRampToValueAtTime(0.01, startTime + 0.3);
+
+    osc.connect(oscGain);
+    oscGain.connect(destination);
+    osc.start(startTime);
+    osc.stop(startTime + 0.3);
+
+    const rush = duration + 0.4;
+    const bufferSize = Math.ceil(audioContext.sampleRate * rush);
+    const noiseBuffer = audioContext.createBuffer(1, bufferSize, audioContext.sampleRate);
+    const output = noiseBuffer.getChannelData(0);
+    for (let i = 0; i < bufferSize; i++) {
+        output[i] = Math.random() * 2 - 1;
+    }
+
+    const noise = audioContext.createBufferSource();
+    noise.buffer = noiseBuffer;
+
+    const filter = audioContext.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.frequency.setValueAtTime(900, startTime);
+    filter.frequency.exponentialRampToValueAtTime(2500, startTime + rush);
+    filter.Q.value = 0.8;
+
+    const gain = audioContext.createGain();
+    gain.gain.setValueAtTime(volume * 0.6, startTime);
+    gain.gain.exponentialRampToValueAtTime(0.01, startTime + rush);
+
+    noise.connect(filter);
+    filter.connect(gain);
+    gain.connect(destination);
+    noise.start(startTime);
+    noise.stop(startTime + rush);
+}
+
+/**
+ * Create a Roman candle shot: a hollow "thoomp" from the tube
+ */
+function createCandleSound(startTime, volume, rate = 1, destination = masterGain) {
+    const duration = 0.18;
+
+    const osc = audioContext.createOscillator();
+    osc.type = 'triangle';
+    osc.frequency.setValueAtTime(220 * rate, startTime);
+    osc.frequency.exponentialRampToValueAtTime(90 * rate, startTime + duration);
+
+    const gain = audioContext.createGain();
+    gain.gain.setValueAtTime(volume * 0.6, startTime);
+    gain.gain.exponentialRampToValueAtTime(0.01, startTime + duration);
+
+    osc.connect(gain);
+    gain.connect(destination);
+    osc.start(startTime);
+    osc.stop(startTime + duration);
+
+    createSinglePop(startTime, volume * 0.5);
+}
+
 /**
  * Create a crackle/pop sound
  */
-function createCrackleSound(startTime, volume) {
+function createCrackleSound(startTime, volume, destination = masterGain) {
     // Multiple quick pops
     const popCount = 4 + Math.floor(Math.random() * 4);
 
     for (let i = 0; i < popCount; i++) {
         const popTime = startTime + (i * 0.05) + (Math.random() * 0.03);
-        createSinglePop(popTime, volume * (0.5 + Math.random() * 0.5));
+        createSinglePop(popTime, volume * (0.5 + Math.random() * 0.5), destination);
     }
 }
 
 /**
  * Create a single pop sound
  */
-function createSinglePop(startTime, volume) {
+function createSinglePop(startTime, volume, destination = masterGain) {
     const duration = 0.08;
 
     // Short noise burst
@@ -454,7 +745,7 @@ function createSinglePop(startTime, volume) {
 
     noise.connect(filter);
     filter.connect(gain);
-    gain.connect(masterGain);
+    gain.connect(destination);
 
     noise.start(startTime);
     noise.stop(startTime + duration);
@@ -463,7 +754,7 @@ function createSinglePop(startTime, volume) {
 /**
  * Create a crowd cheer sound
  */
-function createCheerSound(startTime, volume) {
+function createCheerSound(startTime, volume, destination = crowdGain) {
     const duration = 1.5;
 
     // Multiple "voice-like" oscillators
@@ -493,7 +784,7 @@ function createCheerSound(startTime, volume) {
         tremoloGain.connect(voiceGain.gain);
 
         osc.connect(voiceGain);
-        voiceGain.connect(crowdGain);
+        voiceGain.connect(destination);
 
         osc.start(startTime);
         osc.stop(startTime + duration);
@@ -525,7 +816,7 @@ function createCheerSound(startTime, volume) {
 
     noise.connect(filter);
     filter.connect(noiseGain);
-    noiseGain.connect(crowdGain);
+    noiseGain.connect(destination);
 
     noise.start(startTime);
     noise.stop(startTime + duration);
@@ -536,7 +827,7 @@ function createCheerSound(startTime, volume) {
  * NOTE: Synthetic crowd sounds disabled - requires real audio files
  */
 function playCrowdAmbience() {
-    if (window.PREVIEW_MUTED) return;
+    if (window.PREVIEW_MUTED || audioCapture) return;
     if (!audio.enabled || !audio.crowdEnabled || !audioContext) return;
     if (crowdSource) return; // Already playing
 
@@ -574,7 +865,7 @@ function stopCrowdAmbience() {
  */
 let lastCheerAt = 0;
 
-function triggerCrowdCheer(size) {
+function triggerCrowdCheer(size, delaySec = 0) {
     if (window.PREVIEW_MUTED) return; // Silent during offscreen preview renders
     if (!audio.enabled || !audio.crowdEnabled) return;
 
@@ -583,7 +874,7 @@ function triggerCrowdCheer(size) {
 
     // Throttle: crowds react to moments, not to every shell. During a
     // finale dozens of bursts land per second; without this they stack.
-    const now = Date.now();
+    const now = audioCapture ? audioCapture.clock() * 1000 : Date.now();
     if (now - lastCheerAt < 3500) return;
     if (size === 'small' && Math.random() < 0.6) return;
     if (size === 'medium' && Math.random() < 0.3) return;
@@ -598,11 +889,110 @@ function triggerCrowdCheer(size) {
     }
 
     // Add slight random delay for realism (0-200ms)
-    const delay = Math.random() * 0.2;
+    playSound('crowdCheer', intensity, { delay: delaySec + Math.random() * 0.2 });
+}
+
+// ── Offline capture (frame-accurate video export) ───────────────────
+
+/**
+ * Record sounds instead of playing them. Each cue is stamped with the
+ * capture clock (seconds), so sound lines up with rendered frames no
+ * matter how fast or slow the frames were produced.
+ * @param {Function} clock - Returns the current render time in seconds
+ */
+function startAudioCapture(clock) {
+    audioCapture = { clock: clock, cues: [] };
+    lastCheerAt = -Infinity;
+}
+
+/**
+ * Stop recording and return the captured cues
+ */
+function stopAudioCapture() {
+    const cues = audioCapture ? audioCapture.cues : [];
+    audioCapture = null;
+    lastCheerAt = 0;
+    return cues;
+}
+
+function isAudioCapturing() {
+    return audioCapture !== null;
+}
+
+/**
+ * Mix captured cues (plus soundtrack and crowd murmur) into an AudioBuffer
+ * with an OfflineAudioContext. The regular playback paths do the
+ * scheduling: the shared context, master and crowd buses are pointed at the
+ * offline graph while the cues are queued, then put back before rendering
+ * starts.
+ * @param {Array} cues - From stopAudioCapture()
+ * @param {number} durationSec - Length of the mix
+ * @param {Object} options - { sampleRate, musicBuffer }
+ * @returns {Promise<AudioBuffer|null>} null when there is nothing to hear
+ */
+function renderCapturedAudio(cues, durationSec, options = {}) {
+    const OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    if (!OfflineCtx || !audioContext || !audio.enabled || durationSec <= 0) return Promise.resolve(null);
+
+    const musicBuffer = options.musicBuffer || null;
+    if (cues.length === 0 && !musicBuffer) return Promise.resolve(null);
+
+    const sampleRate = options.sampleRate || 48000;
+    const offline = new OfflineCtx(2, Math.ceil(durationSec * sampleRate), sampleRate);
+    const offlineMaster = offline.createGain();
+    offlineMaster.gain.value = audio.volume / 100;
+    offlineMaster.connect(offline.destination);
+
+    const offlineCrowd = offline.createGain();
+    offlineCrowd.gain.value = 0.3;
+    offlineCrowd.connect(offlineMaster);
+
+    const liveContext = audioContext;
+    const liveMaster = masterGain;
+    const liveCrowd = crowdGain;
+    audioContext = offline;
+    masterGain = offlineMaster;
+    crowdGain = offlineCrowd;
+    audioRenderingOffline = true;
+    try {
+        cues.forEach(cue => {
+            if (cue.time >= durationSec) return;
+            if (useSynthetic || SYNTH_ONLY_SOUNDS.includes(cue.name)) {
+                playSyntheticSound(cue.name, cue.volume, cue.time, cue.length, cue.rate, cue.muffleHz);
+            } else {
+                playBufferedSound(cue.name, cue.volume, cue.pan, cue.muffleHz, cue.rate, cue.time);
+            }
+        });
 
-    setTimeout(() => {
-        playSound('crowdCheer', intensity);
-    }, delay * 1000);
+        // Crowd murmur under the whole show
+        if (audio.crowdEnabled && !useSynthetic && soundCache.crowdMurmur) {
+            const murmur = offline.createBufferSource();
+            const murmurGain = offline.createGain();
+            murmur.buffer = soundCache.crowdMurmur;
+            murmur.loop = true;
+            murmurGain.gain.value = 0.3;
+            murmur.connect(murmurGain);
+            murmurGain.connect(offlineMaster);
+            murmur.start(0);
+        }
+
+        if (musicBuffer) {
+            const song = offline.createBufferSource();
+            const songGain = offline.createGain();
+            song.buffer = musicBuffer;
+            songGain.gain.value = (typeof music !== 'undefined') ? music.volume / 100 : 0.7;
+            song.connect(songGain);
+            songGain.connect(offlineMaster);
+            song.start(0);
+        }
+    } finally {
+        audioContext = liveContext;
+        masterGain = liveMaster;
+        crowdGain = liveCrowd;
+        audioRenderingOffline = false;
+    }
+
+    return offline.startRendering();
 }
 
 /**
@@ -612,7 +1002,9 @@ function getAudioSettings() {
     return {
         enabled: audio.enabled,
         volume: audio.volume,
-        crowdEnabled: audio.crowdEnabled
+        crowdEnabled: audio.crowdEnabled,
+        listenerDistance: audio.listenerDistance,
+        distanceWhileEditing: audio.distanceWhileEditing
     };
 }
 
@@ -625,6 +1017,8 @@ function loadAudioSettings(settings) {
     audio.enabled = settings.enabled !== undefined ? settings.enabled : true;
     audio.volume = settings.volume !== undefined ? settings.volume : 50;
     audio.crowdEnabled = settings.crowdEnabled !== undefined ? settings.crowdEnabled : true;
+    audio.listenerDistance = settings.listenerDistance !== undefined ? settings.listenerDistance : 0;
+    audio.distanceWhileEditing = settings.distanceWhileEditing !== undefined ? settings.distanceWhileEditing : true;
 
     // Update volume
     updateMasterVolume();
@@ -652,6 +1046,19 @@ function loadAudioSettings(settings) {
         crowdToggle.checked = audio.crowdEnabled;
     }
 
+    const distanceSlider = document.getElementById('listener-distance');
+    const distanceLabel = document.getElementById('listener-distance-label');
+    const distanceLive = document.getElementById('distance-while-editing');
+    if (distanceSlider) {
+        distanceSlider.value = audio.listenerDistance;
+    }
+    if (distanceLabel) {
+        distanceLabel.textContent = describeListenerDistance();
+    }
+    if (distanceLive) {
+        distanceLive.checked = audio.distanceWhileEditing;
+    }
+
     // Update control visibility
     if (soundControls.length > 0) {
         soundControls.forEach(el => {
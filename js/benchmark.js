@@ -0,0 +1,222 @@
+/**
+ * Benchmark - frame time of a fixed stress show
+ *
+ * Plays a seeded show of dense, long-trailed shells offscreen at the live
+ * canvas size, as fast as it will go, and times each frame's update and
+ * draw. The show and its randomness never change, so runs before and
+ * after an engine change compare directly. It runs at the quality level
+ * in effect when it starts (auto holds still meanwhile). Run it from
+ * Settings > Performance, or open the app with ?benchmark in the URL.
+ */
+
+const BENCHMARK_SEED = 20240704;
+const BENCHMARK_SECONDS = 14;
+const BENCHMARK_STEP = 1 / 60;
+const BENCHMARK_FRAMES_PER_SLICE = 10; // Frames per timer tick, so the page stays responsive
+const BENCHMARK_REPLAY_SECONDS = 10;   // Show time the capped replay check plays
+
+// Shell types the stress show cycles through: the heavy built-ins
+const BENCHMARK_TYPES = ['chrysanthemum', 'willow', 'brocade', 'crossette', 'crackle',
+    'peony', 'waterfall', 'spider', 'palm', 'strobe'];
+
+let benchmarkRunning = false;
+
+/**
+ * The stress show: a large comet-trailed shell every 150ms across five
+ * launchers, then a three-second volley every 50ms
+ */
+function buildBenchmarkShow() {
+    const bench = new Show(new LauncherManager(LOGIC_WIDTH, LOGIC_HEIGHT));
+    bench.seed = BENCHMARK_SEED;
+
+    const heights = ['low', 'medium', 'high'];
+    const add = (time, n) => {
+        const palette = COLOR_PALETTES[n % COLOR_PALETTES.length];
+        bench.addEvent({
+            time: time,
+            launcherId: (n % 5) + 1,
+            type: BENCHMARK_TYPES[n % BENCHMARK_TYPES.length],
+            primaryColor: palette.primary,
+            secondaryColor: palette.secondary,
+            size: 'large',
+            height: heights[n % heights.length],
+            trail: 'comet'
+        });
+    };
+
+    let n = 0;
+    for (let t = 0; t < 8000; t += 150) add(t, n++);
+    for (let t = 8000; t < 11000; t += 50) add(t, n++);
+    return bench;
+}
+
+/**
+ * Run the benchmark and report average, median, 95th percentile and worst
+ * frame times, plus the most stars on screen at once
+ */
+function runBenchmark() {
+    if (benchmarkRunning) return;
+    if (typeof videoExport !== 'undefined' && (videoExport.recording || videoExport.offline)) {
+        showToast('Finish the video export before benchmarking', 'error');
+        return;
+    }
+    if (show.isPlaying) show.pause();
+
+    benchmarkRunning = true;
+    const resultEl = document.getElementById('benchmark-result');
+    if (resultEl) resultEl.textContent = 'Running...';
+    showToast('Running benchmark...', 'info');
+
+    const bench = buildBenchmarkShow();
+    const launches = bench.events.map(e => ({ event: e, at: e.time / 1000 }));
+    const off = document.createElement('canvas');
+    off.width = canvas.width;
+    off.height = canvas.height;
+    const octx = off.getContext('2d');
+
+    const totalFrames = Math.ceil(BENCHMARK_SECONDS / BENCHMARK_STEP);
+    const times = [];
+    let fireworks = [];
+    let next = 0;
+    let peakStars = 0;
+
+    const slice = () => {
+        // Offscreen fireworks stay silent and leave no smoke in the live
+        // sky; a preview may already have muted sound, so leave it as found
+        const wasMuted = window.PREVIEW_MUTED;
+        window.PREVIEW_MUTED = true;
+        const savedSmoke = smokeManager;
+        smokeManager = null;
+
+        try {
+            for (let k = 0; k < BENCHMARK_FRAMES_PER_SLICE && times.length < totalFrames; k++) {
+                const now = times.length * BENCHMARK_STEP;
+                const start = performance.now();
+
+                // The stress show has the stage (and the star budget) to itself
+                if (typeof recountLiveStars === 'function') recountLiveStars(fireworks);
+
+                while (next < launches.length && launches[next].at <= now) {
+                    const fw = bench.createFirework(launches[next].event);
+                    if (fw) fireworks.push(fw);
+                    next++;
+                }
+                fireworks.forEach(fw => fw.update(BENCHMARK_STEP));
+                fireworks = fireworks.filter(fw => fw.phase !== 'done');
+
+                octx.setTransform(renderScale, 0, 0, renderScale, 0, 0);
+                octx.fillStyle = backgroundColor;
+                octx.fillRect(0, 0, LOGIC_WIDTH, LOGIC_HEIGHT);
+                fireworks.forEach(fw => fw.draw(octx));
+
+                times.push(performance.now() - start);
+                peakStars = Math.max(peakStars, fireworks.reduce((sum, fw) => sum + fw.particles.length, 0));
+            }
+        } catch (err) {
+            console.error('Benchmark failed:', err);
+            benchmarkRunning = false;
+            if (resultEl) resultEl.textContent = '';
+            showToast('Benchmark failed', 'error');
+            return;
+        } finally {
+            smokeManager = savedSmoke;
+            window.PREVIEW_MUTED = wasMuted;
+        }
+
+        if (times.length < totalFrames) {
+            setTimeout(slice, 0);
+        } else {
+            benchmarkRunning = false;
+            const result = summarizeFrameTimes(times, peakStars);
+            result.quality = typeof getQuality === 'function' ? getQuality().name : 'High';
+            result.replay = checkCappedReplay();
+            reportBenchmark(result);
+        }
+    };
+
+    setTimeout(slice, 0);
+}
+
+/**
+ * Play the stress show's first seconds twice, once with every star kept
+ * and once thinned and capped by the Low preset, and compare what each
+ * firework's seeded stream would draw next. A dropped star must cost the
+ * shell the same draws as a kept one, or the capped run drifts.
+ * @returns {boolean} Whether both runs drew the same
+ */
+function checkCappedReplay() {
+    // One show for both runs: its event ids key the seeded streams
+    const bench = buildBenchmarkShow();
+    const run = capped => {
+        const savedLevel = quality.level;
+        const savedSmoke = smokeManager;
+        const wasMuted = window.PREVIEW_MUTED;
+        window.PREVIEW_MUTED = true;
+        smokeManager = null;
+        quality.level = capped ? 'low' : 'high';
+
+        let fireworks = [];
+        try {
+            const events = bench.events.filter(e => e.time <= BENCHMARK_REPLAY_SECONDS * 1000);
+            let next = 0;
+            for (let now = 0; now < BENCHMARK_REPLAY_SECONDS; now += BENCHMARK_STEP * 2) {
+                if (capped) recountLiveStars(fireworks);
+                else liveStarCount = -Infinity; // Never at the budget
+                while (next < events.length && events[next].time / 1000 <= now) {
+                    const fw = bench.createFirework(events[next]);
+                    if (fw) fireworks.push(fw);
+                    next++;
+                }
+                fireworks.forEach(fw => fw.update(BENCHMARK_STEP * 2));
+            }
+            return fireworks.map(fw => fw.rand());
+        } finally {
+            fireworks.forEach(fw => fw.particles.release());
+            quality.level = savedLevel;
+            smokeManager = savedSmoke;
+            window.PREVIEW_MUTED = wasMuted;
+            recountLiveStars(show.activeFireworks.concat(testFireworks));
+        }
+    };
+
+    const full = run(false);
+    const capped = run(true);
+    const same = full.length === capped.length && full.every((draw, i) => draw === capped[i]);
+    if (!same) console.warn('Benchmark: capped stars changed the seeded replay');
+    return same;
+}
+
+/**
+ * Frame time statistics (ms)
+ */
+function summarizeFrameTimes(times, peakStars) {
+    const sorted = times.slice().sort((a, b) => a - b);
+    const at = q => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+    const avg = times.reduce((sum, t) => sum + t, 0) / times.length;
+    return {
+        frames: times.length,
+        avg: avg,
+        median: at(0.5),
+        p95: at(0.95),
+        worst: sorted[sorted.length - 1],
+        peakStars: peakStars
+    };
+}
+
+function reportBenchmark(result) {
+    const text = `${result.avg.toFixed(2)} ms avg, ${result.median.toFixed(2)} median, ` +
+        `${result.p95.toFixed(2)} p95, ${result.worst.toFixed(2)} worst over ${result.frames} frames ` +
+        `(peak ${result.peakStars.toLocaleString()} stars, ${result.quality} quality; ` +
+        `capped replay ${result.replay ? 'matches' : 'DIFFERS'})`;
+
+    const resultEl = document.getElementById('benchmark-result');
+    if (resultEl) resultEl.textContent = text;
+    showToast(`Benchmark: ${result.avg.toFixed(2)} ms/frame avg, ${result.p95.toFixed(2)} ms p95`, 'success');
+}
+
+// ?benchmark in the URL runs it once the app is up
+document.addEventListener('DOMContentLoaded', () => {
+    if (new URLSearchParams(window.location.search).has('benchmark')) {
+        setTimeout(runBenchmark, 500);
+    }
+});
@@ -0,0 +1,599 @@
+/**
+ * Cue Import - load firing scripts and generic CSV cue lists into a show
+ *
+ * The mirror of firingscript.js. A CSV is parsed, its columns are mapped
+ * to time / position / effect / color / size / height in a dialog, and
+ * each row becomes a Show.addEvent() call.
+ *
+ * Effect descriptions are matched to FIREWORK_TYPES or GROUND_EFFECTS, by
+ * name and then by the rules below. Anything unrecognized takes the
+ * fallback chosen in the dialog.
+ */
+
+// Ground effects are checked before anything else: a "Red Peony Mine" is a mine
+const GROUND_MATCH_RULES = [
+    { pattern: /roman ?candle|\bcandles?\b/, type: 'candle' },
+    { pattern: /\bmines?\b/, type: 'mine' },
+    { pattern: /\bgerbs?\b|\bjets?\b/, type: 'gerb' },
+    { pattern: /fountain|volcano|\bcones?\b/, type: 'fountain' }
+];
+
+// Description keywords -> firework type, checked in order (first wins)
+const EFFECT_MATCH_RULES = [
+    { pattern: /crossette|\bcross\b/, type: 'crossette' },
+    { pattern: /\bcomet/, type: 'comet' },
+    { pattern: /spider/, type: 'spider' },
+    { pattern: /fish|swimming|tadpole/, type: 'fish' },
+    { pattern: /waterfall|niagara/, type: 'waterfall' },
+    { pattern: /saturn|planet/, type: 'saturn' },
+    { pattern: /pistil/, type: 'pistil' },
+    { pattern: /heart/, type: 'heart' },
+    { pattern: /\brings?\b|halo/, type: 'ring' },
+    { pattern: /strobe|glitter|flash/, type: 'strobe' },
+    { pattern: /crackl|dragon.?s? ?egg|popping/, type: 'crackle' },
+    { pattern: /brocade|crown/, type: 'brocade' },
+    { pattern: /willow|kamuro|horsetail/, type: 'willow' },
+    { pattern: /palm|coconut/, type: 'palm' },
+    { pattern: /peony|dahlia/, type: 'peony' },
+    { pattern: /chrys|\bmums?\b/, type: 'chrysanthemum' }
+];
+
+// Extra color words understood on import (see NAMED_COLORS)
+const COLOR_SYNONYMS = {
+    golden: 'Gold', amber: 'Orange', crimson: 'Red', scarlet: 'Red',
+    aqua: 'Cyan', turquoise: 'Teal', violet: 'Purple', lilac: 'Purple',
+    rose: 'Pink', emerald: 'Green', azure: 'Blue', indigo: 'Navy'
+};
+
+// Header names that suggest which column holds what
+const CUE_IMPORT_GUESSES = {
+    time: /time|^t$|seconds|secs/,
+    position: /position|^pos|launcher|module|rack|location/,
+    effect: /effect|desc|product|name|item|shell/,
+    color: /colou?r/,
+    size: /size|caliber|calibre|bore/,
+    height: /height|altitude|elevation/
+};
+
+const CUE_IMPORT_FIELDS = [
+    { key: 'time', label: 'Time', required: true },
+    { key: 'position', label: 'Position' },
+    { key: 'effect', label: 'Effect' },
+    { key: 'color', label: 'Color' },
+    { key: 'size', label: 'Size / Caliber' },
+    { key: 'height', label: 'Height' }
+];
+
+const cueImport = {
+    fileName: '',
+    rows: [],         // Parsed CSV rows (arrays of strings)
+    hasHeader: true,
+    mapping: {},      // field key -> column index (-1 = none)
+    timeMeaning: 'burst',   // 'burst', 'ignition' or 'launch'
+    timeUnit: 'seconds',    // Plain numbers: 'seconds' or 'ms'
+    fallback: 'chrysanthemum', // Type key, 'random' or 'skip'
+    replace: false
+};
+
+// ── Parsing ─────────────────────────────────────────────────────────
+
+/**
+ * Pick the delimiter that splits the first line into the most fields
+ */
+function detectCsvDelimiter(text) {
+    const firstLine = text.split(/\r?\n/).find(line => line.trim() !== '') || '';
+    let best = ',';
+    let bestCount = 0;
+    [',', ';', '\t'].forEach(d => {
+        const count = firstLine.split(d).length - 1;
+        if (count > bestCount) {
+            bestCount = count;
+            best = d;
+        }
+    });
+    return best;
+}
+
+/**
+ * Split CSV text into rows of fields (quoted fields, doubled quotes and
+ * CRLF line endings supported). Blank lines are dropped.
+ */
+function parseCsv(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    quoted = false;
+                }
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            if (row.some(f => f.trim() !== '')) rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    row.push(field);
+    if (row.some(f => f.trim() !== '')) rows.push(row);
+
+    return rows.map(r => r.map(f => f.trim()));
+}
+
+/**
+ * Parse a cue time to ms: 12.5, 12.5s, 0:12.50, 1:02:03.5 or 12500ms.
+ * Returns null if unreadable.
+ */
+function parseCueTime(str, unit = 'seconds') {
+    const s = String(str || '').trim().toLowerCase();
+    if (s === '') return null;
+
+    const ms = /^(\d+(?:\.\d+)?)\s*ms$/.exec(s);
+    if (ms) return parseFloat(ms[1]);
+
+    const secs = /^(\d+(?:\.\d+)?)\s*s(?:ec(?:onds?)?)?$/.exec(s);
+    if (secs) return parseFloat(secs[1]) * 1000;
+
+    if (/^\d+(?:\.\d+)?$/.test(s)) {
+        const v = parseFloat(s);
+        return unit === 'ms' ? v : v * 1000;
+    }
+
+    if (/^\d+(?::\d+){1,2}(?:\.\d+)?$/.test(s)) {
+        const parts = s.split(':').map(parseFloat);
+        let total = 0;
+        parts.forEach(p => { total = total * 60 + p; });
+        return total * 1000;
+    }
+
+    return null;
+}
+
+/**
+ * Match an effect description to a firework type (null if unknown)
+ */
+function matchEffectType(description) {
+    const text = String(description || '').toLowerCase();
+    if (text === '') return null;
+
+    const ground = GROUND_MATCH_RULES.find(r => r.pattern.test(text));
+    if (ground) return ground.type;
+
+    // Exact type names first ("Chrysanthemum", "Saturn")
+    const byName = Object.keys(FIREWORK_TYPES).find(key =>
+        !SPECIAL_TYPES.includes(key) && text.includes(FIREWORK_TYPES[key].name.toLowerCase())
+    );
+    if (byName) return byName;
+
+    const rule = EFFECT_MATCH_RULES.find(r => r.pattern.test(text) && FIREWORK_TYPES[r.type]);
+    return rule ? rule.type : null;
+}
+
+/**
+ * All colors mentioned in a string, in order (hex codes or color words)
+ */
+function parseColorList(str) {
+    const text = String(str || '');
+    const found = [];
+    const re = /#[0-9a-f]{6}\b|[a-z]+/gi;
+    let m;
+    while ((m = re.exec(text)) !== null) {
+        const token = m[0];
+        if (token[0] === '#') {
+            found.push(token.toLowerCase());
+            continue;
+        }
+        const word = token.toLowerCase();
+        const name = COLOR_SYNONYMS[word] ||
+            (NAMED_COLORS.find(c => c.name.toLowerCase() === word) || {}).name;
+        const named = name && NAMED_COLORS.find(c => c.name === name);
+        if (named) found.push(named.hex);
+    }
+    return found;
+}
+
+/**
+ * Shell size from a size column or description: small/medium/large,
+ * a caliber in inches (3", 5in) or millimetres (75mm). Null if none.
+ */
+function parseCueSize(str) {
+    const text = String(str || '').toLowerCase();
+    const word = /\b(small|medium|large)\b/.exec(text);
+    if (word) return word[1];
+
+    let inches = null;
+    const inch = /(\d+(?:\.\d+)?)\s*(?:"|”|''|in\b|inch)/.exec(text);
+    const mm = /(\d+)\s*mm\b/.exec(text);
+    const bare = /^(\d+(?:\.\d+)?)$/.exec(text.trim());
+    if (inch) {
+        inches = parseFloat(inch[1]);
+    } else if (mm) {
+        inches = parseInt(mm[1], 10) / 25.4;
+    } else if (bare) {
+        // A bare number in a size column: inches, or millimetres if large
+        const v = parseFloat(bare[1]);
+        inches = v > 12 ? v / 25.4 : v;
+    }
+    if (inches === null) return null;
+    return inches <= 3.5 ? 'small' : inches <= 6 ? 'medium' : 'large';
+}
+
+function parseCueHeight(str) {
+    const m = /\b(low|medium|high)\b/.exec(String(str || '').toLowerCase());
+    return m ? m[1] : null;
+}
+
+// ── Mapping rows to events ──────────────────────────────────────────
+
+function getCueImportDataRows() {
+    return cueImport.hasHeader ? cueImport.rows.slice(1) : cueImport.rows;
+}
+
+/**
+ * Column headers (or "Column N" when the file has none)
+ */
+function getCueImportColumns() {
+    const width = cueImport.rows.reduce((max, r) => Math.max(max, r.length), 0);
+    const header = cueImport.hasHeader ? (cueImport.rows[0] || []) : [];
+    const columns = [];
+    for (let i = 0; i < width; i++) {
+        columns.push(header[i] ? header[i] : 'Column ' + (i + 1));
+    }
+    return columns;
+}
+
+/**
+ * Guess the column mapping (and what the times mean) from the headers
+ */
+function guessCueImportMapping() {
+    const columns = getCueImportColumns().map(c => c.toLowerCase());
+    const used = new Set();
+    cueImport.mapping = {};
+
+    CUE_IMPORT_FIELDS.forEach(field => {
+        const index = cueImport.hasHeader
+            ? columns.findIndex((c, i) => !used.has(i) && CUE_IMPORT_GUESSES[field.key].test(c))
+            : -1;
+        cueImport.mapping[field.key] = index;
+        if (index >= 0) used.add(index);
+    });
+
+    // Without headers, take the first column whose values read as times
+    if (cueImport.mapping.time < 0) {
+        const sample = getCueImportDataRows().slice(0, 5);
+        cueImport.mapping.time = columns.findIndex((c, i) =>
+            sample.length > 0 && sample.every(r => parseCueTime(r[i], cueImport.timeUnit) !== null)
+        );
+    }
+
+    const timeHeader = cueImport.mapping.time >= 0 ? columns[cueImport.mapping.time] : '';
+    cueImport.timeMeaning = /ignit|fire|script/.test(timeHeader) ? 'ignition'
+        : /launch/.test(timeHeader) ? 'launch'
+        : 'burst';
+}
+
+/**
+ * Resolve position values to launcher ids. Values that name a module
+ * from the firing-script mapping, or a launcher number ("3", "L3",
+ * "Pos 3"), go to that launcher; other distinct positions are spread
+ * across the launchers left to right in order of first appearance.
+ */
+function buildPositionMap(values) {
+    const launchers = launcherManager.launchers.slice().sort((a, b) => a.x - b.x);
+    const map = {};
+    let nextSlot = 0;
+
+    values.forEach(value => {
+        const key = value.toLowerCase();
+        if (key === '' || map[key] !== undefined) return;
+
+        const byModule = launchers.find(l =>
+            typeof getLauncherModule === 'function' && getLauncherModule(l.id).module.toLowerCase() === key
+        );
+        if (byModule) {
+            map[key] = byModule.id;
+            return;
+        }
+
+        const num = /^(?:l|pos(?:ition)?|launcher)?\s*#?\s*(\d+)$/.exec(key);
+        if (num && launcherManager.getLauncherById(parseInt(num[1], 10))) {
+            map[key] = parseInt(num[1], 10);
+            return;
+        }
+
+        map[key] = launchers[nextSlot % launchers.length].id;
+        nextSlot++;
+    });
+
+    return map;
+}
+
+/**
+ * Turn the parsed rows into event data using the current mapping
+ * @returns {{ events: Array, unknown: number, skipped: number }}
+ */
+function buildImportedEvents() {
+    const m = cueImport.mapping;
+    const cell = (row, key) => (m[key] >= 0 ? (row[m[key]] || '') : '');
+    const rows = getCueImportDataRows();
+    const launchers = launcherManager.launchers.slice().sort((a, b) => a.x - b.x);
+    const positionMap = buildPositionMap(rows.map(r => cell(r, 'position')));
+
+    const events = [];
+    let unknown = 0;
+    let skipped = 0;
+
+    rows.forEach((row, i) => {
+        const time = parseCueTime(cell(row, 'time'), cueImport.timeUnit);
+        if (time === null) {
+            skipped++;
+            return;
+        }
+
+        const effectText = cell(row, 'effect');
+        let type = matchEffectType(effectText);
+        if (!type) {
+            unknown++;
+            if (cueImport.fallback === 'skip') {
+                skipped++;
+                return;
+            }
+            type = cueImport.fallback === 'random' ? getRandomFireworkType() : cueImport.fallback;
+        }
+
+        const size = parseCueSize(cell(row, 'size')) || parseCueSize(effectText) || 'medium';
+        const height = parseCueHeight(cell(row, 'height')) ||
+            ({ small: 'low', medium: 'medium', large: 'high' })[size];
+
+        const colors = parseColorList(cell(row, 'color'));
+        if (colors.length === 0) parseColorList(effectText).forEach(c => colors.push(c));
+
+        // Times become launch times: ignition + lift = burst, burst - flight = launch
+        let burstMs = time;
+        if (cueImport.timeMeaning === 'ignition' && !isGroundEffect(type)) {
+            const lift = (typeof firingScript !== 'undefined' && firingScript.liftTimes[size] !== undefined)
+                ? firingScript.liftTimes[size]
+                : 0;
+            burstMs = time + lift * 1000;
+        }
+        const launchMs = cueImport.timeMeaning === 'launch'
+            ? Math.max(0, Math.round(time))
+            : getLaunchTimeForBurst(burstMs, height, type);
+
+        const position = cell(row, 'position').toLowerCase();
+        const launcherId = position !== '' && positionMap[position] !== undefined
+            ? positionMap[position]
+            : launchers[events.length % launchers.length].id;
+
+        events.push({
+            time: launchMs,
+            launcherId: launcherId,
+            type: type,
+            primaryColor: colors[0] || '#ff0000',
+            secondaryColor: colors[1] || colors[0] || '#ffaa00',
+            size: size,
+            height: height,
+            source: effectText || ('Row ' + (i + 1))
+        });
+    });
+
+    return { events: events, unknown: unknown, skipped: skipped };
+}
+
+// ── Dialog ──────────────────────────────────────────────────────────
+
+function openCueImportModal() {
+    const fileInput = document.getElementById('cue-import-file');
+    fileInput.value = '';
+    fileInput.click();
+}
+
+function closeCueImportModal() {
+    const modal = document.getElementById('cue-import-modal');
+    if (modal) modal.style.display = 'none';
+}
+
+/**
+ * A file was picked: parse it and show the mapping dialog
+ */
+function onCueImportFileChosen(e) {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        const text = String(reader.result || '').replace(/^\uFEFF/, '');
+        const rows = parseCsv(text, detectCsvDelimiter(text));
+        if (rows.length === 0) {
+            showToast('That file has no rows', 'error');
+            return;
+        }
+
+        cueImport.fileName = file.name;
+        cueImport.rows = rows;
+        // A first row with no readable time is taken as the header
+        cueImport.hasHeader = rows[0].every(f => parseCueTime(f) === null);
+        guessCueImportMapping();
+
+        syncCueImportForm();
+        document.getElementById('cue-import-modal').style.display = 'flex';
+    };
+    reader.onerror = () => showToast('Could not read that file', 'error');
+    reader.readAsText(file);
+}
+
+/**
+ * Fill the mapping selects from the parsed file
+ */
+function syncCueImportForm() {
+    document.getElementById('cue-import-filename').textContent =
+        cueImport.fileName + ' — ' + getCueImportDataRows().length + ' rows';
+    document.getElementById('cue-import-header').checked = cueImport.hasHeader;
+
+    const columns = getCueImportColumns();
+    CUE_IMPORT_FIELDS.forEach(field => {
+        const select = document.getElementById('cue-map-' + field.key);
+        select.innerHTML = '';
+        if (!field.required) {
+            select.appendChild(new Option('— none —', '-1'));
+        }
+        columns.forEach((name, i) => select.appendChild(new Option(name, String(i))));
+        select.value = String(cueImport.mapping[field.key] >= 0 ? cueImport.mapping[field.key] : (field.required ? 0 : -1));
+    });
+
+    document.getElementById('cue-time-meaning').value = cueImport.timeMeaning;
+    document.getElementById('cue-time-unit').value = cueImport.timeUnit;
+    document.getElementById('cue-import-fallback').value = cueImport.fallback;
+    document.getElementById('cue-import-replace').checked = cueImport.replace;
+
+    updateCueImportPreview();
+}
+
+function readCueImportForm() {
+    CUE_IMPORT_FIELDS.forEach(field => {
+        cueImport.mapping[field.key] = parseInt(document.getElementById('cue-map-' + field.key).value, 10);
+    });
+    cueImport.timeMeaning = document.getElementById('cue-time-meaning').value;
+    cueImport.timeUnit = document.getElementById('cue-time-unit').value;
+    cueImport.fallback = document.getElementById('cue-import-fallback').value;
+    cueImport.replace = document.getElementById('cue-import-replace').checked;
+}
+
+/**
+ * Show how the first rows will come in, plus counts of unknown/skipped rows
+ */
+function updateCueImportPreview() {
+    const result = buildImportedEvents();
+    const body = document.getElementById('cue-import-preview');
+    body.innerHTML = '';
+
+    result.events.slice(0, 8).forEach(ev => {
+        const tr = document.createElement('tr');
+        [
+            formatTimeDetailed(ev.time),
+            'L' + ev.launcherId,
+            FIREWORK_TYPES[ev.type] ? FIREWORK_TYPES[ev.type].name
+                : GROUND_EFFECTS[ev.type] ? GROUND_EFFECTS[ev.type].name : ev.type,
+            ev.size,
+            ev.source
+        ].forEach((text, i) => {
+            const td = document.createElement('td');
+            if (i === 2) {
+                const swatch = document.createElement('span');
+                swatch.className = 'cue-import-swatch';
+                swatch.style.background = ev.primaryColor;
+                td.appendChild(swatch);
+            }
+            td.appendChild(document.createTextNode(text));
+            tr.appendChild(td);
+        });
+        body.appendChild(tr);
+    });
+
+    const notes = [result.events.length + ' launches'];
+    if (result.unknown > 0) {
+        notes.push(result.unknown + ' unrecognized effect' + (result.unknown === 1 ? '' : 's') +
+            (cueImport.fallback === 'skip' ? ' skipped' : ' use the fallback'));
+    }
+    const unreadable = result.skipped - (cueImport.fallback === 'skip' ? result.unknown : 0);
+    if (unreadable > 0) {
+        notes.push(unreadable + ' row' + (unreadable === 1 ? '' : 's') + ' without a readable time');
+    }
+    document.getElementById('cue-import-summary').textContent = notes.join(' · ');
+}
+
+function onCueImportFormChange(e) {
+    // Toggling the header row changes the columns themselves
+    if (e && e.target && e.target.id === 'cue-import-header') {
+        cueImport.hasHeader = e.target.checked;
+        guessCueImportMapping();
+        syncCueImportForm();
+        return;
+    }
+    readCueImportForm();
+    updateCueImportPreview();
+}
+
+/**
+ * Add the mapped rows to the show
+ */
+function importCueList() {
+    readCueImportForm();
+    const result = buildImportedEvents();
+    if (result.events.length === 0) {
+        showToast('No rows could be imported, check the Time column', 'error');
+        return;
+    }
+
+    if (typeof saveState === 'function') saveState('Import Cue List');
+    if (cueImport.replace) {
+        show.clearEvents();
+        if (typeof clearSelection === 'function') clearSelection();
+    }
+    result.events.forEach(ev => {
+        show.addEvent({
+            time: ev.time,
+            launcherId: ev.launcherId,
+            type: ev.type,
+            primaryColor: ev.primaryColor,
+            secondaryColor: ev.secondaryColor,
+            size: ev.size,
+            height: ev.height
+        });
+    });
+
+    closeCueImportModal();
+    refreshEventList();
+    markDirty();
+
+    let msg = 'Imported ' + result.events.length + ' launches';
+    if (result.unknown > 0 && cueImport.fallback !== 'skip') {
+        msg += ' (' + result.unknown + ' unrecognized effect' + (result.unknown === 1 ? '' : 's') + ')';
+    }
+    showToast(msg, 'success');
+}
+
+// Wire up the file picker and the dialog's live preview
+document.addEventListener('DOMContentLoaded', () => {
+    const fileInput = document.getElementById('cue-import-file');
+    if (fileInput) {
+        fileInput.addEventListener('change', onCueImportFileChosen);
+    }
+
+    const btn = document.getElementById('btn-import-cues');
+    if (btn) {
+        btn.addEventListener('click', openCueImportModal);
+    }
+
+    const fallback = document.getElementById('cue-import-fallback');
+    if (fallback) {
+        Object.keys(FIREWORK_TYPES).filter(t => !SPECIAL_TYPES.includes(t)).forEach(t => {
+            fallback.appendChild(new Option(FIREWORK_TYPES[t].name, t));
+        });
+        fallback.appendChild(new Option('Random type', 'random'));
+        fallback.appendChild(new Option('Skip the row', 'skip'));
+    }
+
+    const modal = document.getElementById('cue-import-modal');
+    if (modal) {
+        modal.querySelector('.modal-body').addEventListener('change', onCueImportFormChange);
+    }
+});
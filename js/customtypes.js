@@ -0,0 +1,201 @@
+/**
+ * Custom Types - user-tuned firework types
+ *
+ * A custom type is a clone of a built-in type with its burst parameters
+ * retuned. Types are stored per-project, serialized with the show, and
+ * registered into FIREWORK_TYPES under their id, so events, breaks,
+ * cakes and finales use them like any built-in type.
+ */
+
+// Project type library: [{ id, name, base, params }]
+let customTypes = [];
+
+// The parameters the type editor tunes. Keys with a dot are nested
+// (particleCount.small). Numbers are clamped to min/max.
+const CUSTOM_TYPE_PARAMS = [
+    { key: 'particleCount.small', label: 'Stars (small)', min: 1, max: 300, step: 1 },
+    { key: 'particleCount.medium', label: 'Stars (medium)', min: 1, max: 300, step: 1 },
+    { key: 'particleCount.large', label: 'Stars (large)', min: 1, max: 300, step: 1 },
+    { key: 'spread', label: 'Spread (deg)', min: 0, max: 360, step: 5 },
+    { key: 'spreadOffset', label: 'Aim (deg, -90 is up)', min: -180, max: 180, step: 5 },
+    { key: 'speed.min', label: 'Speed min', min: 0, max: 400, step: 5 },
+    { key: 'speed.max', label: 'Speed max', min: 0, max: 400, step: 5 },
+    { key: 'gravity', label: 'Gravity', min: -50, max: 300, step: 5 },
+    { key: 'lifetime.min', label: 'Life min (s)', min: 0.2, max: 8, step: 0.1 },
+    { key: 'lifetime.max', label: 'Life max (s)', min: 0.2, max: 8, step: 0.1 },
+    { key: 'shape', label: 'Star shape', options: ['circle', 'spark', 'star', 'square', 'ring'] },
+    { key: 'sizeStart', label: 'Star size start', min: 0.5, max: 12, step: 0.5 },
+    { key: 'sizeEnd', label: 'Star size end', min: 0.5, max: 12, step: 0.5 },
+    { key: 'trailLength', label: 'Trail length', min: 0, max: 40, step: 1 },
+    { key: 'twinkle', label: 'Twinkle', toggle: true },
+    { key: 'strobe', label: 'Strobe', toggle: true },
+    { key: 'strobeSpeed', label: 'Strobe speed', min: 1, max: 40, step: 1 },
+    { key: 'wiggle', label: 'Wiggle', toggle: true },
+    { key: 'wiggleAmp', label: 'Wiggle amount', min: 0, max: 200, step: 5 },
+    { key: 'wiggleFreq', label: 'Wiggle speed', min: 0, max: 30, step: 1 }
+];
+
+function getTypeParam(config, key) {
+    return key.split('.').reduce((obj, part) => (obj ? obj[part] : undefined), config);
+}
+
+function setTypeParam(config, key, value) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    const target = parts.reduce((obj, part) => {
+        if (!obj[part] || typeof obj[part] !== 'object') obj[part] = {};
+        return obj[part];
+    }, config);
+    target[last] = value;
+}
+
+/**
+ * Built-in types a custom type can start from (text and custom shells
+ * burst into points, so they have nothing to tune)
+ */
+function getCloneableTypes() {
+    return Object.keys(FIREWORK_TYPES).filter(key =>
+        !FIREWORK_TYPES[key].userDefined && key !== 'text' && key !== 'custom'
+    );
+}
+
+/**
+ * Every tunable parameter of a type config, as a fresh params object
+ */
+function readTypeParams(config) {
+    const params = {};
+    CUSTOM_TYPE_PARAMS.forEach(p => {
+        const value = getTypeParam(config, p.key);
+        if (p.toggle) {
+            setTypeParam(params, p.key, !!value);
+        } else if (p.options) {
+            setTypeParam(params, p.key, p.options.includes(value) ? value : p.options[0]);
+        } else {
+            const n = parseFloat(value);
+            setTypeParam(params, p.key, isFinite(n) ? Math.max(p.min, Math.min(p.max, n)) : p.min);
+        }
+    });
+    // Ranges stay in order
+    ['speed', 'lifetime'].forEach(range => {
+        if (params[range].max < params[range].min) params[range].max = params[range].min;
+    });
+    return params;
+}
+
+/**
+ * The FIREWORK_TYPES entry for a custom type: its base type (keeping
+ * patterns, crackle and splits) with the tuned parameters on top
+ */
+function buildCustomTypeConfig(type) {
+    const base = FIREWORK_TYPES[type.base] || FIREWORK_TYPES.chrysanthemum;
+    const config = JSON.parse(JSON.stringify(base));
+    CUSTOM_TYPE_PARAMS.forEach(p => setTypeParam(config, p.key, getTypeParam(type.params, p.key)));
+    config.name = type.name;
+    config.description = 'Your type, based on ' + base.name;
+    config.userDefined = true;
+    return config;
+}
+
+/**
+ * Clean up a saved type: a known base, a name, and every parameter
+ * clamped (missing ones come from the base)
+ */
+function normalizeCustomType(spec) {
+    const base = getCloneableTypes().includes(spec.base) ? spec.base : 'chrysanthemum';
+    const merged = JSON.parse(JSON.stringify(FIREWORK_TYPES[base]));
+    if (spec.params) {
+        CUSTOM_TYPE_PARAMS.forEach(p => {
+            const value = getTypeParam(spec.params, p.key);
+            if (value !== undefined) setTypeParam(merged, p.key, value);
+        });
+    }
+    return {
+        id: spec.id,
+        name: String(spec.name || 'My Type').slice(0, 20),
+        base: base,
+        params: readTypeParams(merged)
+    };
+}
+
+/**
+ * Put the library into FIREWORK_TYPES (dropping types no longer in it)
+ */
+function registerCustomTypes() {
+    Object.keys(FIREWORK_TYPES).forEach(key => {
+        if (FIREWORK_TYPES[key].userDefined) delete FIREWORK_TYPES[key];
+    });
+    customTypes.forEach(type => {
+        FIREWORK_TYPES[type.id] = buildCustomTypeConfig(type);
+    });
+}
+
+function getCustomType(id) {
+    return customTypes.find(t => t.id === id) || null;
+}
+
+/**
+ * Add a type to the library
+ */
+function addCustomType(name, base, params) {
+    const type = normalizeCustomType({
+        id: 'typ_' + Date.now() + '_' + Math.random().toString(36).substr(2, 6),
+        name: name,
+        base: base,
+        params: params
+    });
+    customTypes.push(type);
+    registerCustomTypes();
+    return type;
+}
+
+/**
+ * Retune a type in the library
+ */
+function updateCustomType(id, name, params) {
+    const index = customTypes.findIndex(t => t.id === id);
+    if (index === -1) return null;
+    customTypes[index] = normalizeCustomType({ id: id, name: name, base: customTypes[index].base, params: params });
+    registerCustomTypes();
+    return customTypes[index];
+}
+
+/**
+ * Remove a type from the library
+ */
+function removeCustomType(id) {
+    const index = customTypes.findIndex(t => t.id === id);
+    if (index !== -1) {
+        customTypes.splice(index, 1);
+        registerCustomTypes();
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Serialize the type library for saving
+ */
+function serializeCustomTypes() {
+    return customTypes.map(t => ({
+        id: t.id,
+        name: t.name,
+        base: t.base,
+        params: JSON.parse(JSON.stringify(t.params))
+    }));
+}
+
+/**
+ * Load the type library from saved data
+ */
+function loadCustomTypes(data) {
+    customTypes = [];
+    if (Array.isArray(data)) {
+        data.forEach(t => {
+            if (t && typeof t.id === 'string' && t.id.startsWith('typ_')) {
+                customTypes.push(normalizeCustomType(t));
+            }
+        });
+    }
+    registerCustomTypes();
+}
+
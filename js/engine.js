@@ -8,10 +8,8 @@ let launcherManager, show;
 let lastTime = 0;
 let stars = [];
 
-// Logical coordinate space. All game logic and saved data use these dimensions.
-// The canvas buffer is scaled up to match the display size for crisp rendering.
-const LOGIC_WIDTH = 800;
-const LOGIC_HEIGHT = 500;
+// Buffer pixels per logical unit (the logical space is the stage format,
+// see stage.js)
 let renderScale = 1;
 
 // Settings
@@ -23,6 +21,7 @@ let selectedLauncherForRemoval = null;
 
 // Test fireworks (fired from the launch modal, run outside show playback)
 let testFireworks = [];
+let testCakeShots = []; // Test-fired cake shots still to go: { config, wait } (seconds)
 
 // Spectacle effects: brief sky bloom on big bursts + camera shake
 let burstFlashes = [];
@@ -77,13 +76,21 @@ function initEngine() {
     setupLauncherButtons();
 
     // Generate background stars
-    generateStars();
+    generateStars(show.seed);
 
     // Initialize weather system (if available)
     if (typeof initWeather === 'function') {
         initWeather();
     }
 
+    // Initialize quality presets (if available)
+    if (typeof initQuality === 'function') {
+        initQuality();
+    }
+
+    // Initialize the stage format control
+    initStageFormat();
+
     // Initialize scenery controls (if available)
     if (typeof initScenery === 'function') {
         initScenery();
@@ -127,8 +134,10 @@ function fitCanvasToContainer() {
     const availH = container.clientHeight - pad;
     if (availW <= 0 || availH <= 0) return;
 
+    // Tall formats may go narrower than 320 to fit the height
     const scale = Math.min(availW / LOGIC_WIDTH, availH / LOGIC_HEIGHT);
-    const cssW = Math.max(320, Math.round(LOGIC_WIDTH * scale));
+    const minW = 320 * Math.min(1, LOGIC_WIDTH / LOGIC_HEIGHT);
+    const cssW = Math.max(minW, Math.round(LOGIC_WIDTH * scale));
     const cssH = Math.round(cssW * (LOGIC_HEIGHT / LOGIC_WIDTH));
 
     canvas.style.width = cssW + 'px';
@@ -183,6 +192,7 @@ function onCanvasPointerDown(e) {
         if (typeof saveState === 'function') saveState('Move Launcher');
         launcherManager.startDrag(launcher);
         selectedLauncherForRemoval = launcher;
+        updateLauncherTiltControl();
         canvas.classList.add('dragging');
         canvas.setPointerCapture(e.pointerId);
         markDirty();
@@ -241,7 +251,25 @@ function onCanvasPointerUp(e) {
  * Runs independently of show playback.
  */
 function testFireFirework(config) {
-    const firework = new Firework(config);
+    // A cake queues its shots, each a plain firework with its own look and lean
+    if (config.cake) {
+        getCakeShots(Object.assign({}, config, { time: 0 })).forEach(shot => {
+            testCakeShots.push({
+                wait: shot.time / 1000,
+                config: Object.assign({}, config, {
+                    type: shot.type,
+                    shellId: shot.shellId,
+                    primaryColor: shot.primaryColor,
+                    secondaryColor: shot.secondaryColor,
+                    angle: normalizeLaunchAngle((config.angle || 0) + shot.angleOffset),
+                    cake: null
+                })
+            });
+        });
+        return;
+    }
+
+    const firework = isGroundEffect(config.type) ? new GroundEffect(config) : new Firework(config);
     testFireworks.push(firework);
 
     if (config.launcherId) {
@@ -268,6 +296,48 @@ function setupLauncherButtons() {
     if (distributeBtn) {
         distributeBtn.addEventListener('click', distributeLaunchers);
     }
+
+    // Tube tilt of the selected launcher: one undo step per slider drag
+    const tiltSlider = document.getElementById('launcher-tilt');
+    if (tiltSlider) {
+        let tiltUndoSaved = false;
+        tiltSlider.addEventListener('input', function() {
+            if (!selectedLauncherForRemoval) return;
+            if (!tiltUndoSaved && typeof saveState === 'function') saveState('Tilt Launcher');
+            tiltUndoSaved = true;
+            selectedLauncherForRemoval.setTilt(this.value);
+            updateLauncherTiltControl();
+            markDirty();
+        });
+        tiltSlider.addEventListener('change', () => { tiltUndoSaved = false; });
+    }
+    updateLauncherTiltControl();
+}
+
+/**
+ * Show the selected launcher's tilt in the settings slider
+ */
+function updateLauncherTiltControl() {
+    const slider = document.getElementById('launcher-tilt');
+    const label = document.getElementById('launcher-tilt-label');
+    const title = document.getElementById('launcher-tilt-title');
+    if (!slider) return;
+
+    const launcher = selectedLauncherForRemoval && launcherManager.getLauncherById(selectedLauncherForRemoval.id);
+    slider.disabled = !launcher;
+    slider.value = launcher ? launcher.tilt : 0;
+    if (label) label.textContent = (launcher ? launcher.tilt : 0) + '°';
+    if (title) title.textContent = launcher ? 'Launcher ' + launcher.id + ' Tilt' : 'Tube Tilt';
+}
+
+/**
+ * Lean the whole rack into a shape ('straight', 'fan', or 'crossed')
+ */
+function tiltLauncherRack(shape) {
+    if (typeof saveState === 'function') saveState('Tilt Launchers');
+    launcherManager.tiltRack(shape);
+    markDirty();
+    showToast(shape === 'straight' ? 'Launchers stood upright' : 'Launchers tilted', 'success');
 }
 
 /**
@@ -319,6 +389,7 @@ function removeSelectedLauncher() {
     if (launcherManager.removeLauncher(id)) {
         showToast('Launcher ' + id + ' removed', 'info');
         selectedLauncherForRemoval = null;
+        updateLauncherTiltControl();
         markDirty();
     }
 }
@@ -329,6 +400,12 @@ function removeSelectedLauncher() {
 function onLaunchersChanged() {
     updateLauncherCount();
     updateLauncherSelectButtons();
+    updateLauncherTiltControl();
+
+    // Timeline lanes follow the launchers' order across the stage
+    if (typeof updateTimelineMarkers === 'function') {
+        updateTimelineMarkers();
+    }
 }
 
 /**
@@ -382,19 +459,24 @@ function updateLauncherSelectButtons() {
 }
 
 /**
- * Generate random stars for background
+ * Generate the background star field from the show seed, so a saved show
+ * always has the same sky
  */
-function generateStars() {
+function generateStars(seed) {
     stars = [];
-    const starCount = 100;
+    // 100 over the classic sky, scaled with the sky on other formats
+    const starCount = Math.round(100 * (LOGIC_HEIGHT - 100) / (CLASSIC_HEIGHT - 100));
+    const rand = (typeof createSeededRandom === 'function' && seed !== undefined)
+        ? createSeededRandom(seed, 'stars')
+        : Math.random;
 
     for (let i = 0; i < starCount; i++) {
         stars.push({
-            x: Math.random() * LOGIC_WIDTH,
-            y: Math.random() * (LOGIC_HEIGHT - 100), // Keep stars above launchers
-            size: Math.random() * 1.5 + 0.5,
-            brightness: Math.random(),
-            twinkleSpeed: Math.random() * 2 + 1
+            x: rand() * LOGIC_WIDTH,
+            y: rand() * (LOGIC_HEIGHT - 100), // Keep stars above launchers
+            size: rand() * 1.5 + 0.5,
+            brightness: rand(),
+            twinkleSpeed: rand() * 2 + 1
         });
     }
 }
@@ -425,56 +507,116 @@ function render(timestamp) {
     // Cap delta time to prevent huge jumps
     const cappedDt = Math.min(dt, 0.1);
 
+    // The offline video renderer steps the world itself while it runs
+    if (typeof videoExport === 'undefined' || !videoExport.offline) {
+        const frameStart = performance.now();
+        renderFrame(ctx, canvas, renderScale, cappedDt, timestamp);
+
+        // Auto quality follows how fast frames actually arrive
+        if (typeof noteFrameTime === 'function') {
+            noteFrameTime(dt);
+        }
+
+        // Performance HUD (kept out of real-time video recordings)
+        if (typeof notePerfFrame === 'function') {
+            notePerfFrame(dt, performance.now() - frameStart);
+            if (perfHud.visible && (typeof videoExport === 'undefined' || !videoExport.recording)) {
+                drawPerfHud(ctx, renderScale);
+            }
+        }
+
+        // Smoke visibility warning (also kept out of recordings)
+        if (typeof updateSmokeForecast === 'function') {
+            updateSmokeForecast(dt);
+            if (typeof videoExport === 'undefined' || !videoExport.recording) {
+                drawSmokeWarning(ctx, renderScale);
+            }
+        }
+    }
+
+    // Continue render loop
+    requestAnimationFrame(render);
+}
+
+/**
+ * Advance the world by one step and draw it. Shared by the live render
+ * loop and the offline video renderer.
+ * @param {CanvasRenderingContext2D} target - Context to draw into
+ * @param {HTMLCanvasElement} targetCanvas - Its canvas (the lake reflects it)
+ * @param {number} scale - Buffer pixels per logical unit
+ * @param {number} dt - Wall-clock step in seconds
+ * @param {number} timestamp - Animation clock in ms (star twinkle, ripples)
+ */
+function renderFrame(target, targetCanvas, scale, dt, timestamp) {
+    // Simulated time for everything outside the schedule, so slow motion
+    // slows smoke, flashes and launcher sparks along with the fireworks
+    const worldDt = dt * show.getTimeScale();
+
+    // Stars on stage, for the quality budget
+    if (typeof recountLiveStars === 'function') {
+        recountLiveStars(show.activeFireworks.concat(testFireworks));
+    }
+
     // Scale all drawing from logical coordinates to the buffer size
-    ctx.setTransform(renderScale, 0, 0, renderScale, 0, 0);
+    target.setTransform(scale, 0, 0, scale, 0, 0);
 
     // Camera shake from big bursts (drawing only; input math is unaffected)
     if (shakeMag > 0.05) {
-        ctx.translate((Math.random() - 0.5) * 2 * shakeMag, (Math.random() - 0.5) * 2 * shakeMag);
-        shakeMag *= Math.exp(-6 * cappedDt);
+        target.translate((show.sceneRandom() - 0.5) * 2 * shakeMag, (show.sceneRandom() - 0.5) * 2 * shakeMag);
+        shakeMag *= Math.exp(-6 * worldDt);
     } else {
         shakeMag = 0;
     }
 
     // Clear canvas (oversized so shake never exposes bare buffer edges)
-    ctx.fillStyle = backgroundColor;
-    ctx.fillRect(-10, -10, LOGIC_WIDTH + 20, LOGIC_HEIGHT + 20);
+    target.fillStyle = backgroundColor;
+    target.fillRect(-10, -10, LOGIC_WIDTH + 20, LOGIC_HEIGHT + 20);
 
     // Draw background stars
     if (showStars) {
-        drawStars(timestamp);
+        drawStars(target, timestamp);
     }
 
     // Draw backdrop silhouette (behind fireworks)
     if (typeof drawBackdrop === 'function') {
-        drawBackdrop(ctx);
+        drawBackdrop(target);
     }
 
     // Draw ground/horizon (the lake replaces it when water is on)
     if (typeof scenery === 'undefined' || !scenery.water) {
-        drawGround();
+        drawGround(target);
     }
 
     // Update smoke (if weather system is loaded)
     if (typeof smokeManager !== 'undefined' && smokeManager) {
-        smokeManager.update(cappedDt);
+        smokeManager.update(worldDt);
+    }
+
+    // Move the rain, fog and cloud along
+    if (typeof updateWeatherScene === 'function') {
+        updateWeatherScene(worldDt);
     }
 
     // Draw smoke behind fireworks (if weather system is loaded)
     if (typeof smokeManager !== 'undefined' && smokeManager) {
-        smokeManager.draw(ctx);
+        smokeManager.draw(target);
     }
 
-    // Update and draw show
-    show.update(cappedDt);
-    show.draw(ctx);
+    // Update and draw show (scales its own step by the playback speed)
+    show.update(dt);
+    show.draw(target);
 
     // Update and draw test fireworks (run even while the show is stopped)
+    if (testCakeShots.length > 0) {
+        testCakeShots.forEach(shot => { shot.wait -= worldDt; });
+        testCakeShots.filter(shot => shot.wait <= 0).forEach(shot => testFireFirework(shot.config));
+        testCakeShots = testCakeShots.filter(shot => shot.wait > 0);
+    }
     if (testFireworks.length > 0) {
-        testFireworks.forEach(fw => fw.update(cappedDt));
+        testFireworks.forEach(fw => fw.update(worldDt));
         testFireworks = testFireworks.filter(fw => fw.phase !== 'done');
-        testFireworks.forEach(fw => fw.draw(ctx));
-        if (testFireworks.length === 0 && typeof onTestFireworksDone === 'function') {
+        testFireworks.forEach(fw => fw.draw(target));
+        if (testFireworks.length === 0 && testCakeShots.length === 0 && typeof onTestFireworksDone === 'function') {
             onTestFireworksDone();
         }
     }
@@ -482,78 +624,85 @@ function render(timestamp) {
     // Sky bloom: brief additive lift when big shells burst
     if (burstFlashes.length > 0) {
         burstFlashes = burstFlashes.filter(f => {
-            f.age += cappedDt;
+            f.age += worldDt;
             return f.age < 0.3;
         });
         if (burstFlashes.length > 0) {
-            ctx.save();
-            ctx.globalCompositeOperation = 'lighter';
+            target.save();
+            target.globalCompositeOperation = 'lighter';
             // Scale down when many flashes overlap so finales don't whiteout
             const damp = Math.min(1, 2.5 / burstFlashes.length);
             burstFlashes.forEach(f => {
                 const alpha = f.strength * (1 - f.age / 0.3) * damp;
                 if (alpha > 0.004) {
-                    ctx.globalAlpha = alpha;
-                    ctx.fillStyle = f.color;
-                    ctx.fillRect(-10, -10, LOGIC_WIDTH + 20, LOGIC_HEIGHT + 20);
+                    target.globalAlpha = alpha;
+                    target.fillStyle = f.color;
+                    target.fillRect(-10, -10, LOGIC_WIDTH + 20, LOGIC_HEIGHT + 20);
                 }
             });
-            ctx.restore();
+            target.restore();
         }
     }
 
+    // Cloud deck hides what bursts above it (and the lake mirrors it)
+    if (typeof drawCloudDeck === 'function') {
+        drawCloudDeck(target, show.activeFireworks.concat(testFireworks));
+    }
+
     // Lake reflection mirrors everything drawn so far (sky + bursts)
     if (typeof drawWater === 'function') {
-        drawWater(ctx, canvas, renderScale, timestamp);
-        drawBarges(ctx, launcherManager.launchers);
+        drawWater(target, targetCanvas, scale, timestamp);
+        drawBarges(target, launcherManager.launchers);
     }
 
     // Update and draw launchers (always, so flash/spark effects animate
     // regardless of playback state)
-    launcherManager.update(cappedDt);
-    launcherManager.draw(ctx);
+    launcherManager.update(worldDt);
+    launcherManager.draw(target);
 
-    // Continue render loop
-    requestAnimationFrame(render);
+    // Fog and rain in front of everything
+    if (typeof drawWeatherOverlay === 'function') {
+        drawWeatherOverlay(target);
+    }
 }
 
 /**
  * Draw twinkling stars
  */
-function drawStars(timestamp) {
+function drawStars(target, timestamp) {
     stars.forEach(star => {
         const twinkle = 0.5 + 0.5 * Math.sin(timestamp / 1000 * star.twinkleSpeed);
         const alpha = star.brightness * twinkle;
 
-        ctx.save();
-        ctx.globalAlpha = alpha;
-        ctx.fillStyle = '#ffffff';
-        ctx.beginPath();
-        ctx.arc(star.x, star.y, star.size, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.restore();
+        target.save();
+        target.globalAlpha = alpha;
+        target.fillStyle = '#ffffff';
+        target.beginPath();
+        target.arc(star.x, star.y, star.size, 0, Math.PI * 2);
+        target.fill();
+        target.restore();
     });
 }
 
 /**
  * Draw ground/horizon line
  */
-function drawGround() {
+function drawGround(target) {
     // Gradient for ground
-    const groundGradient = ctx.createLinearGradient(0, LOGIC_HEIGHT - 50, 0, LOGIC_HEIGHT);
+    const groundGradient = target.createLinearGradient(0, LOGIC_HEIGHT - 50, 0, LOGIC_HEIGHT);
     groundGradient.addColorStop(0, 'transparent');
     groundGradient.addColorStop(1, 'rgba(30, 30, 50, 0.8)');
 
-    ctx.fillStyle = groundGradient;
-    ctx.fillRect(0, LOGIC_HEIGHT - 50, LOGIC_WIDTH, 50);
+    target.fillStyle = groundGradient;
+    target.fillRect(0, LOGIC_HEIGHT - 50, LOGIC_WIDTH, 50);
 
     // Horizon line
-    ctx.strokeStyle = 'rgba(100, 100, 150, 0.3)';
-    ctx.lineWidth = 1;
-    ctx.beginPath();
-    ctx.moveTo(0, LOGIC_HEIGHT - 45);
-    ctx.lineTo(LOGIC_WIDTH, LOGIC_HEIGHT - 45);
-    ctx.stroke();
+    target.strokeStyle = 'rgba(100, 100, 150, 0.3)';
+    target.lineWidth = 1;
+    target.beginPath();
+    target.moveTo(0, LOGIC_HEIGHT - 45);
+    target.lineTo(LOGIC_WIDTH, LOGIC_HEIGHT - 45);
+    target.stroke();
 }
 
 /**
@@ -570,6 +719,11 @@ function updateTimeDisplay(currentTime, duration) {
     const progress = (currentTime / duration) * 100;
     document.getElementById('timeline-progress').style.width = progress + '%';
     document.getElementById('playhead').style.left = progress + '%';
+
+    // Scroll a zoomed timeline along with playback
+    if (typeof followTimelinePlayhead === 'function') {
+        followTimelinePlayhead(currentTime, duration);
+    }
 }
 
 /**
@@ -637,16 +791,25 @@ function renderShowPreview() {
     // Score candidate moments: one per event, ~1.5s after launch. Shells
     // burst around 0.8s and read brightest from ~1.0s to ~2.2s of age,
     // before the particles fade out.
+    // Each cake shot counts as a launch of its own.
+    const launches = [];
+    show.events.forEach(e => {
+        if (e.cake) {
+            getCakeShots(e).forEach(shot => launches.push({ event: e, shot: shot, time: shot.time }));
+        } else {
+            launches.push({ event: e, shot: null, time: e.time });
+        }
+    });
     const weights = { small: 1, medium: 2, large: 3 };
-    const candidates = [...new Set(show.events.map(e => e.time + 1500))];
+    const candidates = [...new Set(launches.map(l => l.time + 1500))];
     let bestT = 0;
     let bestScore = -1;
     candidates.forEach(T => {
         let score = 0;
-        show.events.forEach(e => {
-            const age = T - e.time;
+        launches.forEach(l => {
+            const age = T - l.time;
             if (age >= 1000 && age <= 2200) {
-                score += weights[e.size] || 2;
+                score += weights[l.event.size] || 2;
             }
         });
         if (score > bestScore || (score === bestScore && T > bestT)) {
@@ -664,31 +827,14 @@ function renderShowPreview() {
     try {
         // Simulate every firework that would be visible at the chosen moment
         const fireworks = [];
-        show.events.forEach(e => {
-            const age = (bestT - e.time) / 1000;
+        launches.forEach(l => {
+            const age = (bestT - l.time) / 1000;
             if (age < 0 || age > 4.5) return;
 
-            const launcher = launcherManager.getLauncherById(e.launcherId);
-            if (!launcher) return;
-            const pos = launcher.getLaunchPosition();
-
-            const fw = new Firework({
-                launchX: pos.x,
-                launchY: pos.y,
-                type: e.type,
-                text: e.text,
-                shellId: e.shellId,
-                primaryColor: e.primaryColor,
-                secondaryColor: e.secondaryColor,
-                size: e.size,
-                height: e.height,
-                trail: e.trail
-            });
+            const fw = show.createFirework(l.event, l.shot);
+            if (!fw) return;
 
-            const step = 1 / 30;
-            for (let t = 0; t < age && fw.phase !== 'done'; t += step) {
-                fw.update(step);
-            }
+            show.fastForwardFirework(fw, age, l.time);
             if (fw.phase !== 'done') {
                 fireworks.push(fw);
             }
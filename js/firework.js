@@ -3,14 +3,25 @@
  */
 class Firework {
     constructor(config) {
+        // Seeded stream for everything this shell does (see random.js).
+        // Smoke and draw-time sparkle get their own forks so how often
+        // they draw can't change the burst itself.
+        this.rand = config.rand || Math.random;
+        this.smokeRand = typeof forkRandom === 'function' ? forkRandom(this.rand) : Math.random;
+        this.drawRand = typeof forkRandom === 'function' ? forkRandom(this.rand) : Math.random;
+
         // Launch position (ground level)
         this.launchX = config.launchX || 400;
         this.launchY = config.launchY || 500;
 
+        // Launch angle in degrees from vertical (negative leans left)
+        this.angle = config.angle || 0;
+
         // Burst position (in the sky)
-        const heightConfig = HEIGHT_CONFIGS[config.height || 'high'];
-        this.burstY = heightConfig.burstY;
-        this.launchSpeed = heightConfig.launchSpeed;
+        const heightProfile = getHeightProfile(config.height || 'high');
+        this.burstY = heightProfile.burstY;
+        this.launchSpeed = heightProfile.launchSpeed;
+        this.rocketGravity = heightProfile.gravity;
 
         // Current position (starts at launch)
         this.x = this.launchX;
@@ -18,26 +29,22 @@ class Firework {
 
         // Firework configuration
         this.type = config.type || 'chrysanthemum';
-        this.typeConfig = FIREWORK_TYPES[this.type];
+        // A type being tuned in the type editor brings its own config; a
+        // deleted custom type falls back to a classic burst
+        this.typeConfig = config.typeConfig || FIREWORK_TYPES[this.type] || FIREWORK_TYPES.chrysanthemum;
         this.primaryColor = config.primaryColor || '#ff0000';
         this.secondaryColor = config.secondaryColor || '#ffaa00';
         this.size = config.size || 'medium';
         this.trailEffect = config.trail || 'sparkle';
         this.launchSound = config.launchSound || 'whistle';
 
+        // Color-changing stars: discrete color stages at fractions of
+        // each star's life (first break only; later breaks set their own colors)
+        this.colorStops = typeof normalizeColorStops === 'function' ? normalizeColorStops(config.colorStops) : [];
+
         // Custom burst points (text and user-designed shells)
         this.shellPoints = null;
-        if (this.typeConfig && this.typeConfig.customPattern === 'points' &&
-            typeof resolveShellPoints === 'function') {
-            this.shellPoints = resolveShellPoints(config);
-            // Fall back to a classic burst if the points are missing
-            // (e.g. a deleted shell or empty text)
-            if (!this.shellPoints || this.shellPoints.length === 0) {
-                this.type = 'chrysanthemum';
-                this.typeConfig = FIREWORK_TYPES.chrysanthemum;
-                this.shellPoints = null;
-            }
-        }
+        this.resolvePoints(config);
 
         // Phase management
         this.phase = 'launch'; // 'launch', 'burst', 'fade', 'done'
@@ -48,27 +55,55 @@ class Firework {
         this.rocketTrail = [];
 
         // Burst particles
-        this.particles = [];
+        this.particles = ParticleStore.obtain();
 
-        // Secondary burst tracking
-        this.secondaryBurstTriggered = false;
+        // Multi-break shells: follow-up breaks after the first burst, each
+        // timed from the one before. While bursting, 'pending' holds what
+        // is still to come (breaks, crackle, crossette splits), ordered by
+        // seconds into the burst phase.
+        this.breaks = typeof normalizeShellBreaks === 'function' ? normalizeShellBreaks(config.breaks) : [];
+        this.breakIndex = 0;
+        this.lastBreakAt = 0;
+        this.pending = [];
 
-        // Crossette split tracking
-        this.splitTriggered = false;
+        // Burst patterns with per-frame hooks, once they've burst
+        this.patternHooks = [];
 
         // Initialize rocket for launch
         this.initRocket();
     }
 
+    /**
+     * Look up the burst points for a text or custom shell config, falling
+     * back to a classic burst if they are missing (e.g. a deleted shell
+     * or empty text)
+     */
+    resolvePoints(config) {
+        this.shellPoints = null;
+        if (this.typeConfig && this.typeConfig.customPattern === 'points' &&
+            typeof resolveShellPoints === 'function') {
+            this.shellPoints = resolveShellPoints(config);
+            if (!this.shellPoints || this.shellPoints.length === 0) {
+                this.type = 'chrysanthemum';
+                this.typeConfig = FIREWORK_TYPES.chrysanthemum;
+                this.shellPoints = null;
+            }
+        }
+    }
+
     /**
      * Initialize the rocket (rising mortar)
      */
     initRocket() {
         const trailConfig = TRAIL_CONFIGS[this.trailEffect];
 
+        // Angled shells climb at the same rate as upright ones, so they still
+        // reach their burst height on time, and drift sideways along the
+        // tube's line: a ballistic arc away from the launcher
         this.rocket = {
             x: this.launchX,
             y: this.launchY,
+            vx: Math.tan(this.angle * Math.PI / 180) * this.launchSpeed,
             vy: -this.launchSpeed,
             size: 4,
             trailLength: 15 * (trailConfig.trailMultiplier || 1)
@@ -103,7 +138,7 @@ class Firework {
         if (typeof smokeManager !== 'undefined' && smokeManager && this.phaseTime < 0.5) {
             // Only emit smoke during first 0.5 seconds of launch
             if (!this.launchSmokeStarted) {
-                smokeManager.createLaunchSmoke(this.launchX, this.launchY);
+                smokeManager.createLaunchSmoke(this.launchX, this.launchY, undefined, this.smokeRand);
                 this.launchSmokeStarted = true;
             }
         }
@@ -115,19 +150,20 @@ class Firework {
         }
 
         // Apply slight gravity deceleration
-        this.rocket.vy += 100 * dt;
+        this.rocket.vy += this.rocketGravity * dt;
 
         // Apply wind to rocket (if weather system is loaded)
         if (typeof getWindForce === 'function') {
-            const windForce = getWindForce();
+            const windForce = getWindForce(this.rocket.y);
             this.rocket.x += windForce * dt * 0.3; // Rockets are less affected by wind
         }
 
         // Move rocket
+        this.rocket.x += this.rocket.vx * dt;
         this.rocket.y += this.rocket.vy * dt;
 
-        // Add slight wobble
-        this.rocket.x = this.rocket.x + Math.sin(this.phaseTime * 10) * 0.5;
+        // Add slight wobble (0.5px per 60 fps frame)
+        this.rocket.x = this.rocket.x + Math.sin(this.phaseTime * 10) * 30 * dt;
 
         // Check if reached burst height
         if (this.rocket.y <= this.burstY || this.rocket.vy >= 0) {
@@ -135,17 +171,17 @@ class Firework {
             // muted whoosh, or silence
             if (typeof playSound === 'function') {
                 if (this.launchSound === 'whistle') {
-                    playSound('whoosh', 0.65, { x: this.rocket.x, rate: 0.94 + Math.random() * 0.12 });
+                    playSound('whoosh', 0.65, { x: this.rocket.x, rate: 0.94 + this.rand() * 0.12 });
                 } else if (this.launchSound === 'quiet') {
-                    playSound('whoosh', 0.22, { x: this.rocket.x, y: 200, rate: 0.8 });
+                    playSound('whoosh', 0.22, { x: this.rocket.x, y: stageY(200), rate: 0.8 });
                 }
             }
 
             this.x = this.rocket.x;
             this.y = this.rocket.y;
-            this.burst();
             this.phase = 'burst';
             this.phaseTime = 0;
+            this.burst();
         }
     }
 
@@ -154,26 +190,24 @@ class Firework {
      */
     updateBurst(dt) {
         // Update all particles
-        this.particles = this.particles.filter(p => p.update(dt));
-
-        // Check for secondary burst
-        if (this.typeConfig.hasSecondaryBurst &&
-            !this.secondaryBurstTriggered &&
-            this.phaseTime >= this.typeConfig.secondaryDelay) {
-            this.triggerSecondaryBurst();
-            this.secondaryBurstTriggered = true;
-        }
-
-        // Check for crossette split
-        if (this.typeConfig.hasSplit &&
-            !this.splitTriggered &&
-            this.phaseTime >= this.typeConfig.splitDelay) {
-            this.triggerCrossetteSplit();
-            this.splitTriggered = true;
+        this.particles.update(dt);
+        this.patternHooks.forEach(pattern => pattern.update && pattern.update(this, dt));
+
+        // Run whatever has come due: the next break, crackle, crossette split
+        while (this.pending.length > 0 && this.phaseTime >= this.pending[0].at) {
+            const step = this.pending.shift();
+            if (step.kind === 'break') {
+                this.startBreak(step);
+            } else if (step.kind === 'crackle') {
+                this.triggerSecondaryBurst(step);
+            } else if (step.kind === 'split') {
+                this.triggerCrossetteSplit(step);
+            }
         }
 
-        // Transition to fade when most particles are gone
-        if (this.particles.length < 10) {
+        // Transition to fade when most particles are gone and no break is
+        // still waiting to fire
+        if (this.particles.length < 10 && !this.pending.some(step => step.kind === 'break')) {
             this.phase = 'fade';
             this.phaseTime = 0;
         }
@@ -184,18 +218,89 @@ class Firework {
      */
     updateFade(dt) {
         // Continue updating remaining particles
-        this.particles = this.particles.filter(p => p.update(dt));
+        this.particles.update(dt);
+        this.patternHooks.forEach(pattern => pattern.update && pattern.update(this, dt));
 
         // Mark as done when all particles gone or timeout
         if (this.particles.length === 0 || this.phaseTime > 3) {
             this.phase = 'done';
+            this.particles.release();
+            this.particles = EMPTY_PARTICLES;
         }
     }
 
     /**
-     * Create burst particles
+     * First break: explode, then line up any follow-up breaks
      */
     burst() {
+        let at = 0;
+        this.breaks.forEach((spec, i) => {
+            at += spec.delay;
+            this.schedule({ at: at, kind: 'break', index: i + 1, spec: spec });
+        });
+        this.explodeBreak(0);
+    }
+
+    /**
+     * A follow-up break: the shell takes on the break's type, colors and
+     * size, and explodes again from the same spot
+     */
+    startBreak(step) {
+        const spec = step.spec;
+        this.type = spec.type;
+        this.typeConfig = FIREWORK_TYPES[spec.type] || FIREWORK_TYPES.chrysanthemum;
+        this.primaryColor = spec.primaryColor;
+        this.secondaryColor = spec.secondaryColor;
+        this.size = spec.size;
+        this.colorStops = [];
+        this.resolvePoints(spec);
+        this.breakIndex = step.index;
+        this.explodeBreak(step.at);
+    }
+
+    /**
+     * Explode the current break, tag its stars so its own crackle or
+     * crossette split only touches them, and schedule those effects
+     */
+    explodeBreak(at) {
+        const first = this.particles.length;
+        this.lastBreakAt = at;
+        this.explode();
+        this.particles.breakIndex.fill(this.breakIndex, first, this.particles.length);
+
+        const effect = {
+            index: this.breakIndex,
+            primaryColor: this.primaryColor,
+            secondaryColor: this.secondaryColor,
+            colorStops: this.colorStops
+        };
+        // Each effect draws from a fork taken now: how many stars it works
+        // on (or whether any are left by then) depends on how many the
+        // quality preset and the star budget kept, and mustn't shift the
+        // shell's stream
+        if (this.typeConfig.hasSecondaryBurst) {
+            this.schedule(Object.assign({ at: at + this.typeConfig.secondaryDelay, kind: 'crackle',
+                count: this.typeConfig.secondaryCount || 3, rand: forkRandom(this.rand) }, effect));
+        }
+        if (this.typeConfig.hasSplit) {
+            this.schedule(Object.assign({ at: at + this.typeConfig.splitDelay, kind: 'split',
+                count: this.typeConfig.splitCount || 4, rand: forkRandom(this.rand) }, effect));
+        }
+    }
+
+    /**
+     * Queue a burst-phase step, keeping the queue in time order
+     */
+    schedule(step) {
+        let i = this.pending.length;
+        while (i > 0 && this.pending[i - 1].at > step.at) i--;
+        this.pending.splice(i, 0, step);
+    }
+
+    /**
+     * Create burst particles for the current break
+     */
+    explode() {
         // Screen bloom + camera shake for the big moments
         if (typeof registerBurstEffects === 'function') {
             registerBurstEffects(this.x, this.y, this.primaryColor, this.size);
@@ -204,63 +309,68 @@ class Firework {
         // Boom scaled by shell size: big shells hit louder and deeper,
         // small ones are lighter cracks
         if (typeof playSound === 'function') {
-            const boomVariant = 'boom' + (Math.floor(Math.random() * 3) + 1);
+            const boomVariant = 'boom' + (Math.floor(this.rand() * 3) + 1);
             const volumeMult = this.size === 'large' ? 1.0 : this.size === 'medium' ? 0.62 : 0.35;
-            const boomRate = this.size === 'large' ? 0.86 + Math.random() * 0.08
-                           : this.size === 'medium' ? 0.98 + Math.random() * 0.06
-                           : 1.14 + Math.random() * 0.08;
+            const boomRate = this.size === 'large' ? 0.86 + this.rand() * 0.08
+                           : this.size === 'medium' ? 0.98 + this.rand() * 0.06
+                           : 1.14 + this.rand() * 0.08;
             playSound(boomVariant, volumeMult, { x: this.x, y: this.y, rate: boomRate });
 
             // Trigger crowd cheer after burst (with delay for realism).
-            // Don't even schedule it during offscreen preview renders, since
-            // the mute flag will already be cleared when the timeout fires.
-            if (typeof triggerCrowdCheer === 'function' && !window.PREVIEW_MUTED) {
-                setTimeout(() => triggerCrowdCheer(this.size), 300);
+            // The delay is scheduled on the audio clock rather than a timer,
+            // so offline video renders capture the cheer at the right moment.
+            if (typeof triggerCrowdCheer === 'function') {
+                triggerCrowdCheer(this.size, 0.3);
             }
         }
 
         const sizeMultiplier = SIZE_MULTIPLIERS[this.size];
         const trailConfig = TRAIL_CONFIGS[this.trailEffect];
         const particleCount = this.typeConfig.particleCount[this.size] ||
-                             Math.floor(this.typeConfig.particleCount.medium * sizeMultiplier.particles);
+                            Math.floor(this.typeConfig.particleCount.medium * sizeMultiplier.particles);
 
         // Emit burst smoke at explosion point (if smoke system is available)
         if (typeof smokeManager !== 'undefined' && smokeManager) {
             // Larger fireworks create more smoke
             const smokeIntensity = sizeMultiplier.particles;
             // Pass primary color for colored/glowing smoke effect
-            smokeManager.createBurstSmoke(this.x, this.y, smokeIntensity, this.primaryColor);
-        }
-
-        // Special handling for heart shape
-        if (this.typeConfig.customPattern === 'heart') {
-            this.createHeartPattern(particleCount, sizeMultiplier, trailConfig);
-            return;
+            smokeManager.createBurstSmoke(this.x, this.y, smokeIntensity, this.primaryColor, this.smokeRand);
         }
 
-        // Special handling for saturn (ring + center burst)
-        if (this.typeConfig.customPattern === 'saturn') {
-            this.createSaturnPattern(particleCount, sizeMultiplier, trailConfig);
-            return;
+        // Lower quality thins the break as its stars are added. The full
+        // seeded count is always drawn, so the shell replays the same at
+        // every preset (and wherever auto stands). Designed points are kept.
+        if (!this.shellPoints && typeof getQuality === 'function') {
+            this.particles.detail = getQuality().particles;
         }
 
-        // Special handling for pistil (outer shell + inner core)
-        if (this.typeConfig.customPattern === 'pistil') {
-            this.createPistilPattern(particleCount, sizeMultiplier, trailConfig);
-            return;
-        }
+        try {
+            // Patterned bursts (heart, saturn, pistil, text and shells, plugins)
+            const pattern = BURST_PATTERNS[this.typeConfig.customPattern];
+            if (pattern && pattern.spawn(this, { count: particleCount, sizeMultiplier: sizeMultiplier, trailConfig: trailConfig }) !== false) {
+                if ((pattern.update || pattern.draw) && !this.patternHooks.includes(pattern)) {
+                    this.patternHooks.push(pattern);
+                }
+                return;
+            }
 
-        // Special handling for point patterns (text and custom shells)
-        if (this.typeConfig.customPattern === 'points' && this.shellPoints) {
-            this.createPointsPattern(sizeMultiplier);
-            return;
+            // Create particles in burst pattern
+            for (let i = 0; i < particleCount; i++) {
+                const particle = this.createBurstParticle(i, particleCount, sizeMultiplier, trailConfig);
+                this.particles.push(particle);
+            }
+        } finally {
+            this.particles.detail = 1;
         }
+    }
 
-        // Create particles in burst pattern
-        for (let i = 0; i < particleCount; i++) {
-            const particle = this.createBurstParticle(i, particleCount, sizeMultiplier, trailConfig);
-            this.particles.push(particle);
-        }
+    /**
+     * A star of this shell: a spec for particles.push() that follows the
+     * shell's color stages, whichever pattern created it
+     */
+    createStar(config, colorStops = this.colorStops) {
+        if (colorStops.length > 0) config.colorStages = colorStops;
+        return config;
     }
 
     /**
@@ -276,7 +386,7 @@ class Firework {
         } else {
             const spreadRad = (config.spread * Math.PI) / 180;
             const offsetRad = ((config.spreadOffset || 0) * Math.PI) / 180;
-            angle = offsetRad + (Math.random() - 0.5) * spreadRad;
+            angle = offsetRad + (this.rand() - 0.5) * spreadRad;
         }
 
         // Calculate speed
@@ -284,7 +394,7 @@ class Firework {
         if (config.uniformSpeed) {
             speed = (config.speed.min + config.speed.max) / 2;
         } else {
-            speed = config.speed.min + Math.random() * (config.speed.max - config.speed.min);
+            speed = config.speed.min + this.rand() * (config.speed.max - config.speed.min);
         }
         speed *= sizeMultiplier.speed;
 
@@ -294,7 +404,7 @@ class Firework {
 
         // Calculate lifetime
         const lifetime = config.lifetime.min +
-                        Math.random() * (config.lifetime.max - config.lifetime.min);
+                        this.rand() * (config.lifetime.max - config.lifetime.min);
 
         // Calculate trail length
         const trailLength = Math.floor(config.trailLength * (trailConfig.trailMultiplier || 1));
@@ -304,11 +414,12 @@ class Firework {
         let colorEnd = this.secondaryColor;
         if (config.forceGold) {
             const goldColors = ['#ffd700', '#ffcc00', '#c0c0c0', '#fffacd', '#fff8dc'];
-            colorStart = goldColors[Math.floor(Math.random() * goldColors.length)];
+            colorStart = goldColors[Math.floor(this.rand() * goldColors.length)];
             colorEnd = '#ffffff';
         }
 
-        return new Particle({
+        return this.createStar({
+            rand: this.rand,
             x: this.x,
             y: this.y,
             vx: vx,
@@ -343,12 +454,13 @@ class Firework {
         const expandRate = 0.85; // Reaches full spread in ~1.2s
 
         this.shellPoints.forEach(p => {
-            const jitterX = (Math.random() - 0.5) * 6;
-            const jitterY = (Math.random() - 0.5) * 6;
+            const jitterX = (this.rand() - 0.5) * 6;
+            const jitterY = (this.rand() - 0.5) * 6;
             const lifetime = config.lifetime.min +
-                            Math.random() * (config.lifetime.max - config.lifetime.min);
+                            this.rand() * (config.lifetime.max - config.lifetime.min);
 
-            this.particles.push(new Particle({
+            this.particles.push(this.createStar({
+                rand: this.rand,
                 x: this.x,
                 y: this.y,
                 vx: (p.x * spread + jitterX) * expandRate,
@@ -376,11 +488,12 @@ class Firework {
 
         for (let i = 0; i < outerCount; i++) {
             const angle = (i / outerCount) * Math.PI * 2;
-            const speed = (config.speed.min + Math.random() * (config.speed.max - config.speed.min)) * sizeMultiplier.speed;
-            const lifetime = config.lifetime.min + Math.random() * (config.lifetime.max - config.lifetime.min);
+            const speed = (config.speed.min + this.rand() * (config.speed.max - config.speed.min)) * sizeMultiplier.speed;
+            const lifetime = config.lifetime.min + this.rand() * (config.lifetime.max - config.lifetime.min);
             const trailLength = Math.floor(config.trailLength * (trailConfig.trailMultiplier || 1));
 
-            this.particles.push(new Particle({
+            this.particles.push(this.createStar({
+                rand: this.rand,
                 x: this.x,
                 y: this.y,
                 vx: Math.cos(angle) * speed,
@@ -399,10 +512,11 @@ class Firework {
         // Inner core: slower, brighter, secondary color, slightly longer lived
         for (let i = 0; i < coreCount; i++) {
             const angle = (i / coreCount) * Math.PI * 2;
-            const speed = (config.speed.min * 0.35 + Math.random() * config.speed.min * 0.15) * sizeMultiplier.speed;
-            const lifetime = config.lifetime.min + 0.4 + Math.random() * (config.lifetime.max - config.lifetime.min);
+            const speed = (config.speed.min * 0.35 + this.rand() * config.speed.min * 0.15) * sizeMultiplier.speed;
+            const lifetime = config.lifetime.min + 0.4 + this.rand() * (config.lifetime.max - config.lifetime.min);
 
-            this.particles.push(new Particle({
+            this.particles.push(this.createStar({
+                rand: this.rand,
                 x: this.x,
                 y: this.y,
                 vx: Math.cos(angle) * speed,
@@ -442,11 +556,12 @@ class Firework {
             const vy = Math.sin(angle) * speed;
 
             const lifetime = config.lifetime.min +
-                            Math.random() * (config.lifetime.max - config.lifetime.min);
+                            this.rand() * (config.lifetime.max - config.lifetime.min);
 
             const trailLength = Math.floor(config.trailLength * (trailConfig.trailMultiplier || 1));
 
-            this.particles.push(new Particle({
+            this.particles.push(this.createStar({
+                rand: this.rand,
                 x: this.x,
                 y: this.y,
                 vx: vx,
@@ -479,10 +594,11 @@ class Firework {
             const speed = 100 * sizeMultiplier.speed;
 
             const lifetime = config.lifetime.min +
-                            Math.random() * (config.lifetime.max - config.lifetime.min);
+                            this.rand() * (config.lifetime.max - config.lifetime.min);
             const trailLength = Math.floor(config.trailLength * (trailConfig.trailMultiplier || 1));
 
-            this.particles.push(new Particle({
+            this.particles.push(this.createStar({
+                rand: this.rand,
                 x: this.x,
                 y: this.y,
                 vx: Math.cos(angle) * speed,
@@ -501,13 +617,14 @@ class Firework {
         // Create center burst particles
         for (let i = 0; i < centerCount; i++) {
             const angle = (i / centerCount) * Math.PI * 2;
-            const speed = config.speed.min + Math.random() * (config.speed.max - config.speed.min);
+            const speed = config.speed.min + this.rand() * (config.speed.max - config.speed.min);
 
             const lifetime = config.lifetime.min +
-                            Math.random() * (config.lifetime.max - config.lifetime.min);
+                            this.rand() * (config.lifetime.max - config.lifetime.min);
             const trailLength = Math.floor(config.trailLength * (trailConfig.trailMultiplier || 1));
 
-            this.particles.push(new Particle({
+            this.particles.push(this.createStar({
+                rand: this.rand,
                 x: this.x,
                 y: this.y,
                 vx: Math.cos(angle) * speed * sizeMultiplier.speed,
@@ -526,45 +643,56 @@ class Firework {
 
     /**
      * Trigger crossette split (particles split into multiple trails)
+     * @param {Object} effect - The scheduled split: break index, colors, count, rand
      */
-    triggerCrossetteSplit() {
-        const splitCount = this.typeConfig.splitCount || 4;
-        const newParticles = [];
+    triggerCrossetteSplit(effect) {
+        const splitCount = effect.count;
+        const stars = this.particles;
+        const rand = effect.rand;
 
         // Select particles to split (not all, to keep some original paths)
-        const particlesToSplit = this.particles.filter(() => Math.random() < 0.6);
+        const particlesToSplit = [];
+        for (let i = 0; i < stars.length; i++) {
+            if (stars.breakIndex[i] === effect.index && rand() < 0.6) particlesToSplit.push(i);
+        }
 
+        // Split stars go on the end, so the selected slots stay put
         particlesToSplit.forEach(p => {
+            const x = stars.x[p];
+            const y = stars.y[p];
+            const vx = stars.vx[p];
+            const vy = stars.vy[p];
+            const drift = stars.drift[p];
+
             // Add tiny smoke wisp at split point
             if (typeof smokeManager !== 'undefined' && smokeManager) {
-                smokeManager.createBurstSmoke(p.x, p.y, 0.2, this.primaryColor);
+                smokeManager.createBurstSmoke(x, y, 0.2, effect.primaryColor, this.smokeRand);
             }
 
             // Create split particles
             for (let j = 0; j < splitCount; j++) {
                 const splitAngle = (j / splitCount) * Math.PI * 2;
-                const splitSpeed = 40 + Math.random() * 30;
-
-                newParticles.push(new Particle({
-                    x: p.x,
-                    y: p.y,
-                    vx: p.vx * 0.3 + Math.cos(splitAngle) * splitSpeed,
-                    vy: p.vy * 0.3 + Math.sin(splitAngle) * splitSpeed,
+                const splitSpeed = 40 + rand() * 30;
+
+                stars.push(this.createStar({
+                    rand: rand,
+                    x: x,
+                    y: y,
+                    vx: vx * 0.3 + Math.cos(splitAngle) * splitSpeed,
+                    vy: vy * 0.3 + Math.sin(splitAngle) * splitSpeed,
+                    drift: drift,
                     gravity: 50,
-                    lifetime: 0.8 + Math.random() * 0.5,
-                    colorStart: this.primaryColor,
-                    colorEnd: this.secondaryColor,
+                    lifetime: 0.8 + rand() * 0.5,
+                    colorStart: effect.primaryColor,
+                    colorEnd: effect.secondaryColor,
                     sizeStart: 3,
                     sizeEnd: 1,
                     shape: 'circle',
                     trailLength: 6
-                }));
+                }, effect.colorStops));
             }
         });
 
-        // Add new split particles
-        this.particles.push(...newParticles);
-
         // Play a subtle crackle for the split
         if (typeof playSound === 'function') {
             playSound('crackle', 0.4, { x: this.x, y: this.y });
@@ -573,50 +701,60 @@ class Firework {
 
     /**
      * Trigger secondary burst (for crackle type)
+     * @param {Object} effect - The scheduled crackle: break index, colors, count, rand
      */
-    triggerSecondaryBurst() {
+    triggerSecondaryBurst(effect) {
         // Play crackle sound
         if (typeof playSound === 'function') {
             playSound('crackle', 0.6, { x: this.x, y: this.y });
         }
 
-        // Select random particles to burst
-        const burstCount = Math.min(
-            this.typeConfig.secondaryCount || 3,
-            Math.floor(this.particles.length * 0.3)
-        );
+        // Select random stars of this break to burst
+        const rand = effect.rand;
+        const stars = this.particles;
+        const own = [];
+        for (let i = 0; i < stars.length; i++) {
+            if (stars.breakIndex[i] === effect.index) own.push(i);
+        }
+        const burstCount = Math.min(effect.count, Math.floor(own.length * 0.3));
 
         const selectedParticles = [];
-        for (let i = 0; i < burstCount && this.particles.length > 0; i++) {
-            const index = Math.floor(Math.random() * this.particles.length);
-            selectedParticles.push(this.particles[index]);
+        for (let i = 0; i < burstCount && own.length > 0; i++) {
+            const index = Math.floor(rand() * own.length);
+            selectedParticles.push(own[index]);
         }
 
         // Create mini-bursts at selected particle positions
         selectedParticles.forEach(p => {
+            const x = stars.x[p];
+            const y = stars.y[p];
+            const drift = stars.drift[p];
+
             // Add tiny smoke puff at each mini-explosion
             if (typeof smokeManager !== 'undefined' && smokeManager) {
-                smokeManager.createBurstSmoke(p.x, p.y, 0.3, this.secondaryColor);
+                smokeManager.createBurstSmoke(x, y, 0.3, effect.secondaryColor, this.smokeRand);
             }
 
             for (let j = 0; j < 8; j++) {
                 const angle = (j / 8) * Math.PI * 2;
-                const speed = 30 + Math.random() * 30;
+                const speed = 30 + rand() * 30;
 
-                this.particles.push(new Particle({
-                    x: p.x,
-                    y: p.y,
+                stars.push({
+                    rand: rand,
+                    x: x,
+                    y: y,
                     vx: Math.cos(angle) * speed,
                     vy: Math.sin(angle) * speed,
+                    drift: drift,
                     gravity: 60,
-                    lifetime: 0.3 + Math.random() * 0.3,
+                    lifetime: 0.3 + rand() * 0.3,
                     colorStart: '#ffffff',
-                    colorEnd: this.secondaryColor,
+                    colorEnd: effect.secondaryColor,
                     sizeStart: 2,
                     sizeEnd: 1,
                     shape: 'circle',
                     trailLength: 0
-                }));
+                });
             }
         });
     }
@@ -633,6 +771,7 @@ class Firework {
             case 'burst':
             case 'fade':
                 this.drawParticles(ctx);
+                this.patternHooks.forEach(pattern => pattern.draw && pattern.draw(this, ctx));
                 break;
         }
     }
@@ -669,9 +808,9 @@ class Firework {
 
         // Draw sparks from rocket
         for (let i = 0; i < 3; i++) {
-            const sparkX = this.rocket.x + (Math.random() - 0.5) * 10;
-            const sparkY = this.rocket.y + Math.random() * 15;
-            const sparkSize = 1 + Math.random() * 2;
+            const sparkX = this.rocket.x + (this.drawRand() - 0.5) * 10;
+            const sparkY = this.rocket.y + this.drawRand() * 15;
+            const sparkSize = 1 + this.drawRand() * 2;
 
             ctx.save();
             ctx.globalAlpha = 0.8;
@@ -687,9 +826,10 @@ class Firework {
      * Draw burst/fade particles
      */
     drawParticles(ctx) {
-        // Add glow effect at burst center during early burst
-        if (this.phase === 'burst' && this.phaseTime < 0.3) {
-            const glowAlpha = 1 - (this.phaseTime / 0.3);
+        // Add glow effect at burst center just after each break
+        const sinceBreak = this.phaseTime - this.lastBreakAt;
+        if (this.phase === 'burst' && sinceBreak >= 0 && sinceBreak < 0.3) {
+            const glowAlpha = 1 - (sinceBreak / 0.3);
             ctx.save();
             ctx.globalAlpha = glowAlpha * 0.5;
             ctx.fillStyle = this.primaryColor;
@@ -702,6 +842,24 @@ class Firework {
         }
 
         // Draw all particles
-        this.particles.forEach(p => p.draw(ctx));
+        this.particles.draw(ctx);
     }
 }
+
+// Built-in burst patterns, registered like any plugin's (see plugins.js)
+registerBurstPattern('heart', {
+    spawn: (fw, burst) => fw.createHeartPattern(burst.count, burst.sizeMultiplier, burst.trailConfig)
+});
+registerBurstPattern('saturn', {
+    spawn: (fw, burst) => fw.createSaturnPattern(burst.count, burst.sizeMultiplier, burst.trailConfig)
+});
+registerBurstPattern('pistil', {
+    spawn: (fw, burst) => fw.createPistilPattern(burst.count, burst.sizeMultiplier, burst.trailConfig)
+});
+registerBurstPattern('points', {
+    // Text and custom shells; without their points it's a classic burst
+    spawn: (fw, burst) => {
+        if (!fw.shellPoints) return false;
+        fw.createPointsPattern(burst.sizeMultiplier);
+    }
+});
@@ -0,0 +1,498 @@
+/**
+ * Firing Script - export the show as a pyrotechnic cue list (CSV)
+ *
+ * Designs from the editor are the starting point for real displays. A
+ * firing system needs to know when to fire each cue, not when it bursts:
+ * real shells take seconds to climb, so ignition is the burst time minus
+ * a per-size lift time. Launchers map to firing-system modules; each cue
+ * takes the next pin on its module.
+ */
+
+// Seconds a real shell takes from ignition to burst, by size
+const DEFAULT_LIFT_TIMES = { small: 2.5, medium: 3.5, large: 4.5 };
+
+// Nominal shell calibers used in product descriptions
+const SIZE_CALIBERS = { small: '3"', medium: '5"', large: '8"' };
+
+// Named colors for product descriptions (nearest match wins)
+const NAMED_COLORS = [
+    { name: 'Red', hex: '#ff0000' },
+    { name: 'Orange', hex: '#ff8800' },
+    { name: 'Gold', hex: '#ffcc33' },
+    { name: 'Yellow', hex: '#ffff00' },
+    { name: 'Lime', hex: '#88ff00' },
+    { name: 'Green', hex: '#00cc44' },
+    { name: 'Teal', hex: '#00ccaa' },
+    { name: 'Cyan', hex: '#00ffff' },
+    { name: 'Blue', hex: '#0066ff' },
+    { name: 'Navy', hex: '#001a80' },
+    { name: 'Purple', hex: '#9933ff' },
+    { name: 'Magenta', hex: '#ff00ff' },
+    { name: 'Pink', hex: '#ff77aa' },
+    { name: 'White', hex: '#ffffff' },
+    { name: 'Silver', hex: '#b8c4d0' }
+];
+
+// Columns a script can contain
+const FIRING_SCRIPT_FIELDS = {
+    cue: { label: 'Cue', value: r => r.cue },
+    ignition: { label: 'Ignition Time', value: (r, fmt) => formatScriptTime(r.ignitionMs, fmt) },
+    burst: { label: 'Burst Time', value: (r, fmt) => formatScriptTime(r.burstMs, fmt) },
+    module: { label: 'Module', value: r => r.module },
+    pin: { label: 'Pin', value: r => r.pin },
+    launcher: { label: 'Position', value: r => 'L' + r.launcherId },
+    product: { label: 'Product', value: r => r.product },
+    caliber: { label: 'Caliber', value: r => r.caliber },
+    effect: { label: 'Effect', value: r => r.effect },
+    colors: { label: 'Colors', value: r => r.colors },
+    height: { label: 'Height', value: r => r.height },
+    angle: { label: 'Angle (deg)', value: r => r.angle },
+    lift: { label: 'Lift (s)', value: r => r.liftSec.toFixed(2) },
+    group: { label: 'Group', value: r => r.group }
+};
+
+// Preset column layouts; 'generic' uses firingScript.generic
+const FIRING_SCRIPT_LAYOUTS = {
+    'cue-sheet': {
+        name: 'Cue sheet (m:ss.ss)',
+        columns: ['cue', 'ignition', 'module', 'pin', 'product', 'launcher', 'burst'],
+        timeFormat: 'clock',
+        delimiter: ','
+    },
+    'module-table': {
+        name: 'Module / pin table (seconds)',
+        columns: ['module', 'pin', 'ignition', 'caliber', 'effect', 'colors', 'cue'],
+        timeFormat: 'seconds',
+        delimiter: ','
+    },
+    generic: {
+        name: 'Custom CSV'
+    }
+};
+
+const firingScript = {
+    layout: 'cue-sheet',
+    liftTimes: Object.assign({}, DEFAULT_LIFT_TIMES),
+    modules: {},          // launcherId -> { module, firstPin }
+    pinsPerModule: 32,
+    generic: {
+        columns: ['cue', 'ignition', 'burst', 'module', 'pin', 'product'],
+        delimiter: ',',
+        timeFormat: 'seconds',
+        header: true
+    }
+};
+
+// ── Building the script ─────────────────────────────────────────────
+
+/**
+ * Module and first pin for a launcher (defaults: module = launcher id)
+ */
+function getLauncherModule(launcherId) {
+    const entry = firingScript.modules[launcherId];
+    return {
+        module: entry && entry.module !== undefined && entry.module !== '' ? String(entry.module) : String(launcherId),
+        firstPin: entry && entry.firstPin > 0 ? entry.firstPin : 1
+    };
+}
+
+/**
+ * Nearest named color for a hex value
+ */
+function describeColor(hex) {
+    const rgb = hexToRgb(hex);
+    if (!rgb) return '';
+    let best = NAMED_COLORS[0];
+    let bestDist = Infinity;
+    NAMED_COLORS.forEach(c => {
+        const n = hexToRgb(c.hex);
+        const d = (rgb.r - n.r) ** 2 + (rgb.g - n.g) ** 2 + (rgb.b - n.b) ** 2;
+        if (d < bestDist) {
+            bestDist = d;
+            best = c;
+        }
+    });
+    return best.name;
+}
+
+function hexToRgb(hex) {
+    const m = /^#?([0-9a-f]{6})$/i.exec(hex || '');
+    if (!m) return null;
+    const v = parseInt(m[1], 16);
+    return { r: (v >> 16) & 255, g: (v >> 8) & 255, b: v & 255 };
+}
+
+/**
+ * Product description for an event, e.g. 5" Red & Gold Chrysanthemum,
+ * or Gold & White Fountain 5s for a ground effect
+ */
+function describeEventProduct(event) {
+    const ground = isGroundEffect(event.type);
+    const caliber = ground ? '' : SIZE_CALIBERS[event.size] || '';
+    const typeConfig = FIREWORK_TYPES[event.type] || GROUND_EFFECTS[event.type];
+    let effect = typeConfig ? typeConfig.name : event.type;
+    if (ground && event.duration) {
+        effect += ' ' + (event.duration / 1000) + 's';
+    }
+    if (event.type === 'text' && event.text) {
+        effect = 'Text "' + event.text + '"';
+    } else if (event.shellId && typeof getShellById === 'function') {
+        const shell = getShellById(event.shellId);
+        if (shell) effect = shell.name + ' Pattern';
+    }
+    if (event.breaks && event.breaks.length > 0) {
+        effect += ' ' + (event.breaks.length + 1) + '-Break';
+    }
+    // A cake is one item on one cue, however many shots it fires
+    if (event.cake) {
+        effect += ' ' + event.cake.shots + '-Shot Cake';
+    }
+
+    const primary = describeColor(event.primaryColor);
+    const secondary = describeColor(event.secondaryColor);
+    let colors = primary === secondary ? primary : primary + ' & ' + secondary;
+    if (event.colorStops && event.colorStops.length > 0) {
+        colors += ' to ' + event.colorStops.map(stop => describeColor(stop.color)).join(' to ');
+    }
+
+    return [caliber, colors, effect].filter(Boolean).join(' ');
+}
+
+/**
+ * Turn the schedule into firing cues, ordered by ignition time
+ * @returns {{ rows: Array, warnings: Array<string> }}
+ */
+function buildFiringScript() {
+    const warnings = [];
+    let skipped = 0;
+    let early = 0;
+
+    const cues = [];
+    show.events.forEach(event => {
+        const launcher = launcherManager.getLauncherById(event.launcherId);
+        if (!launcher || !launcher.enabled) {
+            skipped++;
+            return;
+        }
+
+        // Ground effects have no lift: they're lit when they should start
+        const burstMs = getBurstTime(event);
+        const liftSec = isGroundEffect(event.type) ? 0
+            : firingScript.liftTimes[event.size] !== undefined
+                ? firingScript.liftTimes[event.size]
+                : DEFAULT_LIFT_TIMES.medium;
+        let ignitionMs = burstMs - liftSec * 1000;
+        if (ignitionMs < 0) {
+            early++;
+            ignitionMs = 0;
+        }
+
+        cues.push({
+            event: event,
+            burstMs: burstMs,
+            ignitionMs: ignitionMs,
+            liftSec: liftSec,
+            angle: launcher.getLaunchAngle(event.angle)
+        });
+    });
+
+    cues.sort((a, b) => (a.ignitionMs - b.ignitionMs) || (a.event.launcherId - b.event.launcherId));
+
+    // Each cue takes the next pin on its launcher's module
+    const nextPin = {};
+    let overflow = 0;
+    const rows = cues.map((c, i) => {
+        const event = c.event;
+        const mapping = getLauncherModule(event.launcherId);
+        if (nextPin[mapping.module] === undefined) {
+            nextPin[mapping.module] = mapping.firstPin;
+        }
+        const pin = nextPin[mapping.module]++;
+        if (pin > firingScript.pinsPerModule) overflow++;
+
+        const typeConfig = FIREWORK_TYPES[event.type] || GROUND_EFFECTS[event.type];
+        const primary = describeColor(event.primaryColor);
+        const secondary = describeColor(event.secondaryColor);
+        return {
+            cue: i + 1,
+            ignitionMs: c.ignitionMs,
+            burstMs: c.burstMs,
+            module: mapping.module,
+            pin: pin,
+            launcherId: event.launcherId,
+            product: describeEventProduct(event),
+            caliber: isGroundEffect(event.type) ? '' : SIZE_CALIBERS[event.size] || '',
+            effect: typeConfig ? typeConfig.name : event.type,
+            colors: primary === secondary ? primary : primary + ' / ' + secondary,
+            height: event.height,
+            angle: c.angle,
+            liftSec: c.liftSec,
+            group: event.groupLabel || ''
+        };
+    });
+
+    if (skipped > 0) {
+        warnings.push(skipped === 1
+            ? '1 launch is on a missing or disabled launcher and was left out'
+            : skipped + ' launches are on missing or disabled launchers and were left out');
+    }
+    if (early > 0) {
+        warnings.push(early + ' cue' + (early === 1 ? ' bursts' : 's burst') + ' too early for its lift time; ignition clamped to 0:00');
+    }
+    if (overflow > 0) {
+        warnings.push(overflow + ' cue' + (overflow === 1 ? ' needs a pin' : 's need pins') + ' beyond ' + firingScript.pinsPerModule + ' per module');
+    }
+
+    return { rows: rows, warnings: warnings };
+}
+
+/**
+ * Format a time for the script
+ * @param {string} format - 'seconds' (12.35), 'clock' (0:12.35) or 'ms'
+ */
+function formatScriptTime(ms, format) {
+    if (format === 'ms') return String(Math.round(ms));
+    const hundredths = Math.round(ms / 10);
+    if (format === 'clock') {
+        const minutes = Math.floor(hundredths / 6000);
+        const seconds = (hundredths % 6000) / 100;
+        return minutes + ':' + seconds.toFixed(2).padStart(5, '0');
+    }
+    return (hundredths / 100).toFixed(2);
+}
+
+/**
+ * Columns, time format and delimiter for the current layout
+ */
+function getFiringScriptLayout() {
+    const preset = FIRING_SCRIPT_LAYOUTS[firingScript.layout];
+    if (!preset || firingScript.layout === 'generic') {
+        return firingScript.generic;
+    }
+    return { columns: preset.columns, timeFormat: preset.timeFormat, delimiter: preset.delimiter, header: true };
+}
+
+function escapeCsvField(value, delimiter) {
+    const str = value === null || value === undefined ? '' : String(value);
+    if (str.includes(delimiter) || str.includes('"') || str.includes('\n')) {
+        return '"' + str.replace(/"/g, '""') + '"';
+    }
+    return str;
+}
+
+/**
+ * Render script rows as CSV text in the current layout
+ */
+function formatFiringScriptCSV(rows) {
+    const layout = getFiringScriptLayout();
+    const columns = layout.columns.filter(key => FIRING_SCRIPT_FIELDS[key]);
+    const delimiter = layout.delimiter || ',';
+    const lines = [];
+
+    if (layout.header !== false) {
+        lines.push(columns.map(key => escapeCsvField(FIRING_SCRIPT_FIELDS[key].label, delimiter)).join(delimiter));
+    }
+    rows.forEach(row => {
+        lines.push(columns.map(key =>
+            escapeCsvField(FIRING_SCRIPT_FIELDS[key].value(row, layout.timeFormat), delimiter)
+        ).join(delimiter));
+    });
+
+    return lines.join('\r\n') + '\r\n';
+}
+
+// ── Dialog ──────────────────────────────────────────────────────────
+
+function openFiringScriptModal() {
+    if (show.events.length === 0) {
+        showToast('Add some fireworks first!', 'info');
+        return;
+    }
+    syncFiringScriptForm();
+    document.getElementById('firing-script-modal').style.display = 'flex';
+}
+
+function closeFiringScriptModal() {
+    const modal = document.getElementById('firing-script-modal');
+    if (modal) modal.style.display = 'none';
+}
+
+/**
+ * Fill the dialog from the current settings
+ */
+function syncFiringScriptForm() {
+    const layoutSel = document.getElementById('firing-layout');
+    layoutSel.value = firingScript.layout;
+
+    ['small', 'medium', 'large'].forEach(size => {
+        document.getElementById('firing-lift-' + size).value = firingScript.liftTimes[size];
+    });
+    document.getElementById('firing-pins-per-module').value = firingScript.pinsPerModule;
+
+    // One row per launcher: module and first pin
+    const moduleList = document.getElementById('firing-module-list');
+    moduleList.innerHTML = '';
+    launcherManager.launchers.slice().sort((a, b) => a.x - b.x).forEach(launcher => {
+        const mapping = getLauncherModule(launcher.id);
+        const row = document.createElement('div');
+        row.className = 'firing-module-row';
+        row.innerHTML = `
+            <span class="firing-module-name">Launcher ${launcher.id}${launcher.enabled ? '' : ' (off)'}</span>
+            <input type="text" class="form-input" data-launcher="${launcher.id}" data-field="module" title="Firing-system module">
+            <input type="number" class="form-input" data-launcher="${launcher.id}" data-field="firstPin" min="1" title="First pin">
+        `;
+        row.querySelector('[data-field="module"]').value = mapping.module;
+        row.querySelector('[data-field="firstPin"]').value = mapping.firstPin;
+        moduleList.appendChild(row);
+    });
+
+    // Custom CSV options
+    const columnList = document.getElementById('firing-columns');
+    columnList.innerHTML = '';
+    Object.keys(FIRING_SCRIPT_FIELDS).forEach(key => {
+        const label = document.createElement('label');
+        label.className = 'type-checkbox';
+        label.innerHTML = `<input type="checkbox" value="${key}"${firingScript.generic.columns.includes(key) ? ' checked' : ''}><span>${FIRING_SCRIPT_FIELDS[key].label}</span>`;
+        columnList.appendChild(label);
+    });
+    document.getElementById('firing-delimiter').value = firingScript.generic.delimiter;
+    document.getElementById('firing-time-format').value = firingScript.generic.timeFormat;
+    document.getElementById('firing-header').checked = firingScript.generic.header;
+
+    updateFiringScriptPreview();
+}
+
+/**
+ * Read the dialog back into the settings
+ */
+function readFiringScriptForm() {
+    firingScript.layout = document.getElementById('firing-layout').value;
+
+    ['small', 'medium', 'large'].forEach(size => {
+        const v = parseFloat(document.getElementById('firing-lift-' + size).value);
+        firingScript.liftTimes[size] = isFinite(v) && v >= 0 ? v : DEFAULT_LIFT_TIMES[size];
+    });
+    const pins = parseInt(document.getElementById('firing-pins-per-module').value, 10);
+    firingScript.pinsPerModule = pins > 0 ? pins : 32;
+
+    document.querySelectorAll('#firing-module-list input').forEach(input => {
+        const id = parseInt(input.dataset.launcher, 10);
+        const entry = firingScript.modules[id] || (firingScript.modules[id] = {});
+        if (input.dataset.field === 'module') {
+            entry.module = input.value.trim();
+        } else {
+            entry.firstPin = Math.max(1, parseInt(input.value, 10) || 1);
+        }
+    });
+
+    firingScript.generic.columns = Array.from(document.querySelectorAll('#firing-columns input:checked')).map(cb => cb.value);
+    firingScript.generic.delimiter = document.getElementById('firing-delimiter').value;
+    firingScript.generic.timeFormat = document.getElementById('firing-time-format').value;
+    firingScript.generic.header = document.getElementById('firing-header').checked;
+}
+
+/**
+ * Show the first rows of the current settings plus any warnings
+ */
+function updateFiringScriptPreview() {
+    const generic = document.getElementById('firing-generic-options');
+    if (generic) generic.style.display = firingScript.layout === 'generic' ? 'block' : 'none';
+
+    const script = buildFiringScript();
+    const csv = formatFiringScriptCSV(script.rows.slice(0, 8));
+    const more = script.rows.length > 8 ? '\n... ' + (script.rows.length - 8) + ' more cues' : '';
+    document.getElementById('firing-preview').textContent = csv.replace(/\r\n$/, '').replace(/\r\n/g, '\n') + more;
+
+    const warn = document.getElementById('firing-warnings');
+    warn.textContent = script.warnings.join('. ');
+    warn.style.display = script.warnings.length > 0 ? 'block' : 'none';
+}
+
+function onFiringScriptFormChange() {
+    readFiringScriptForm();
+    updateFiringScriptPreview();
+    markDirty();
+}
+
+/**
+ * Build the CSV and download it
+ */
+function exportFiringScript() {
+    readFiringScriptForm();
+    if (firingScript.layout === 'generic' && firingScript.generic.columns.length === 0) {
+        showToast('Pick at least one column', 'error');
+        return;
+    }
+
+    const script = buildFiringScript();
+    if (script.rows.length === 0) {
+        showToast('No cues to export', 'error');
+        return;
+    }
+
+    const csv = formatFiringScriptCSV(script.rows);
+    const d = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    const filename = 'firing-script-' + d.getFullYear() + pad(d.getMonth() + 1) + pad(d.getDate()) + '.csv';
+    downloadTextFile(csv, filename, 'text/csv');
+
+    closeFiringScriptModal();
+    showToast('Firing script exported (' + script.rows.length + ' cues)', 'success');
+}
+
+function downloadTextFile(text, filename, type) {
+    const url = URL.createObjectURL(new Blob([text], { type: type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 5000);
+}
+
+// ── Serialization ───────────────────────────────────────────────────
+
+function getFiringScriptSettings() {
+    return {
+        layout: firingScript.layout,
+        liftTimes: Object.assign({}, firingScript.liftTimes),
+        modules: JSON.parse(JSON.stringify(firingScript.modules)),
+        pinsPerModule: firingScript.pinsPerModule,
+        generic: Object.assign({}, firingScript.generic, { columns: firingScript.generic.columns.slice() })
+    };
+}
+
+function loadFiringScriptSettings(settings) {
+    const s = settings || {};
+    firingScript.layout = FIRING_SCRIPT_LAYOUTS[s.layout] ? s.layout : 'cue-sheet';
+    firingScript.liftTimes = Object.assign({}, DEFAULT_LIFT_TIMES, s.liftTimes || {});
+    firingScript.modules = (s.modules && typeof s.modules === 'object') ? JSON.parse(JSON.stringify(s.modules)) : {};
+    firingScript.pinsPerModule = s.pinsPerModule > 0 ? s.pinsPerModule : 32;
+
+    const generic = s.generic || {};
+    firingScript.generic = {
+        columns: Array.isArray(generic.columns)
+            ? generic.columns.filter(key => FIRING_SCRIPT_FIELDS[key])
+            : ['cue', 'ignition', 'burst', 'module', 'pin', 'product'],
+        delimiter: [',', ';', '\t'].includes(generic.delimiter) ? generic.delimiter : ',',
+        timeFormat: ['seconds', 'clock', 'ms'].includes(generic.timeFormat) ? generic.timeFormat : 'seconds',
+        header: generic.header !== false
+    };
+}
+
+// Wire up the dialog's live preview
+document.addEventListener('DOMContentLoaded', () => {
+    const modal = document.getElementById('firing-script-modal');
+    if (!modal) return;
+
+    const layoutSel = document.getElementById('firing-layout');
+    Object.keys(FIRING_SCRIPT_LAYOUTS).forEach(key => {
+        const opt = document.createElement('option');
+        opt.value = key;
+        opt.textContent = FIRING_SCRIPT_LAYOUTS[key].name;
+        layoutSel.appendChild(opt);
+    });
+
+    modal.querySelector('.modal-body').addEventListener('change', onFiringScriptFormChange);
+});
@@ -0,0 +1,238 @@
+/**
+ * Ground Effect Class - fountains, gerbs, mines and Roman candles
+ *
+ * These burn at the launcher for the event's duration instead of lifting
+ * a shell. They share the Firework interface (update, draw, phase), so
+ * the show, test fire and seeking handle both the same way.
+ */
+class GroundEffect {
+    constructor(config) {
+        // Seeded stream, with forks for smoke and draw-time flicker (see random.js)
+        this.rand = config.rand || Math.random;
+        this.smokeRand = typeof forkRandom === 'function' ? forkRandom(this.rand) : Math.random;
+        this.drawRand = typeof forkRandom === 'function' ? forkRandom(this.rand) : Math.random;
+
+        // Sparks leave the tube mouth, along the launch angle
+        this.x = config.launchX || 400;
+        this.y = config.launchY || 450;
+        this.angle = (config.angle || 0) * Math.PI / 180;
+
+        this.type = isGroundEffect(config.type) ? config.type : 'fountain';
+        this.effect = GROUND_EFFECTS[this.type];
+        this.primaryColor = config.primaryColor || '#ffd700';
+        this.secondaryColor = config.secondaryColor || '#ffffff';
+        this.size = config.size || 'medium';
+        this.colorStops = typeof normalizeColorStops === 'function' ? normalizeColorStops(config.colorStops) : [];
+        this.duration = normalizeEffectDuration(this.type, config.duration) / 1000;
+
+        // 'burst' while burning, 'fade' while the last sparks fall, then 'done'
+        this.phase = 'burst';
+        this.phaseTime = 0;
+        this.particles = ParticleStore.obtain();
+
+        this.lit = false;
+        this.emitDebt = 0;   // Fractional sparks carried between frames
+        this.shots = 0;      // Roman candle stars fired so far
+        this.lastShotAt = -1;
+        this.nextSmokeAt = 0;
+    }
+
+    /**
+     * Update effect based on current phase
+     * @param {number} dt - Delta time in seconds
+     */
+    update(dt) {
+        this.phaseTime += dt;
+        this.particles.update(dt);
+
+        if (this.phase === 'burst') {
+            if (!this.lit) this.ignite();
+            this.emit(dt);
+            this.emitSmoke();
+
+            if (this.phaseTime >= this.duration) {
+                this.phase = 'fade';
+                this.phaseTime = 0;
+            }
+        } else if (this.phase === 'fade' && this.particles.length === 0) {
+            this.phase = 'done';
+            this.particles.release();
+            this.particles = EMPTY_PARTICLES;
+        }
+    }
+
+    /**
+     * First frame: the sound for the whole effect (candles pop per star)
+     */
+    ignite() {
+        this.lit = true;
+        if (typeof playSound !== 'function') return;
+
+        const volume = this.size === 'large' ? 0.9 : this.size === 'medium' ? 0.65 : 0.45;
+        if (this.effect.kind === 'fountain') {
+            playSound('fountain', volume * (this.type === 'gerb' ? 1 : 0.8), {
+                x: this.x, duration: this.duration, rate: this.type === 'gerb' ? 1.25 : 1
+            });
+        } else if (this.effect.kind === 'mine') {
+            playSound('mine', volume, { x: this.x, duration: this.duration });
+            if (typeof registerBurstEffects === 'function') {
+                registerBurstEffects(this.x, this.y, this.primaryColor, this.size);
+            }
+        }
+    }
+
+    /**
+     * Spark output over the effect's life: fountains swell in and tail off,
+     * mines hit hardest at the start
+     */
+    intensity() {
+        const t = this.phaseTime;
+        if (this.effect.kind === 'mine') {
+            return Math.max(0, 1 - t / this.duration);
+        }
+        const rampIn = Math.min(1, t / 0.3);
+        const rampOut = Math.min(1, (this.duration - t) / 0.5);
+        return Math.max(0.15, Math.min(rampIn, rampOut));
+    }
+
+    emit(dt) {
+        if (this.effect.kind === 'candle') {
+            // One star per interval, the first as soon as it's lit
+            while (this.shots * this.effect.interval <= this.phaseTime &&
+                   this.shots * this.effect.interval < this.duration) {
+                this.fireStar();
+                this.shots++;
+            }
+            return;
+        }
+
+        // Every seeded spark is drawn; lower quality thins them as they're
+        // added, so the effect replays the same at every preset
+        this.particles.detail = typeof getQuality === 'function' ? getQuality().particles : 1;
+        this.emitDebt += this.effect.rate * SIZE_MULTIPLIERS[this.size].particles * this.intensity() * dt;
+        while (this.emitDebt >= 1) {
+            this.emitDebt -= 1;
+            this.emitSpark();
+        }
+        this.particles.detail = 1;
+    }
+
+    /**
+     * Launch speed that carries a particle about `reach` px up against
+     * gravity (and the air drag that friction adds)
+     */
+    speedFor(gravity) {
+        return Math.sqrt(2 * gravity * this.effect.reach) * 1.5 * SIZE_MULTIPLIERS[this.size].speed;
+    }
+
+    /**
+     * One fountain spark or mine star
+     */
+    emitSpark() {
+        const isStar = this.effect.kind === 'mine';
+        const gravity = isStar ? 90 : 160;
+        const dir = this.angle + (this.rand() * 2 - 1) * this.effect.spread;
+        const speed = this.speedFor(gravity) * (0.7 + this.rand() * 0.45);
+        const color = this.rand() < 0.7 ? this.primaryColor : this.secondaryColor;
+
+        const config = {
+            x: this.x + (this.rand() - 0.5) * 4,
+            y: this.y,
+            vx: Math.sin(dir) * speed,
+            vy: -Math.cos(dir) * speed,
+            gravity: gravity,
+            friction: isStar ? 0.985 : 0.975,
+            lifetime: this.effect.sparkLife * (0.6 + this.rand() * 0.6),
+            // Fountain sparks leave white-hot and cool into their color
+            colorStart: isStar ? color : '#fff4d6',
+            colorEnd: color,
+            sizeStart: isStar ? 3.5 : 2,
+            sizeEnd: isStar ? 1 : 0.5,
+            shape: isStar ? 'circle' : 'spark',
+            trailLength: isStar ? 6 : 3,
+            twinkle: !isStar,
+            rand: this.rand
+        };
+        if (isStar && this.colorStops.length > 0) config.colorStages = this.colorStops;
+        this.particles.push(config);
+    }
+
+    /**
+     * One Roman candle star, alternating the two colors
+     */
+    fireStar() {
+        const gravity = 70;
+        const dir = this.angle + (this.rand() * 2 - 1) * this.effect.spread;
+        const speed = this.speedFor(gravity) * (0.9 + this.rand() * 0.2);
+        const color = this.shots % 2 === 0 ? this.primaryColor : this.secondaryColor;
+
+        const config = {
+            x: this.x,
+            y: this.y,
+            vx: Math.sin(dir) * speed,
+            vy: -Math.cos(dir) * speed,
+            gravity: gravity,
+            friction: 0.99,
+            lifetime: this.effect.sparkLife * (0.9 + this.rand() * 0.2),
+            colorStart: color,
+            colorEnd: color,
+            sizeStart: 5 * SIZE_MULTIPLIERS[this.size].spread,
+            sizeEnd: 2,
+            shape: 'circle',
+            trailLength: 14,
+            rand: this.rand
+        };
+        if (this.colorStops.length > 0) config.colorStages = this.colorStops;
+        this.particles.push(config);
+        this.lastShotAt = this.phaseTime;
+
+        if (typeof playSound === 'function') {
+            const volume = this.size === 'large' ? 0.7 : this.size === 'medium' ? 0.5 : 0.35;
+            playSound('candle', volume, { x: this.x, rate: 0.92 + this.rand() * 0.16 });
+        }
+    }
+
+    /**
+     * Ground effects smoke steadily while they burn
+     */
+    emitSmoke() {
+        if (typeof smokeManager === 'undefined' || !smokeManager) return;
+        if (this.phaseTime < this.nextSmokeAt) return;
+        smokeManager.createLaunchSmoke(this.x, this.y, undefined, this.smokeRand);
+        this.nextSmokeAt = this.phaseTime + (this.effect.kind === 'candle' ? this.effect.interval : 0.4);
+    }
+
+    /**
+     * Draw effect on canvas
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    draw(ctx) {
+        // Hot glow at the tube mouth while burning (a brief flash per candle star)
+        let glow = 0;
+        if (this.phase === 'burst') {
+            if (this.effect.kind === 'candle') {
+                const since = this.phaseTime - this.lastShotAt;
+                glow = this.lastShotAt >= 0 && since < 0.15 ? 1 - since / 0.15 : 0;
+            } else {
+                glow = this.intensity() * (0.75 + this.drawRand() * 0.25);
+            }
+        }
+        if (glow > 0) {
+            ctx.save();
+            ctx.globalCompositeOperation = 'lighter';
+            const r = 10 + 14 * glow;
+            const core = ctx.createRadialGradient(this.x, this.y, 0, this.x, this.y, r);
+            core.addColorStop(0, `rgba(255, 250, 220, ${0.8 * glow})`);
+            core.addColorStop(0.4, this.primaryColor);
+            core.addColorStop(1, 'rgba(0, 0, 0, 0)');
+            ctx.globalAlpha = 0.6 * glow;
+            ctx.fillStyle = core;
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, r, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.restore();
+        }
+
+        this.particles.draw(ctx);
+    }
+}
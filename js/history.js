@@ -35,14 +35,21 @@ function deepCloneState() {
             launchSound: e.launchSound || 'whistle',
             text: e.text || null,
             shellId: e.shellId || null,
+            breaks: normalizeShellBreaks(e.breaks),
+            colorStops: normalizeColorStops(e.colorStops),
+            angle: normalizeLaunchAngle(e.angle),
+            duration: normalizeEffectDuration(e.type, e.duration),
+            cake: normalizeCake(e.type, e.cake),
             group: e.group || null,
             groupLabel: e.groupLabel || null
         })),
         launchers: launcherManager.launchers.map(l => ({
             id: l.id,
             x: l.x,
-            enabled: l.enabled
+            enabled: l.enabled,
+            tilt: l.tilt
         })),
+        customTypes: serializeCustomTypes(),
         duration: show.duration
     };
 }
@@ -87,6 +94,7 @@ function restoreState(state) {
         if (launcherManager.launchers[index]) {
             launcherManager.launchers[index].x = savedLauncher.x;
             launcherManager.launchers[index].enabled = savedLauncher.enabled;
+            launcherManager.launchers[index].setTilt(savedLauncher.tilt);
         }
     });
 
@@ -100,6 +108,14 @@ function restoreState(state) {
         const newLauncher = launcherManager.launchers[launcherManager.launchers.length - 1];
         newLauncher.x = savedLauncher.x;
         newLauncher.enabled = savedLauncher.enabled;
+        newLauncher.setTilt(savedLauncher.tilt);
+    }
+
+    // Restore the type library (launches may point at its types)
+    if (state.customTypes) {
+        loadCustomTypes(state.customTypes);
+        updateShellOptions();
+        if (document.getElementById('type-editor-list')) refreshTypeEditorList();
     }
 
     // Restore duration
@@ -112,6 +128,7 @@ function restoreState(state) {
     refreshEventList();
     updateLauncherCount();
     updateLauncherSelectButtons();
+    updateLauncherTiltControl();
     updateTimeDisplay(show.currentTime, show.duration);
 }
 
@@ -336,7 +353,12 @@ function copySelectedEvents() {
         trail: e.trail,
         launchSound: e.launchSound || 'whistle',
         text: e.text || null,
-        shellId: e.shellId || null
+        shellId: e.shellId || null,
+        breaks: normalizeShellBreaks(e.breaks),
+        colorStops: normalizeColorStops(e.colorStops),
+        angle: normalizeLaunchAngle(e.angle),
+        duration: normalizeEffectDuration(e.type, e.duration),
+        cake: normalizeCake(e.type, e.cake)
     }));
 
     showToast(`Copied ${copiedEvents.length} event${copiedEvents.length > 1 ? 's' : ''} (Ctrl+V to paste)`, 'success');
@@ -375,7 +397,12 @@ function pasteEvents() {
             trail: e.trail,
             launchSound: e.launchSound || 'whistle',
             text: e.text || null,
-            shellId: e.shellId || null
+            shellId: e.shellId || null,
+            breaks: e.breaks,
+            colorStops: e.colorStops,
+            angle: e.angle,
+            duration: e.duration,
+            cake: e.cake
         });
         pastedIds.push(newEvent.id);
     });
@@ -423,7 +450,12 @@ function duplicateSelectedEvents() {
             trail: e.trail,
             launchSound: e.launchSound || 'whistle',
             text: e.text || null,
-            shellId: e.shellId || null
+            shellId: e.shellId || null,
+            breaks: e.breaks,
+            colorStops: e.colorStops,
+            angle: e.angle,
+            duration: e.duration,
+            cake: e.cake
         });
         duplicatedIds.push(newEvent.id);
     });
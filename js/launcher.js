@@ -7,6 +7,7 @@ class Launcher {
         this.x = x;
         this.y = canvasHeight - 20; // Near bottom of canvas
         this.enabled = true;
+        this.tilt = 0; // Tube lean in degrees from vertical (negative leans left)
         this.width = 30;
         this.height = 40;
         this.canvasHeight = canvasHeight;
@@ -15,6 +16,7 @@ class Launcher {
         this.flash = 0; // Sharp muzzle flash (fast decay)
         this.glow = 0;  // Lingering afterglow and ground light (slow decay)
         this.sparks = []; // Ejected sparks from the tube mouth
+        this.flickerRand = Math.random; // Muzzle flicker stream (reseeded per launch)
 
         // Drag state
         this.isDragging = false;
@@ -22,23 +24,29 @@ class Launcher {
 
     /**
      * Trigger launch flash animation
+     * @param {Function} rand - Seeded stream for the sparks (defaults to Math.random)
      */
-    triggerFlash() {
+    triggerFlash(rand = Math.random) {
         this.flash = 1;
         this.glow = 1;
+        this.flickerRand = typeof forkRandom === 'function' ? forkRandom(rand) : Math.random;
 
-        // Eject a burst of sparks from the tube mouth
-        const mouthY = this.y - 32;
-        const count = 10 + Math.floor(Math.random() * 5);
+        // Eject a burst of sparks from the tube mouth, along the tube
+        const mouth = this.getMuzzlePosition();
+        const lean = this.tilt * Math.PI / 180;
+        const count = 10 + Math.floor(rand() * 5);
         for (let i = 0; i < count; i++) {
+            const x = mouth.x + (rand() - 0.5) * 8;
+            const spread = (rand() - 0.5) * 90;
+            const lift = 70 + rand() * 140;
             this.sparks.push({
-                x: this.x + (Math.random() - 0.5) * 8,
-                y: mouthY,
-                vx: (Math.random() - 0.5) * 90,
-                vy: -70 - Math.random() * 140,
+                x: x,
+                y: mouth.y,
+                vx: spread * Math.cos(lean) + lift * Math.sin(lean),
+                vy: spread * Math.sin(lean) - lift * Math.cos(lean),
                 life: 0,
-                maxLife: 0.3 + Math.random() * 0.4,
-                size: 1 + Math.random() * 1.8
+                maxLife: 0.3 + rand() * 0.4,
+                size: 1 + rand() * 1.8
             });
         }
     }
@@ -99,50 +107,60 @@ class Launcher {
 
         ctx.globalAlpha = 1;
 
-        // Draw mortar tube
-        const gradient = ctx.createLinearGradient(x - 12, y, x + 12, y);
+        // Draw mortar tube, leaning by its tilt. A tilted tube is longer so
+        // its mouth stays at launch height (see ROCKET_LAUNCH_Y).
+        const lean = this.tilt * Math.PI / 180;
+        const tubeLength = 30 / Math.cos(lean);
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(lean);
+
+        const gradient = ctx.createLinearGradient(-12, 0, 12, 0);
         gradient.addColorStop(0, '#333');
         gradient.addColorStop(0.5, '#555');
         gradient.addColorStop(1, '#333');
 
         ctx.fillStyle = gradient;
         ctx.beginPath();
-        ctx.moveTo(x - 10, y);
-        ctx.lineTo(x - 8, y - 30);
-        ctx.lineTo(x + 8, y - 30);
-        ctx.lineTo(x + 10, y);
+        ctx.moveTo(-10, 0);
+        ctx.lineTo(-8, -tubeLength);
+        ctx.lineTo(8, -tubeLength);
+        ctx.lineTo(10, 0);
         ctx.closePath();
         ctx.fill();
 
         // Draw tube rim
         ctx.fillStyle = '#666';
         ctx.beginPath();
-        ctx.ellipse(x, y - 30, 10, 4, 0, 0, Math.PI * 2);
+        ctx.ellipse(0, -tubeLength, 10, 4, 0, 0, Math.PI * 2);
         ctx.fill();
 
         // Draw inner darkness
         ctx.fillStyle = '#111';
         ctx.beginPath();
-        ctx.ellipse(x, y - 30, 7, 3, 0, 0, Math.PI * 2);
+        ctx.ellipse(0, -tubeLength, 7, 3, 0, 0, Math.PI * 2);
         ctx.fill();
+        ctx.restore();
 
         // Draw base
         ctx.fillStyle = '#444';
         ctx.fillRect(x - 15, y - 5, 30, 10);
 
         // Muzzle effects sit in front of the tube
-        const mouthY = y - 32;
+        const mouth = this.getMuzzlePosition();
+        const mouthX = mouth.x;
+        const mouthY = mouth.y;
 
         // Lingering ember glow inside the tube mouth
         if (this.glow > 0) {
             ctx.save();
             ctx.globalCompositeOperation = 'lighter';
-            const ember = ctx.createRadialGradient(x, mouthY + 2, 0, x, mouthY + 2, 9);
+            const ember = ctx.createRadialGradient(mouthX, mouthY + 2, 0, mouthX, mouthY + 2, 9);
             ember.addColorStop(0, `rgba(255, 190, 90, ${0.55 * this.glow})`);
             ember.addColorStop(1, 'rgba(255, 100, 20, 0)');
             ctx.fillStyle = ember;
             ctx.beginPath();
-            ctx.arc(x, mouthY + 2, 9, 0, Math.PI * 2);
+            ctx.arc(mouthX, mouthY + 2, 9, 0, Math.PI * 2);
             ctx.fill();
             ctx.restore();
         }
@@ -150,33 +168,35 @@ class Launcher {
         // Sharp muzzle flash: white-hot core with orange falloff, flickering
         if (this.flash > 0) {
             const f = this.flash;
-            const flicker = 0.85 + Math.random() * 0.15;
+            const flicker = 0.85 + this.flickerRand() * 0.15;
             ctx.save();
             ctx.globalCompositeOperation = 'lighter';
 
             const r = (7 + 24 * f) * flicker;
-            const core = ctx.createRadialGradient(x, mouthY, 0, x, mouthY, r);
+            const core = ctx.createRadialGradient(mouthX, mouthY, 0, mouthX, mouthY, r);
             core.addColorStop(0, `rgba(255, 255, 235, ${0.95 * f})`);
             core.addColorStop(0.3, `rgba(255, 215, 130, ${0.7 * f})`);
             core.addColorStop(0.65, `rgba(255, 135, 45, ${0.35 * f})`);
             core.addColorStop(1, 'rgba(255, 80, 0, 0)');
             ctx.fillStyle = core;
             ctx.beginPath();
-            ctx.arc(x, mouthY, r, 0, Math.PI * 2);
+            ctx.arc(mouthX, mouthY, r, 0, Math.PI * 2);
             ctx.fill();
 
-            // Brief vertical flame jet in the first instants of launch
+            // Brief flame jet out along the tube in the first instants of launch
             if (f > 0.45) {
                 const jetH = (58 * (f - 0.45) / 0.55) * flicker;
-                const jet = ctx.createLinearGradient(x, mouthY, x, mouthY - jetH);
+                ctx.translate(mouthX, mouthY);
+                ctx.rotate(lean);
+                const jet = ctx.createLinearGradient(0, 0, 0, -jetH);
                 jet.addColorStop(0, `rgba(255, 240, 185, ${0.85 * f})`);
                 jet.addColorStop(0.5, `rgba(255, 165, 65, ${0.45 * f})`);
                 jet.addColorStop(1, 'rgba(255, 100, 20, 0)');
                 ctx.fillStyle = jet;
                 ctx.beginPath();
-                ctx.moveTo(x - 5, mouthY);
-                ctx.quadraticCurveTo(x - 2, mouthY - jetH * 0.55, x, mouthY - jetH);
-                ctx.quadraticCurveTo(x + 2, mouthY - jetH * 0.55, x + 5, mouthY);
+                ctx.moveTo(-5, 0);
+                ctx.quadraticCurveTo(-2, -jetH * 0.55, 0, -jetH);
+                ctx.quadraticCurveTo(2, -jetH * 0.55, 5, 0);
                 ctx.closePath();
                 ctx.fill();
             }
@@ -247,10 +267,35 @@ class Launcher {
      */
     getLaunchPosition() {
         return {
-            x: this.x,
+            x: this.x + Math.tan(this.tilt * Math.PI / 180) * 30,
             y: this.y - 30 // Top of mortar tube
         };
     }
+
+    /**
+     * Just above the tube mouth, where the flash and sparks start
+     */
+    getMuzzlePosition() {
+        return {
+            x: this.x + Math.tan(this.tilt * Math.PI / 180) * 32,
+            y: this.y - 32
+        };
+    }
+
+    /**
+     * Launch angle for an event: its own angle, or this tube's tilt
+     * @param {number|null} eventAngle - The event's angle (null = none set)
+     */
+    getLaunchAngle(eventAngle) {
+        return eventAngle !== null && eventAngle !== undefined ? eventAngle : this.tilt;
+    }
+
+    /**
+     * Lean the tube (degrees from vertical, negative leans left)
+     */
+    setTilt(degrees) {
+        this.tilt = normalizeLaunchAngle(degrees) || 0;
+    }
 }
 
 /**
@@ -393,6 +438,45 @@ class LauncherManager {
         }
     }
 
+    /**
+     * Tilt the whole rack by position across the stage: 'fan' leans the
+     * tubes outward from the middle, 'crossed' leans them inward so their
+     * shells cross over the centre, 'straight' stands them all up
+     * @param {string} shape - 'straight', 'fan', or 'crossed'
+     * @param {number} spread - Tilt of the outermost tubes (degrees)
+     */
+    tiltRack(shape, spread = 30) {
+        const sorted = [...this.launchers].sort((a, b) => a.x - b.x);
+        const sign = shape === 'fan' ? 1 : shape === 'crossed' ? -1 : 0;
+        sorted.forEach((launcher, i) => {
+            const offset = sorted.length > 1 ? (i / (sorted.length - 1)) * 2 - 1 : 0;
+            launcher.setTilt(offset * spread * sign);
+        });
+
+        if (this.onLaunchersChanged) {
+            this.onLaunchersChanged();
+        }
+    }
+
+    /**
+     * Fit the launchers to a new stage size: they keep their place across
+     * it and stand on its ground
+     */
+    resize(canvasWidth, canvasHeight) {
+        const scaleX = canvasWidth / this.canvasWidth;
+        this.canvasWidth = canvasWidth;
+        this.canvasHeight = canvasHeight;
+        this.launchers.forEach(launcher => {
+            launcher.x *= scaleX;
+            launcher.y = canvasHeight - 20;
+            launcher.canvasHeight = canvasHeight;
+        });
+
+        if (this.onLaunchersChanged) {
+            this.onLaunchersChanged();
+        }
+    }
+
     /**
      * Clear all launchers and reset
      */
@@ -415,6 +499,7 @@ class LauncherManager {
         launcherData.forEach(data => {
             const launcher = new Launcher(data.id, data.x, this.canvasHeight);
             launcher.enabled = data.enabled !== false;
+            launcher.setTilt(data.tilt);
             this.launchers.push(launcher);
 
             // Track highest ID for next launcher
@@ -450,11 +535,13 @@ class LauncherManager {
 
     /**
      * Trigger flash on a specific launcher
+     * @param {number} launcherId - Launcher to flash
+     * @param {Function} rand - Optional seeded stream for the sparks
      */
-    triggerLaunch(launcherId) {
+    triggerLaunch(launcherId, rand) {
         const launcher = this.getLauncherById(launcherId);
         if (launcher) {
-            launcher.triggerFlash();
+            launcher.triggerFlash(rand);
         }
     }
 
@@ -481,7 +568,8 @@ class LauncherManager {
         return this.launchers.map(l => ({
             id: l.id,
             x: l.x,
-            enabled: l.enabled
+            enabled: l.enabled,
+            tilt: l.tilt
         }));
     }
 }
@@ -23,11 +23,14 @@ const music = {
     sourceNode: null,  // MediaElementSource (creatable only once per element)
     gain: null,
     durationMs: 0,
-    waveform: null,    // Peak buckets for the timeline
+    waveform: null,    // Peak per WAVEFORM_BIN_MS of audio, for the timeline
     beatGrid: null,    // { bpm, offsetMs } detected from the track
     loadSeq: 0
 };
 
+// Waveform resolution: fine enough for a fully zoomed-in timeline
+const WAVEFORM_BIN_MS = 10;
+
 function getMusicTrack(id) {
     return MUSIC_TRACKS.find(t => t.id === id) || null;
 }
@@ -141,14 +144,15 @@ function setMusicTrack(trackId) {
         .then(decoded => {
             if (!decoded || seq !== music.loadSeq) return;
             const data = decoded.getChannelData(0);
-            const buckets = 700;
-            const step = Math.floor(data.length / buckets);
-            const peaks = new Array(buckets);
+            const step = Math.max(1, Math.round(decoded.sampleRate * WAVEFORM_BIN_MS / 1000));
+            const buckets = Math.ceil(data.length / step);
+            const peaks = new Float32Array(buckets);
             for (let i = 0; i < buckets; i++) {
                 let max = 0;
                 const start = i * step;
-                for (let j = 0; j < step; j += 16) {
-                    const v = Math.abs(data[start + j]);
+                const end = Math.min(data.length, start + step);
+                for (let j = start; j < end; j += 4) {
+                    const v = Math.abs(data[j]);
                     if (v > max) max = v;
                 }
                 peaks[i] = max;
@@ -172,6 +176,7 @@ function getMusicDurationMs() {
 
 function musicPlay(fromMs) {
     if (!music.trackId || !music.element || window.PREVIEW_MUTED) return;
+    if (typeof isAudioCapturing === 'function' && isAudioCapturing()) return; // Mixed offline instead
     if (audioContext && audioContext.state === 'suspended') audioContext.resume();
     const pos = (fromMs || 0) / 1000;
     if (pos < (music.element.duration || Infinity)) {
@@ -209,15 +214,39 @@ function musicSetRate(rate) {
     }
 }
 
+/**
+ * Decode the whole soundtrack for the offline video mix. Not cached: a
+ * decoded song is tens of megabytes and is only needed during an export.
+ * @returns {Promise<AudioBuffer|null>}
+ */
+function decodeMusicTrack() {
+    const track = getMusicTrack(music.trackId);
+    if (!track || !audioContext) return Promise.resolve(null);
+    return fetch(track.file)
+        .then(r => r.arrayBuffer())
+        .then(buf => audioContext.decodeAudioData(buf))
+        .catch(() => null);
+}
+
 // ── Timeline waveform ───────────────────────────────────────────────
 
 /**
  * Draw the soundtrack's waveform behind the timeline track. The song
- * occupies its true share of the show duration.
+ * occupies its true share of the show duration. On a zoomed timeline the
+ * canvas covers just the visible slice, one column per screen pixel, so
+ * zooming in shows finer detail.
  */
 function drawTimelineWaveform() {
     const canvas = document.getElementById('timeline-waveform');
     if (!canvas) return;
+
+    const view = typeof getTimelineView === 'function' ? getTimelineView() : null;
+    if (view) {
+        canvas.style.left = view.left + 'px';
+        canvas.style.width = view.width + 'px';
+        if (canvas.width !== Math.round(view.width)) canvas.width = Math.round(view.width);
+    }
+
     const ctx2 = canvas.getContext('2d');
     ctx2.clearRect(0, 0, canvas.width, canvas.height);
 
@@ -225,26 +254,35 @@ function drawTimelineWaveform() {
         return;
     }
 
-    const fraction = Math.min(1, music.durationMs / show.duration);
-    const W = canvas.width * fraction;
+    const startMs = view ? view.startMs : 0;
+    const msPerPx = ((view ? view.endMs : show.duration) - startMs) / canvas.width;
     const H = canvas.height;
     const mid = H / 2;
-    const buckets = music.waveform.length;
+    const bins = music.waveform.length;
 
+    // Each column shows the loudest peak in the time it spans
     ctx2.fillStyle = 'rgba(155, 89, 182, 0.35)';
-    const barW = W / buckets;
-    for (let i = 0; i < buckets; i++) {
-        const h = Math.max(1, music.waveform[i] * (H - 4));
-        ctx2.fillRect(i * barW, mid - h / 2, Math.max(1, barW - 0.3), h);
+    for (let x = 0; x < canvas.width; x++) {
+        const t0 = startMs + x * msPerPx;
+        if (t0 >= music.durationMs) break;
+        const b0 = Math.floor(t0 / WAVEFORM_BIN_MS);
+        const b1 = Math.min(bins, Math.max(b0 + 1, Math.ceil((t0 + msPerPx) / WAVEFORM_BIN_MS)));
+        let peak = 0;
+        for (let b = b0; b < b1; b++) {
+            if (music.waveform[b] > peak) peak = music.waveform[b];
+        }
+        const h = Math.max(1, peak * (H - 4));
+        ctx2.fillRect(x, mid - h / 2, 1, h);
     }
 
-    // Beat ticks along the song
+    // Beat ticks along the visible part of the song
     if (music.beatGrid) {
         const period = 60000 / music.beatGrid.bpm;
+        const endMs = Math.min(music.durationMs, startMs + canvas.width * msPerPx);
+        const first = Math.max(0, Math.ceil((startMs - music.beatGrid.offsetMs) / period));
         ctx2.fillStyle = 'rgba(210, 180, 255, 0.28)';
-        for (let t = music.beatGrid.offsetMs; t < music.durationMs; t += period) {
-            const x = (t / show.duration) * canvas.width;
-            ctx2.fillRect(x, 0, 1, H);
+        for (let t = music.beatGrid.offsetMs + first * period; t < endMs; t += period) {
+            ctx2.fillRect(Math.floor((t - startMs) / msPerPx), 0, 1, H);
         }
     }
 }
@@ -1,292 +1,485 @@
 /**
- * Particle Class - Individual particle with physics and rendering
- * Extended from ParticleFX with trail support for fireworks
+ * Particle Store - the stars of one firework, kept as struct-of-arrays
+ *
+ * Instead of one object per star, every property lives in a typed array
+ * indexed by slot, so a burst of hundreds of stars allocates nothing and
+ * a frame's update walks flat memory. Dead stars are compacted out in
+ * order (draw order and seeded picks stay as they were), each slot's
+ * trail is a fixed ring instead of a shifting array, and stores emptied
+ * by finished fireworks go back to a pool for the next shell.
+ *
+ * Stars are added with push(spec). A spec is the plain config a star
+ * used to be built from:
+ *   { x, y, vx, vy, gravity, friction, lifetime, colorStart, colorEnd,
+ *     colorStages, sizeStart, sizeEnd, opacityStart, opacityEnd, shape,
+ *     trailLength, twinkle, strobe, strobeSpeed, wiggle, wiggleAmp,
+ *     wiggleFreq, fadeHold, drift, windCatch, rand }
+ * Live stars are slots 0..length-1; their x, y, vx, vy (etc.) arrays can
+ * be read directly, and breakIndex tags which break of a shell made them.
  */
-class Particle {
-    constructor(config) {
-        // Position
-        this.x = config.x || 0;
-        this.y = config.y || 0;
-
-        // Velocity
-        this.vx = config.vx || 0;
-        this.vy = config.vy || 0;
-
-        // Physics
-        this.gravity = config.gravity !== undefined ? config.gravity : 50;
-        this.friction = config.friction !== undefined ? config.friction : 0.99;
-
-        // Lifecycle
-        this.lifetime = config.lifetime || 2;
-        this.age = 0;
-
-        // Appearance
-        this.colorStart = config.colorStart || '#ffffff';
-        this.colorEnd = config.colorEnd || '#888888';
-        this.sizeStart = config.sizeStart || 4;
-        this.sizeEnd = config.sizeEnd || 1;
-        this.opacityStart = config.opacityStart !== undefined ? config.opacityStart : 1;
-        this.opacityEnd = config.opacityEnd !== undefined ? config.opacityEnd : 0;
-
-        // Shape
-        this.shape = config.shape || 'circle';
-
-        // Trail (for sparkle effects)
-        this.trailLength = config.trailLength || 0;
-        this.trail = [];
-
-        // Rotation (for variety)
-        this.rotation = Math.random() * Math.PI * 2;
-        this.rotationSpeed = (Math.random() - 0.5) * 2;
-
-        // Twinkle effect for stars
-        this.twinkle = config.twinkle || false;
-        this.twinkleSpeed = Math.random() * 5 + 2;
-
-        // Strobe effect (on/off flashing)
-        this.strobe = config.strobe || false;
-        this.strobeSpeed = config.strobeSpeed || 15;
-        this.strobePhase = Math.random() * Math.PI * 2; // Random phase offset
-
-        // Wiggle effect (swimming motion, used by fish type)
-        this.wiggle = config.wiggle || false;
-        this.wiggleAmp = config.wiggleAmp || 60;
-        this.wiggleFreq = config.wiggleFreq || 8;
-        this.wigglePhase = Math.random() * Math.PI * 2;
 
-        // Fade hold: fraction of lifetime at full opacity before fading.
-        // Used by text/shell patterns so the shape stays legible.
-        this.fadeHold = config.fadeHold || 0;
-    }
+// Per-star numbers. Float64 keeps paths identical to plain JS math.
+const PARTICLE_FIELDS = [
+    'x', 'y', 'vx', 'vy', 'gravity', 'friction', 'lifetime', 'age',
+    'sizeStart', 'sizeEnd', 'opacityStart', 'opacityEnd',
+    'rotation', 'rotationSpeed', 'twinkleSpeed', 'strobeSpeed', 'strobePhase',
+    'wiggleAmp', 'wiggleFreq', 'wigglePhase', 'fadeHold', 'drift', 'windCatch'
+];
 
-    /**
-     * Update particle physics
-     * @param {number} dt - Delta time in seconds
-     * @returns {boolean} - True if particle is still alive
-     */
-    update(dt) {
-        // Track trail positions
-        if (this.trailLength > 0) {
-            this.trail.unshift({ x: this.x, y: this.y });
-            if (this.trail.length > this.trailLength) {
-                this.trail.pop();
-            }
-        }
+// Shapes by code (unknown shapes draw as circles)
+const PARTICLE_SHAPES = ['circle', 'square', 'star', 'spark', 'ring'];
 
-        // Apply gravity
-        this.vy += this.gravity * dt;
+const PARTICLE_TWINKLE = 1;
+const PARTICLE_STROBE = 2;
+const PARTICLE_WIGGLE = 4;
 
-        // Apply wind (if weather system is loaded)
-        if (typeof getWindForce === 'function') {
-            const windForce = getWindForce();
-            // Wind affects lighter/slower particles more
-            const windInfluence = 1 - Math.min(Math.abs(this.vx) + Math.abs(this.vy), 200) / 400;
-            this.vx += windForce * dt * windInfluence;
-        }
+// How fast a star with a wind catch of 1 takes up the wind (per second).
+// A star's catch follows how long it hangs in the air and how light it
+// is, so willows and brocades drift well downwind while peonies barely lean.
+const WIND_COUPLING = 1.2;
 
-        // Apply friction
-        this.vx *= this.friction;
-        this.vy *= this.friction;
+// Longest trail a star keeps (positions); trail rings grow up to this
+const MAX_TRAIL_LENGTH = 128;
 
-        // Update position
-        this.x += this.vx * dt;
-        this.y += this.vy * dt;
+// Emptied stores waiting for the next firework
+const particleStorePool = [];
+const PARTICLE_POOL_SIZE = 32;
 
-        // Apply wiggle (swim perpendicular to travel direction)
-        if (this.wiggle) {
-            const speed = Math.hypot(this.vx, this.vy) || 1;
-            const w = Math.sin(this.age * this.wiggleFreq + this.wigglePhase) * this.wiggleAmp;
-            this.x += (-this.vy / speed) * w * dt;
-            this.y += (this.vx / speed) * w * dt;
-        }
+// Stars alive across the stage, held to the quality budget. Stores keep
+// it current; the engine recounts it every frame, since the stores of
+// fireworks dropped by a seek or stop never give theirs back.
+let liveStarCount = 0;
 
-        // Update rotation
-        this.rotation += this.rotationSpeed * dt;
+/**
+ * Recount the stars of the fireworks on stage
+ */
+function recountLiveStars(fireworks) {
+    liveStarCount = fireworks.reduce((sum, fw) => sum + fw.particles.length, 0);
+}
 
-        // Update age
-        this.age += dt;
+class ParticleStore {
+    constructor(capacity = 64) {
+        this.length = 0;
+        this.capacity = 0;
+        this.trailStride = 0;
+        // Color-changing stars: [{ at, color }] per slot, or null; from
+        // each stop's fraction of the lifetime on, the star burns that color
+        this.stages = [];
+        // Share of the stars pushed that are kept, for the quality preset
+        // to thin a break without changing the draws it takes (see push)
+        this.detail = 1;
+        this.allocate(capacity, 16);
+    }
 
-        // Return true if still alive
-        return this.age < this.lifetime;
+    /**
+     * A store from the pool (or a new one)
+     */
+    static obtain() {
+        return particleStorePool.pop() || new ParticleStore();
     }
 
     /**
-     * Draw particle on canvas
-     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * Empty the store and return it to the pool. The owner must not use
+     * it afterwards.
      */
-    draw(ctx) {
-        // Calculate interpolation factor (0 to 1)
-        const t = Math.min(this.age / this.lifetime, 1);
-
-        // Interpolate properties
-        const size = this.lerp(this.sizeStart, this.sizeEnd, t);
-        let fadeT = t;
-        if (this.fadeHold > 0) {
-            fadeT = t < this.fadeHold ? 0 : (t - this.fadeHold) / (1 - this.fadeHold);
+    release() {
+        this.clear();
+        if (particleStorePool.length < PARTICLE_POOL_SIZE && !particleStorePool.includes(this)) {
+            particleStorePool.push(this);
         }
-        const opacity = this.lerp(this.opacityStart, this.opacityEnd, fadeT);
-        const color = this.lerpColor(this.colorStart, this.colorEnd, t);
+    }
 
-        // Apply twinkle effect
-        let finalOpacity = opacity;
-        if (this.twinkle) {
-            finalOpacity *= 0.5 + 0.5 * Math.sin(this.age * this.twinkleSpeed);
-        }
+    clear() {
+        liveStarCount -= this.length;
+        this.length = 0;
+        this.stages.length = 0;
+        this.detail = 1;
+    }
 
-        // Apply strobe effect (hard on/off)
-        if (this.strobe) {
-            const strobeValue = Math.sin(this.age * this.strobeSpeed + this.strobePhase);
-            finalOpacity = strobeValue > 0 ? opacity : 0;
+    /**
+     * (Re)allocate the arrays, keeping the live stars and their trails
+     */
+    allocate(capacity, trailStride) {
+        const n = this.length;
+
+        PARTICLE_FIELDS.forEach(field => {
+            const next = new Float64Array(capacity);
+            if (this[field]) next.set(this[field].subarray(0, n));
+            this[field] = next;
+        });
+
+        ['shape', 'flags', 'trailLength', 'trailHead', 'trailCount'].forEach(field => {
+            const next = new Uint8Array(capacity);
+            if (this[field]) next.set(this[field].subarray(0, n));
+            this[field] = next;
+        });
+
+        const breakIndex = new Int16Array(capacity);
+        if (this.breakIndex) breakIndex.set(this.breakIndex.subarray(0, n));
+        this.breakIndex = breakIndex;
+
+        // Start and end color, 0-255 each: r, g, b, r, g, b
+        const colors = new Uint8Array(capacity * 6);
+        if (this.colors) colors.set(this.colors.subarray(0, n * 6));
+        this.colors = colors;
+
+        // Trail rings: each slot's ring uses the first trailLength entries
+        // of its stride, so a wider stride only moves the blocks
+        const trailX = new Float64Array(capacity * trailStride);
+        const trailY = new Float64Array(capacity * trailStride);
+        if (this.trailX) {
+            for (let i = 0; i < n; i++) {
+                const len = this.trailLength[i];
+                if (len === 0) continue;
+                const from = i * this.trailStride;
+                trailX.set(this.trailX.subarray(from, from + len), i * trailStride);
+                trailY.set(this.trailY.subarray(from, from + len), i * trailStride);
+            }
         }
+        this.trailX = trailX;
+        this.trailY = trailY;
+
+        this.capacity = capacity;
+        this.trailStride = trailStride;
+    }
 
-        // Draw trail first (behind particle)
-        if (this.trail.length > 0) {
-            this.drawTrail(ctx, color, size, finalOpacity);
+    /**
+     * Add a star, unless the store's detail thins it out or the stage is
+     * at its star budget
+     * @param {Object} spec - Star config (see the file comment)
+     * @returns {number} Its slot, or -1 if it was dropped
+     */
+    push(spec) {
+        // The star draws from its own fork of the owning firework's seeded
+        // stream, which costs the shell one draw whether the star is kept
+        // or dropped, so the rest of the shell replays the same either way
+        const rand = forkRandom(spec.rand || Math.random);
+        const q = typeof getQuality === 'function' ? getQuality() : null;
+
+        const kept = rand() < this.detail;
+        if (!kept || (q && liveStarCount >= q.budget)) return -1;
+        liveStarCount++;
+
+        const trailScale = q ? q.trails : 1;
+        const trailLength = Math.min(MAX_TRAIL_LENGTH, Math.max(0, Math.floor((spec.trailLength || 0) * trailScale)));
+
+        if (this.length === this.capacity || trailLength > this.trailStride) {
+            const capacity = this.length === this.capacity ? this.capacity * 2 : this.capacity;
+            const stride = Math.min(MAX_TRAIL_LENGTH, Math.max(this.trailStride, trailLength, this.trailStride * 2));
+            this.allocate(Math.max(capacity, 16), trailLength > this.trailStride ? stride : this.trailStride);
         }
 
-        // Draw main particle
-        ctx.save();
-        ctx.globalAlpha = finalOpacity;
-        ctx.translate(this.x, this.y);
-        ctx.rotate(this.rotation);
+        const i = this.length++;
+
+        this.x[i] = spec.x || 0;
+        this.y[i] = spec.y || 0;
+        this.vx[i] = spec.vx || 0;
+        this.vy[i] = spec.vy || 0;
+
+        this.gravity[i] = spec.gravity !== undefined ? spec.gravity : 50;
+        this.friction[i] = spec.friction !== undefined ? spec.friction : 0.99;
+
+        this.lifetime[i] = spec.lifetime || 2;
+        this.age[i] = 0;
+
+        const start = parseStarColor(spec.colorStart || '#ffffff');
+        const end = parseStarColor(spec.colorEnd || '#888888');
+        const c = i * 6;
+        this.colors[c] = start.r;
+        this.colors[c + 1] = start.g;
+        this.colors[c + 2] = start.b;
+        this.colors[c + 3] = end.r;
+        this.colors[c + 4] = end.g;
+        this.colors[c + 5] = end.b;
+        this.stages[i] = spec.colorStages || null;
+
+        this.sizeStart[i] = spec.sizeStart || 4;
+        this.sizeEnd[i] = spec.sizeEnd || 1;
+        this.opacityStart[i] = spec.opacityStart !== undefined ? spec.opacityStart : 1;
+        this.opacityEnd[i] = spec.opacityEnd !== undefined ? spec.opacityEnd : 0;
+
+        this.shape[i] = Math.max(0, PARTICLE_SHAPES.indexOf(spec.shape));
+
+        this.trailLength[i] = trailLength;
+        this.trailHead[i] = 0;
+        this.trailCount[i] = 0;
+
+        this.breakIndex[i] = -1;
+
+        // Random draws stay in this order so seeded stars replay the same
+        this.rotation[i] = rand() * Math.PI * 2;
+        this.rotationSpeed[i] = (rand() - 0.5) * 2;
+        this.twinkleSpeed[i] = rand() * 5 + 2;
+        this.strobeSpeed[i] = spec.strobeSpeed || 15;
+        this.strobePhase[i] = rand() * Math.PI * 2;
+        this.wiggleAmp[i] = spec.wiggleAmp || 60;
+        this.wiggleFreq[i] = spec.wiggleFreq || 8;
+        this.wigglePhase[i] = rand() * Math.PI * 2;
+
+        this.flags[i] = (spec.twinkle ? PARTICLE_TWINKLE : 0) |
+            (spec.strobe ? PARTICLE_STROBE : 0) |
+            (spec.wiggle ? PARTICLE_WIGGLE : 0);
 
-        this.drawShape(ctx, size, color);
+        // Fade hold: fraction of lifetime at full opacity before fading.
+        // Used by text/shell patterns so the shape stays legible.
+        this.fadeHold[i] = spec.fadeHold || 0;
 
-        ctx.restore();
+        // Sideways speed the wind has given the star (fragments carry on
+        // their parent's), and how readily it takes up more
+        this.drift[i] = spec.drift || 0;
+        this.windCatch[i] = spec.windCatch !== undefined
+            ? spec.windCatch
+            : Math.max(0.25, Math.min(1.75, (this.lifetime[i] / 2) * Math.sqrt(4 / this.sizeStart[i])));
+
+        return i;
     }
 
     /**
-     * Draw particle trail
+     * Step every star and drop the dead ones
+     * @param {number} dt - Delta time in seconds
      */
-    drawTrail(ctx, color, size, opacity) {
-        for (let i = 0; i < this.trail.length; i++) {
-            const point = this.trail[i];
-            const trailT = i / this.trail.length;
-            const trailSize = size * (1 - trailT * 0.8);
-            const trailOpacity = opacity * (1 - trailT);
+    update(dt) {
+        const n = this.length;
+        const { x, y, vx, vy, age } = this;
+        // Wind at the ground and aloft; each star feels the mix at its height
+        const wind = typeof getWindLayers === 'function' ? getWindLayers() : { low: 0, high: 0 };
+        const layered = wind.high !== wind.low;
+        const drift = this.drift;
+        let live = 0;
+
+        for (let i = 0; i < n; i++) {
+            // Record the trail position before moving
+            const trailLength = this.trailLength[i];
+            if (trailLength > 0) {
+                const head = this.trailHead[i];
+                const at = i * this.trailStride + head;
+                this.trailX[at] = x[i];
+                this.trailY[at] = y[i];
+                this.trailHead[i] = (head + 1) % trailLength;
+                if (this.trailCount[i] < trailLength) this.trailCount[i]++;
+            }
 
-            ctx.save();
-            ctx.globalAlpha = trailOpacity * 0.5;
-            ctx.translate(point.x, point.y);
+            // Apply gravity
+            vy[i] += this.gravity[i] * dt;
+
+            // Apply friction (tuned per 60 fps frame; scaled by dt so slow
+            // motion and uneven frame rates trace the same paths)
+            const drag = Math.pow(this.friction[i], dt * 60);
+            vx[i] *= drag;
+            vy[i] *= drag;
+
+            // The air carries the star along on top of its own flight, so
+            // the burst keeps its shape relative to the air and leans downwind
+            const windForce = layered ? wind.low + (wind.high - wind.low) * getWindAltitude(y[i]) : wind.low;
+            drift[i] += (windForce - drift[i]) * (1 - Math.exp(-this.windCatch[i] * WIND_COUPLING * dt));
+
+            x[i] += (vx[i] + drift[i]) * dt;
+            y[i] += vy[i] * dt;
+
+            // Apply wiggle (swim perpendicular to travel direction)
+            if (this.flags[i] & PARTICLE_WIGGLE) {
+                const speed = Math.hypot(vx[i], vy[i]) || 1;
+                const w = Math.sin(age[i] * this.wiggleFreq[i] + this.wigglePhase[i]) * this.wiggleAmp[i];
+                x[i] += (-vy[i] / speed) * w * dt;
+                y[i] += (vx[i] / speed) * w * dt;
+            }
 
-            ctx.beginPath();
-            ctx.arc(0, 0, trailSize / 2, 0, Math.PI * 2);
-            ctx.fillStyle = color;
-            ctx.fill();
+            this.rotation[i] += this.rotationSpeed[i] * dt;
+            age[i] += dt;
 
-            ctx.restore();
+            if (age[i] < this.lifetime[i]) {
+                if (live !== i) this.move(i, live);
+                live++;
+            }
         }
+
+        liveStarCount -= n - live;
+        this.length = live;
+        this.stages.length = live;
     }
 
     /**
-     * Draw the particle shape
+     * Copy a star from one slot to another (compaction)
      */
-    drawShape(ctx, size, color) {
-        ctx.fillStyle = color;
+    move(from, to) {
+        PARTICLE_FIELDS.forEach(field => { this[field][to] = this[field][from]; });
+        this.shape[to] = this.shape[from];
+        this.flags[to] = this.flags[from];
+        this.trailLength[to] = this.trailLength[from];
+        this.trailHead[to] = this.trailHead[from];
+        this.trailCount[to] = this.trailCount[from];
+        this.breakIndex[to] = this.breakIndex[from];
+        this.colors.copyWithin(to * 6, from * 6, from * 6 + 6);
+        this.stages[to] = this.stages[from];
+
+        const len = this.trailLength[from];
+        if (len > 0) {
+            const src = from * this.trailStride;
+            this.trailX.copyWithin(to * this.trailStride, src, src + len);
+            this.trailY.copyWithin(to * this.trailStride, src, src + len);
+        }
+    }
 
-        switch (this.shape) {
-            case 'circle':
-                ctx.beginPath();
-                ctx.arc(0, 0, size / 2, 0, Math.PI * 2);
-                ctx.fill();
-                break;
+    /**
+     * Draw every star, in slot order
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    draw(ctx) {
+        const n = this.length;
+        if (n === 0) return;
 
-            case 'square':
-                ctx.fillRect(-size / 2, -size / 2, size, size);
-                break;
+        ctx.save();
+        for (let i = 0; i < n; i++) {
+            const t = Math.min(this.age[i] / this.lifetime[i], 1);
+
+            const size = this.sizeStart[i] + (this.sizeEnd[i] - this.sizeStart[i]) * t;
+            const fadeHold = this.fadeHold[i];
+            let fadeT = t;
+            if (fadeHold > 0) {
+                fadeT = t < fadeHold ? 0 : (t - fadeHold) / (1 - fadeHold);
+            }
+            const opacity = this.opacityStart[i] + (this.opacityEnd[i] - this.opacityStart[i]) * fadeT;
 
-            case 'star':
-                this.drawStar(ctx, size / 2);
-                break;
+            let alpha = opacity;
+            const flags = this.flags[i];
+            if (flags & PARTICLE_TWINKLE) {
+                alpha *= 0.5 + 0.5 * Math.sin(this.age[i] * this.twinkleSpeed[i]);
+            }
+            // Strobe is hard on/off
+            if (flags & PARTICLE_STROBE) {
+                alpha = Math.sin(this.age[i] * this.strobeSpeed[i] + this.strobePhase[i]) > 0 ? opacity : 0;
+            }
+            if (alpha <= 0) continue;
 
-            case 'spark':
-                ctx.strokeStyle = color;
-                ctx.lineWidth = 2;
-                ctx.beginPath();
-                ctx.moveTo(0, -size / 2);
-                ctx.lineTo(0, size / 2);
-                ctx.stroke();
-                break;
+            const color = this.colorAt(i, t);
+            ctx.fillStyle = color;
 
-            case 'ring':
-                ctx.strokeStyle = color;
-                ctx.lineWidth = 2;
-                ctx.beginPath();
-                ctx.arc(0, 0, size / 2, 0, Math.PI * 2);
-                ctx.stroke();
-                break;
+            // Trail first (behind the star)
+            if (this.trailCount[i] > 0) {
+                this.drawTrail(ctx, i, size, alpha);
+            }
 
-            default:
-                ctx.beginPath();
-                ctx.arc(0, 0, size / 2, 0, Math.PI * 2);
-                ctx.fill();
+            ctx.globalAlpha = alpha;
+            this.drawShape(ctx, i, size, color);
         }
+        ctx.restore();
     }
 
     /**
-     * Draw a 5-pointed star
+     * Trail dots from newest to oldest, shrinking and fading
      */
-    drawStar(ctx, radius) {
-        const spikes = 5;
-        const outerRadius = radius;
-        const innerRadius = radius * 0.5;
+    drawTrail(ctx, i, size, opacity) {
+        const count = this.trailCount[i];
+        const len = this.trailLength[i];
+        const base = i * this.trailStride;
+        let slot = this.trailHead[i];
+
+        for (let k = 0; k < count; k++) {
+            slot = slot === 0 ? len - 1 : slot - 1;
+            const trailT = k / count;
 
-        ctx.beginPath();
+            ctx.globalAlpha = opacity * (1 - trailT) * 0.5;
+            ctx.beginPath();
+            ctx.arc(this.trailX[base + slot], this.trailY[base + slot], size * (1 - trailT * 0.8) / 2, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
 
-        for (let i = 0; i < spikes * 2; i++) {
-            const r = i % 2 === 0 ? outerRadius : innerRadius;
-            const angle = (i * Math.PI) / spikes - Math.PI / 2;
-            const x = Math.cos(angle) * r;
-            const y = Math.sin(angle) * r;
+    /**
+     * Draw the star's shape. Round shapes skip the rotation transform.
+     */
+    drawShape(ctx, i, size, color) {
+        const shape = PARTICLE_SHAPES[this.shape[i]];
 
-            if (i === 0) {
-                ctx.moveTo(x, y);
+        if (shape === 'circle' || shape === 'ring') {
+            ctx.beginPath();
+            ctx.arc(this.x[i], this.y[i], size / 2, 0, Math.PI * 2);
+            if (shape === 'ring') {
+                ctx.strokeStyle = color;
+                ctx.lineWidth = 2;
+                ctx.stroke();
             } else {
-                ctx.lineTo(x, y);
+                ctx.fill();
             }
+            return;
         }
 
-        ctx.closePath();
-        ctx.fill();
-    }
+        ctx.save();
+        ctx.translate(this.x[i], this.y[i]);
+        ctx.rotate(this.rotation[i]);
+
+        if (shape === 'square') {
+            ctx.fillRect(-size / 2, -size / 2, size, size);
+        } else if (shape === 'star') {
+            drawStarShape(ctx, size / 2);
+        } else {
+            // spark
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(0, -size / 2);
+            ctx.lineTo(0, size / 2);
+            ctx.stroke();
+        }
 
-    /**
-     * Linear interpolation
-     */
-    lerp(a, b, t) {
-        return a + (b - a) * t;
+        ctx.restore();
     }
 
     /**
-     * Color interpolation (hex colors)
+     * Color at a fraction of the lifetime: the start-to-end blend until the
+     * first color stage, then each stage's color in turn
      */
-    lerpColor(colorA, colorB, t) {
-        const a = this.hexToRgb(colorA);
-        const b = this.hexToRgb(colorB);
+    colorAt(i, t) {
+        const stages = this.stages[i];
+        if (stages) {
+            for (let s = stages.length - 1; s >= 0; s--) {
+                if (t >= stages[s].at) return stages[s].color;
+            }
+        }
+        const c = i * 6;
+        const colors = this.colors;
+        const r = Math.round(colors[c] + (colors[c + 3] - colors[c]) * t);
+        const g = Math.round(colors[c + 1] + (colors[c + 4] - colors[c + 1]) * t);
+        const b = Math.round(colors[c + 2] + (colors[c + 5] - colors[c + 2]) * t);
+        return `rgb(${r}, ${g}, ${b})`;
+    }
+}
 
-        const r = Math.round(this.lerp(a.r, b.r, t));
-        const g = Math.round(this.lerp(a.g, b.g, t));
-        const bl = Math.round(this.lerp(a.b, b.b, t));
+// Stand-in for the store of a finished firework (its own went back to the pool)
+const EMPTY_PARTICLES = new ParticleStore(0);
 
-        return `rgb(${r}, ${g}, ${bl})`;
+/**
+ * Hex color (#rrggbb or #rgb) to { r, g, b }
+ */
+function parseStarColor(hex) {
+    hex = hex.replace('#', '');
+    if (hex.length === 3) {
+        hex = hex[0] + hex[0] + hex[1] + hex[1] + hex[2] + hex[2];
     }
+    return {
+        r: parseInt(hex.substring(0, 2), 16),
+        g: parseInt(hex.substring(2, 4), 16),
+        b: parseInt(hex.substring(4, 6), 16)
+    };
+}
 
-    /**
-     * Convert hex color to RGB object
-     */
-    hexToRgb(hex) {
-        // Remove # if present
-        hex = hex.replace('#', '');
-
-        // Handle shorthand hex
-        if (hex.length === 3) {
-            hex = hex[0] + hex[0] + hex[1] + hex[1] + hex[2] + hex[2];
+/**
+ * Draw a 5-pointed star around the origin
+ */
+function drawStarShape(ctx, radius) {
+    const spikes = 5;
+    const innerRadius = radius * 0.5;
+
+    ctx.beginPath();
+    for (let i = 0; i < spikes * 2; i++) {
+        const r = i % 2 === 0 ? radius : innerRadius;
+        const angle = (i * Math.PI) / spikes - Math.PI / 2;
+        if (i === 0) {
+            ctx.moveTo(Math.cos(angle) * r, Math.sin(angle) * r);
+        } else {
+            ctx.lineTo(Math.cos(angle) * r, Math.sin(angle) * r);
         }
-
-        return {
-            r: parseInt(hex.substring(0, 2), 16),
-            g: parseInt(hex.substring(2, 4), 16),
-            b: parseInt(hex.substring(4, 6), 16)
-        };
     }
+    ctx.closePath();
+    ctx.fill();
 }
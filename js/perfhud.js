@@ -0,0 +1,235 @@
+/**
+ * Performance HUD - live load figures and a per-second record of the show
+ *
+ * P toggles an overlay on the stage with the frame rate, frame time,
+ * fireworks in flight, stars, smoke particles and sound voices. Every
+ * second of playback is recorded, and while the HUD is on the record is
+ * plotted in a strip under the timeline, so the moments of a show that
+ * are too heavy for viewers' devices stand out.
+ */
+
+const PERF_HUD_REFRESH = 0.25; // Seconds between overlay text updates
+const PERF_PLOT_MAX_MS = 50;   // Frame time at the top of the plot
+
+const perfHud = {
+    visible: false,
+    fps: 60,
+    frameMs: 0,        // Smoothed work per frame (update + draw)
+    sinceRefresh: PERF_HUD_REFRESH,
+    lines: []
+};
+
+// The record by show second (sparse): { frames, wallTime, worstMs,
+// fireworks, stars, smoke, voices }, the counts being the second's peaks.
+// Playing a second again replaces it.
+let perfTimeline = [];
+let perfSecond = -1;
+
+/**
+ * What's on stage right now
+ */
+function readPerfStats() {
+    const fireworks = show.activeFireworks.concat(testFireworks);
+    return {
+        fireworks: fireworks.length,
+        stars: fireworks.reduce((sum, fw) => sum + fw.particles.length, 0),
+        smoke: (typeof smokeManager !== 'undefined' && smokeManager) ? smokeManager.getParticleCount() : 0,
+        voices: typeof getActiveVoiceCount === 'function' ? getActiveVoiceCount() : 0
+    };
+}
+
+/**
+ * Feed the HUD one live frame
+ * @param {number} dt - Wall-clock seconds since the previous frame
+ * @param {number} costMs - Time spent updating and drawing it
+ */
+function notePerfFrame(dt, costMs) {
+    if (dt > 0 && dt < 0.25) {
+        perfHud.fps += (1 / dt - perfHud.fps) * 0.1;
+    }
+    perfHud.frameMs += (costMs - perfHud.frameMs) * 0.1;
+
+    const recording = show.isPlaying;
+    if (!recording && !perfHud.visible) return;
+    const stats = readPerfStats();
+
+    if (recording) {
+        recordPerfSecond(Math.floor(show.currentTime / 1000), dt, costMs, stats);
+    }
+
+    perfHud.sinceRefresh += dt;
+    if (perfHud.visible && perfHud.sinceRefresh >= PERF_HUD_REFRESH) {
+        perfHud.sinceRefresh = 0;
+        perfHud.lines = [
+            `${Math.round(perfHud.fps)} fps  ${perfHud.frameMs.toFixed(1)} ms`,
+            `fireworks ${stats.fireworks}`,
+            `stars     ${stats.stars.toLocaleString()}`,
+            `smoke     ${stats.smoke.toLocaleString()}`,
+            `voices    ${stats.voices}`
+        ];
+        if (typeof getQuality === 'function') {
+            perfHud.lines.push(`quality   ${getQuality().name}`);
+        }
+    }
+}
+
+function recordPerfSecond(second, dt, costMs, stats) {
+    if (second !== perfSecond) {
+        // The finished second joins the plot
+        if (perfHud.visible) requestPerfTimelineRedraw();
+        perfSecond = second;
+        perfTimeline[second] = { frames: 0, wallTime: 0, worstMs: 0, fireworks: 0, stars: 0, smoke: 0, voices: 0 };
+    }
+
+    const entry = perfTimeline[second];
+    entry.frames++;
+    if (dt < 0.25) entry.wallTime += dt;
+    entry.worstMs = Math.max(entry.worstMs, costMs);
+    entry.fireworks = Math.max(entry.fireworks, stats.fireworks);
+    entry.stars = Math.max(entry.stars, stats.stars);
+    entry.smoke = Math.max(entry.smoke, stats.smoke);
+    entry.voices = Math.max(entry.voices, stats.voices);
+}
+
+/**
+ * Forget the record (a different show was loaded)
+ */
+function clearPerfTimeline() {
+    perfTimeline = [];
+    perfSecond = -1;
+    drawPerfTimeline();
+}
+
+/**
+ * Show or hide the HUD and the timeline strip
+ */
+function togglePerfHud() {
+    perfHud.visible = !perfHud.visible;
+    perfHud.sinceRefresh = PERF_HUD_REFRESH;
+    perfHud.lines = [];
+
+    const strip = document.getElementById('timeline-perf-strip');
+    if (strip) strip.classList.toggle('visible', perfHud.visible);
+    drawPerfTimeline();
+}
+
+/**
+ * Draw the overlay in the stage's top-left corner
+ * @param {CanvasRenderingContext2D} target - Live canvas context
+ * @param {number} scale - Buffer pixels per logical unit
+ */
+function drawPerfHud(target, scale) {
+    if (perfHud.lines.length === 0) return;
+
+    target.save();
+    target.setTransform(scale, 0, 0, scale, 0, 0);
+    target.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    target.fillRect(8, 8, 150, 12 + perfHud.lines.length * 13);
+
+    target.font = '11px "Courier New", monospace';
+    target.textBaseline = 'top';
+    perfHud.lines.forEach((line, i) => {
+        // The frame rate line turns amber, then red, as it drops
+        target.fillStyle = i > 0 ? '#ccc' : perfHud.fps < 30 ? '#e74c3c' : perfHud.fps < 50 ? '#f1c40f' : '#2ecc71';
+        target.fillText(line, 14, 14 + i * 13);
+    });
+    target.restore();
+}
+
+let perfRedrawPending = false;
+
+function requestPerfTimelineRedraw() {
+    if (perfRedrawPending) return;
+    perfRedrawPending = true;
+    requestAnimationFrame(() => {
+        perfRedrawPending = false;
+        drawPerfTimeline();
+    });
+}
+
+/**
+ * Plot the record under the timeline: a bar per second for its worst
+ * frame time (green within 60 fps, amber within 30, red beyond) and a
+ * line for its peak stars against the star budget
+ */
+function drawPerfTimeline() {
+    const canvas = document.getElementById('timeline-perf');
+    if (!canvas || !perfHud.visible) return;
+
+    const view = typeof getTimelineView === 'function' ? getTimelineView() : null;
+    if (view) {
+        canvas.style.left = view.left + 'px';
+        canvas.style.width = view.width + 'px';
+        if (canvas.width !== Math.round(view.width)) canvas.width = Math.round(view.width);
+    }
+
+    const ctx2 = canvas.getContext('2d');
+    const H = canvas.height;
+    ctx2.clearRect(0, 0, canvas.width, H);
+    if (!show || !show.duration) return;
+
+    const startMs = view ? view.startMs : 0;
+    const msPerPx = ((view ? view.endMs : show.duration) - startMs) / canvas.width;
+    const xAt = ms => (ms - startMs) / msPerPx;
+    const yAt = ms => H - Math.min(1, ms / PERF_PLOT_MAX_MS) * H;
+
+    // 60 and 30 fps guides
+    ctx2.fillStyle = 'rgba(255, 255, 255, 0.12)';
+    ctx2.fillRect(0, Math.round(yAt(1000 / 60)), canvas.width, 1);
+    ctx2.fillRect(0, Math.round(yAt(1000 / 30)), canvas.width, 1);
+
+    const first = Math.max(0, Math.floor(startMs / 1000));
+    const last = Math.ceil((startMs + canvas.width * msPerPx) / 1000);
+    const budget = typeof getParticleBudget === 'function' ? getParticleBudget() : 15000;
+    const starPoints = [];
+
+    for (let s = first; s <= last && s < perfTimeline.length; s++) {
+        const entry = perfTimeline[s];
+        if (!entry) continue;
+
+        const x0 = xAt(s * 1000);
+        const w = Math.max(1, xAt((s + 1) * 1000) - x0 - 1);
+        ctx2.fillStyle = entry.worstMs <= 1000 / 60 ? 'rgba(46, 204, 113, 0.6)'
+            : entry.worstMs <= 1000 / 30 ? 'rgba(241, 196, 15, 0.7)' : 'rgba(231, 76, 60, 0.8)';
+        const y = yAt(entry.worstMs);
+        ctx2.fillRect(x0, y, w, H - y);
+
+        starPoints.push([x0 + w / 2, H - Math.min(1, entry.stars / budget) * (H - 2) - 1]);
+    }
+
+    if (starPoints.length > 1) {
+        ctx2.strokeStyle = 'rgba(210, 180, 255, 0.8)';
+        ctx2.lineWidth = 1;
+        ctx2.beginPath();
+        starPoints.forEach(([x, y], i) => (i === 0 ? ctx2.moveTo(x, y) : ctx2.lineTo(x, y)));
+        ctx2.stroke();
+    }
+}
+
+/**
+ * Hovering the strip names the second's figures
+ */
+function describePerfSecondAt(e) {
+    const canvas = document.getElementById('timeline-perf');
+    const view = typeof getTimelineView === 'function' ? getTimelineView() : null;
+    if (!canvas || !view) return;
+
+    const rect = canvas.getBoundingClientRect();
+    const ms = view.startMs + ((e.clientX - rect.left) / rect.width) * (view.endMs - view.startMs);
+    const second = Math.floor(ms / 1000);
+    const entry = perfTimeline[second];
+    if (!entry) {
+        canvas.title = 'Play the show to record how heavy each second is';
+        return;
+    }
+
+    const fps = entry.wallTime > 0 ? Math.round(entry.frames / entry.wallTime) : 0;
+    canvas.title = `${formatTime(second * 1000)}: worst frame ${entry.worstMs.toFixed(1)} ms, ${fps} fps, ` +
+        `${entry.fireworks} fireworks, ${entry.stars.toLocaleString()} stars, ` +
+        `${entry.smoke.toLocaleString()} smoke, ${entry.voices} voices`;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const canvas = document.getElementById('timeline-perf');
+    if (canvas) canvas.addEventListener('mousemove', describePerfSecondAt);
+});
@@ -0,0 +1,111 @@
+/**
+ * Plugins - registration API for new firework types and burst patterns
+ *
+ * A plugin is a plain script loaded after the app's own scripts. It can
+ * add a burst pattern (how a break lays out its stars, plus optional
+ * per-frame update and draw hooks) and a firework type that uses it. New
+ * types show up in the type picker, the finale type grid, Surprise Me's
+ * finale and getRandomFireworkType() with no other changes.
+ *
+ *   registerFireworkType('pinwheel', {
+ *       name: 'Pinwheel',
+ *       description: 'Arms that spin as they spread',
+ *       particleCount: { small: 24, medium: 36, large: 48 },
+ *       pattern: {
+ *           spawn(fw, burst) {
+ *               for (let i = 0; i < burst.count; i++) {
+ *                   const a = (i / burst.count) * Math.PI * 2;
+ *                   fw.particles.push(fw.createStar({
+ *                       x: fw.x, y: fw.y, vx: Math.cos(a) * 90, vy: Math.sin(a) * 90,
+ *                       gravity: 30, lifetime: 2, colorStart: fw.primaryColor,
+ *                       colorEnd: fw.secondaryColor, sizeStart: 4, sizeEnd: 1,
+ *                       shape: 'spark', trailLength: 10, rand: fw.rand
+ *                   }));
+ *               }
+ *           }
+ *       }
+ *   });
+ *
+ * Patterns draw their randomness from fw.rand so shows replay the same.
+ */
+
+// Burst patterns by name, the customPattern of a FIREWORK_TYPES entry:
+// { spawn(firework, burst), update(firework, dt)?, draw(firework, ctx)? }.
+// spawn adds the break's stars to firework.particles, a ParticleStore
+// (burst carries the star count, SIZE_MULTIPLIERS entry and TRAIL_CONFIGS
+// entry; hooks can read the stars' x, y, vx, vy arrays); returning
+// false falls back to a classic round burst. The hooks run every frame
+// once the pattern has burst, while the shell is bursting or fading.
+const BURST_PATTERNS = {};
+
+// Plugin keys must look like the built-in ones; 'typ_' is taken by the
+// type editor
+const PLUGIN_KEY = /^[a-z][a-zA-Z0-9_-]{0,31}$/;
+
+/**
+ * Register a burst pattern
+ * @param {string} name - Pattern name, used as a type's customPattern
+ * @param {Object} pattern - { spawn, update?, draw? } (see BURST_PATTERNS)
+ * @returns {boolean} Whether it was registered
+ */
+function registerBurstPattern(name, pattern) {
+    if (typeof name !== 'string' || !PLUGIN_KEY.test(name) || BURST_PATTERNS[name]) {
+        console.warn(`registerBurstPattern: "${name}" is taken or not a valid name`);
+        return false;
+    }
+    if (!pattern || typeof pattern.spawn !== 'function') {
+        console.warn(`registerBurstPattern: "${name}" needs a spawn(firework, burst) function`);
+        return false;
+    }
+    BURST_PATTERNS[name] = {
+        spawn: pattern.spawn,
+        update: typeof pattern.update === 'function' ? pattern.update : null,
+        draw: typeof pattern.draw === 'function' ? pattern.draw : null
+    };
+    return true;
+}
+
+/**
+ * Register a firework type. Anything the config leaves out comes from a
+ * classic chrysanthemum. A 'pattern' object ({ spawn, update?, draw? })
+ * is registered as a burst pattern under the type's own key; otherwise
+ * 'customPattern' may name one registered earlier. Set 'random: false'
+ * to keep the type out of random picks and finales.
+ * @param {string} key - Type key stored in events
+ * @param {Object} config - FIREWORK_TYPES-style entry
+ * @returns {boolean} Whether it was registered
+ */
+function registerFireworkType(key, config) {
+    if (typeof key !== 'string' || !PLUGIN_KEY.test(key) || key.startsWith('typ_') ||
+        FIREWORK_TYPES[key] || GROUND_EFFECTS[key]) {
+        console.warn(`registerFireworkType: "${key}" is taken or not a valid key`);
+        return false;
+    }
+    config = config || {};
+
+    const entry = JSON.parse(JSON.stringify(FIREWORK_TYPES.chrysanthemum));
+    Object.keys(config).forEach(prop => {
+        if (prop !== 'pattern' && prop !== 'random') entry[prop] = config[prop];
+    });
+    if (config.pattern) {
+        if (!registerBurstPattern(key, config.pattern)) return false;
+        entry.customPattern = key;
+    } else if (entry.customPattern && !BURST_PATTERNS[entry.customPattern]) {
+        console.warn(`registerFireworkType: "${key}" uses unknown pattern "${entry.customPattern}"`);
+        return false;
+    }
+    entry.name = String(config.name || key);
+    entry.description = String(config.description || '');
+    entry.plugin = true;
+
+    FIREWORK_TYPES[key] = entry;
+    if (config.random === false) SPECIAL_TYPES.push(key);
+    return true;
+}
+
+/**
+ * Types added by plugins, in registration order
+ */
+function getPluginTypes() {
+    return Object.keys(FIREWORK_TYPES).filter(key => FIREWORK_TYPES[key].plugin);
+}
@@ -0,0 +1,140 @@
+/**
+ * Quality - presets that trade detail for frame rate
+ *
+ * A preset scales how many stars a shell bursts into, how long their
+ * trails are, how much smoke is made and how finely the lake reflects the
+ * sky, and caps how many stars can be alive at once across the stage.
+ * 'auto' moves between the presets from the measured frame time. Video
+ * exports always render at High.
+ */
+
+const QUALITY_PRESETS = {
+    low: { name: 'Low', particles: 0.45, trails: 0.5, smoke: 0.4, reflectionSlices: 3, budget: 3000 },
+    medium: { name: 'Medium', particles: 0.7, trails: 0.75, smoke: 0.7, reflectionSlices: 5, budget: 6000 },
+    high: { name: 'High', particles: 1, trails: 1, smoke: 1, reflectionSlices: 9, budget: 15000 }
+};
+
+// Presets in order, for auto to step through
+const QUALITY_LEVELS = ['low', 'medium', 'high'];
+
+// Auto steps down after this long above AUTO_SLOW_MS per frame, and back
+// up after this long below AUTO_FAST_MS
+const AUTO_SLOW_MS = 25;
+const AUTO_FAST_MS = 18;
+const AUTO_STEP_DOWN_AFTER = 2;
+const AUTO_STEP_UP_AFTER = 8;
+
+const quality = {
+    preset: 'auto',  // 'auto' or a QUALITY_PRESETS key
+    level: 'high',   // The preset in effect (auto moves it)
+    frameMs: 1000 / 60,
+    slowFor: 0,      // Seconds spent above / below the auto thresholds
+    fastFor: 0
+};
+
+/**
+ * Whether a video export is rendering (exports ignore the preset)
+ */
+function isExportingVideo() {
+    return typeof videoExport !== 'undefined' && (videoExport.recording || videoExport.offline);
+}
+
+/**
+ * The preset in effect: { particles, trails, smoke, reflectionSlices, budget }
+ */
+function getQuality() {
+    return isExportingVideo() ? QUALITY_PRESETS.high : QUALITY_PRESETS[quality.level];
+}
+
+/**
+ * Most stars alive at once across every firework
+ */
+function getParticleBudget() {
+    return getQuality().budget;
+}
+
+/**
+ * Feed auto quality one live frame's wall-clock time
+ * @param {number} dt - Seconds since the previous frame
+ */
+function noteFrameTime(dt) {
+    // Background tabs stall the loop; that says nothing about the device
+    if (!(dt > 0) || dt > 0.25) return;
+    quality.frameMs += (dt * 1000 - quality.frameMs) * 0.1;
+
+    const pinned = typeof benchmarkRunning !== 'undefined' && benchmarkRunning;
+    if (quality.preset !== 'auto' || pinned || isExportingVideo()) return;
+
+    const index = QUALITY_LEVELS.indexOf(quality.level);
+    if (quality.frameMs > AUTO_SLOW_MS) {
+        quality.slowFor += dt;
+        quality.fastFor = 0;
+        if (quality.slowFor >= AUTO_STEP_DOWN_AFTER && index > 0) {
+            setQualityLevel(QUALITY_LEVELS[index - 1]);
+        }
+    } else if (quality.frameMs < AUTO_FAST_MS) {
+        quality.fastFor += dt;
+        quality.slowFor = 0;
+        if (quality.fastFor >= AUTO_STEP_UP_AFTER && index < QUALITY_LEVELS.length - 1) {
+            setQualityLevel(QUALITY_LEVELS[index + 1]);
+        }
+    } else {
+        quality.slowFor = 0;
+        quality.fastFor = 0;
+    }
+}
+
+function setQualityLevel(level) {
+    quality.level = level;
+    quality.slowFor = 0;
+    quality.fastFor = 0;
+    updateQualityLabel();
+}
+
+/**
+ * Choose a preset ('auto' starts from High and adjusts)
+ */
+function setQualityPreset(preset) {
+    quality.preset = preset === 'auto' || QUALITY_PRESETS[preset] ? preset : 'auto';
+    setQualityLevel(quality.preset === 'auto' ? 'high' : quality.preset);
+}
+
+function updateQualityLabel() {
+    const label = document.getElementById('quality-level-label');
+    if (label) {
+        label.textContent = quality.preset === 'auto' ? 'Now ' + QUALITY_PRESETS[quality.level].name : '';
+    }
+}
+
+/**
+ * Initialize the quality control
+ */
+function initQuality() {
+    const select = document.getElementById('quality-preset');
+    if (select) {
+        select.addEventListener('change', function() {
+            setQualityPreset(this.value);
+            markDirty();
+        });
+    }
+    updateQualityLabel();
+}
+
+/**
+ * Get quality settings for saving
+ */
+function getQualitySettings() {
+    return { preset: quality.preset };
+}
+
+/**
+ * Load quality settings
+ */
+function loadQualitySettings(settings) {
+    setQualityPreset(settings && settings.preset ? settings.preset : 'auto');
+
+    const select = document.getElementById('quality-preset');
+    if (select) {
+        select.value = quality.preset;
+    }
+}
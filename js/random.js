@@ -0,0 +1,58 @@
+/**
+ * Seeded Randomness - deterministic simulation for reproducible shows
+ *
+ * Every show carries a seed (saved with the project). Each firework gets
+ * its own stream derived from the show seed and its event id, so a shell
+ * looks the same on every play no matter what else is in the air, and
+ * exports, thumbnails and replays all match.
+ */
+
+/**
+ * Small deterministic PRNG: returns a function yielding floats in [0, 1)
+ */
+function mulberry32(seed) {
+    return function () {
+        seed |= 0;
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Hash any mix of numbers and strings into a 32-bit seed (FNV-1a)
+ */
+function hashSeed(...parts) {
+    const str = parts.join('|');
+    let h = 0x811C9DC5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/**
+ * A fresh seed for a new show
+ */
+function newShowSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * A seeded stream keyed by the given parts, e.g. (show.seed, event.id)
+ */
+function createSeededRandom(...parts) {
+    return mulberry32(hashSeed(...parts));
+}
+
+/**
+ * Split an independent stream off an existing one. Consumes exactly one
+ * draw, so a consumer that draws a varying number of values per frame
+ * (smoke emitters, draw-time sparkle) can't shift the parent's sequence.
+ */
+function forkRandom(rand) {
+    if (!rand || rand === Math.random) return Math.random;
+    return mulberry32(Math.floor(rand() * 4294967296));
+}
@@ -6,8 +6,8 @@
  * thumbnails). The lake mirrors the rendered sky live, so bursts reflect.
  */
 
-const SCENERY_HORIZON_Y = 455; // Matches the ground horizon line
-const WATER_DEPTH = 45;        // 455..500 is the water band
+const SCENERY_HORIZON_Y = 455; // Matches the ground horizon line (classic stage, see stageY)
+const WATER_DEPTH = 45;        // The horizon down to the bottom edge is the water band
 
 const scenery = {
     backdrop: 'none', // 'none' | 'city' | 'mountains' | 'forest' | 'rooftops'
@@ -36,21 +36,9 @@ function setSkyBrightness(value) {
 }
 
 // Cached geometry per backdrop, built lazily from a fixed seed
+// (mulberry32 in random.js, so silhouettes are identical on every load)
 const backdropCache = {};
 
-/**
- * Small deterministic PRNG so silhouettes are identical on every load
- */
-function mulberry32(seed) {
-    return function () {
-        seed |= 0;
-        seed = (seed + 0x6D2B79F5) | 0;
-        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
-        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
-        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-    };
-}
-
 function getScenerySettings() {
     return {
         backdrop: scenery.backdrop,
@@ -240,7 +228,7 @@ function getBackdropGeometry(name) {
 function drawBackdrop(ctx) {
     if (scenery.backdrop === 'none') return;
     const geo = getBackdropGeometry(scenery.backdrop);
-    const baseY = SCENERY_HORIZON_Y;
+    const baseY = stageY(SCENERY_HORIZON_Y);
 
     ctx.save();
 
@@ -250,7 +238,7 @@ function drawBackdrop(ctx) {
         glow.addColorStop(0, 'rgba(90, 70, 130, 0)');
         glow.addColorStop(1, 'rgba(90, 70, 130, 0.14)');
         ctx.fillStyle = glow;
-        ctx.fillRect(0, baseY - 130, 800, 130);
+        ctx.fillRect(0, baseY - 130, LOGIC_WIDTH, 130);
     }
 
     if (geo.kind === 'city') {
@@ -381,18 +369,19 @@ function drawBackdrop(ctx) {
 function drawWater(ctx, sourceCanvas, bufferScale, timestamp) {
     if (!scenery.water) return;
 
-    const waterY = SCENERY_HORIZON_Y;
-    const srcH = 320; // Sky strip that gets mirrored; deep compression reads as a grazing-angle reflection
+    const waterY = stageY(SCENERY_HORIZON_Y);
+    // Sky strip that gets mirrored; deep compression reads as a grazing-angle reflection
+    const srcH = 320 * getStageSkyScale();
 
     ctx.save();
 
     // Water base
     ctx.fillStyle = '#081226';
-    ctx.fillRect(0, waterY, 800, WATER_DEPTH);
+    ctx.fillRect(0, waterY, LOGIC_WIDTH, WATER_DEPTH);
 
     // Mirrored sky, drawn in horizontal slices with animated offsets.
     // Additive blending makes bright bursts genuinely glow on the water.
-    const slices = 9;
+    const slices = typeof getQuality === 'function' ? getQuality().reflectionSlices : 9;
     const sliceH = WATER_DEPTH / slices;
     ctx.globalCompositeOperation = 'lighter';
     ctx.globalAlpha = 0.55;
@@ -408,7 +397,7 @@ function drawWater(ctx, sourceCanvas, bufferScale, timestamp) {
         ctx.drawImage(
             sourceCanvas,
             0, srcY * bufferScale, sourceCanvas.width, (srcH / slices) * bufferScale,
-            0, -(dstY + sliceH), 800, sliceH
+            0, -(dstY + sliceH), LOGIC_WIDTH, sliceH
         );
         ctx.restore();
     }
@@ -420,14 +409,14 @@ function drawWater(ctx, sourceCanvas, bufferScale, timestamp) {
     tint.addColorStop(0, 'rgba(10, 22, 55, 0.12)');
     tint.addColorStop(1, 'rgba(5, 10, 30, 0.45)');
     ctx.fillStyle = tint;
-    ctx.fillRect(0, waterY, 800, WATER_DEPTH);
+    ctx.fillRect(0, waterY, LOGIC_WIDTH, WATER_DEPTH);
 
     // Waterline
     ctx.strokeStyle = 'rgba(140, 170, 230, 0.28)';
     ctx.lineWidth = 1;
     ctx.beginPath();
     ctx.moveTo(0, waterY + 0.5);
-    ctx.lineTo(800, waterY + 0.5);
+    ctx.lineTo(LOGIC_WIDTH, waterY + 0.5);
     ctx.stroke();
 
     ctx.restore();
@@ -1,6 +1,11 @@
 /**
  * Show Class - Manages the fireworks show sequence
  */
+
+// Longest a shell stays visible after launch (climb + longest-lived
+// stars + fade). Seeking rebuilds every launch within this window.
+const FIREWORK_LIFESPAN_MS = 7000;
+
 class Show {
     constructor(launcherManager) {
         this.launcherManager = launcherManager;
@@ -12,6 +17,12 @@ class Show {
         this.playbackSpeed = 1;
         this.loop = false;
 
+        // Simulation seed: every firework's randomness derives from it,
+        // so the same saved show replays identically
+        this.seed = (typeof newShowSeed === 'function') ? newShowSeed() : 0;
+        this.sceneRandom = Math.random;
+        this.reseedScene();
+
         // Callbacks
         this.onTimeUpdate = null;
         this.onPlayStateChange = null;
@@ -35,6 +46,11 @@ class Show {
             launchSound: eventData.launchSound || 'whistle',
             text: eventData.text || null,
             shellId: eventData.shellId || null,
+            breaks: normalizeShellBreaks(eventData.breaks),
+            colorStops: normalizeColorStops(eventData.colorStops),
+            angle: normalizeLaunchAngle(eventData.angle),
+            duration: normalizeEffectDuration(eventData.type, eventData.duration),
+            cake: normalizeCake(eventData.type, eventData.cake),
             group: eventData.group || null,
             groupLabel: eventData.groupLabel || null,
             triggered: false
@@ -84,6 +100,25 @@ class Show {
         this.duration = 5000; // Reset to minimal duration
     }
 
+    /**
+     * Restart the scene-level stream (camera shake) for the current
+     * position, so replaying from the same spot looks the same
+     */
+    reseedScene() {
+        this.sceneRandom = (typeof createSeededRandom === 'function')
+            ? createSeededRandom(this.seed, 'scene', Math.round(this.currentTime))
+            : Math.random;
+    }
+
+    /**
+     * Seeded stream for one event's firework (or one of its parts)
+     */
+    eventRandom(event, part = 'firework') {
+        return (typeof createSeededRandom === 'function')
+            ? createSeededRandom(this.seed, event.id, part)
+            : Math.random;
+    }
+
     /**
      * Generate unique event ID
      */
@@ -109,9 +144,11 @@ class Show {
             // No events: minimal duration, or the soundtrack's length
             this.duration = Math.max(5000, musicMs);
         } else {
-            const lastEventTime = Math.max(...this.events.map(e => e.time));
-            // 5 seconds buffer for the last firework to launch, burst, and fade;
-            // a soundtrack extends the show to the end of the song
+            const lastEventTime = Math.max(...this.events.map(e => e.time + getEventSpan(e)));
+            // 5 seconds buffer for the last firework to launch, burst, and fade
+            // (ground effects count from when they stop burning, cakes from
+            // their last shot, shells from their last break); a soundtrack
+            // extends the show to the end of the song
             this.duration = Math.max(lastEventTime + 5000, musicMs);
         }
 
@@ -139,6 +176,9 @@ class Show {
         const center = ids[Math.floor(n / 2)];
         const newGroup = () => 'grp_' + Date.now() + '_' + Math.random().toString(36).substr(2, 6);
 
+        // The project's own types join the rhythm, the showpiece and the finale
+        const ownTypes = (typeof customTypes !== 'undefined') ? customTypes.map(t => t.id) : [];
+
         const shell = (time, launcherId, type, size, height, group, label, palette) => {
             const p = palette || getThemePalette(theme);
             this.addEvent({
@@ -174,7 +214,7 @@ class Show {
             ['peony', 'chrysanthemum', 'ring'],
             ['chrysanthemum', 'crackle', 'peony'],
             ['ring', 'peony', 'strobe']
-        ]);
+        ]).concat(ownTypes);
         const pingpong = Math.random() < 0.5;
         const rhythmShots = 9 + Math.floor(Math.random() * 5);
         const interval = 950 + Math.random() * 350;
@@ -225,7 +265,7 @@ class Show {
 
         // ── Showpiece: one big centerpiece moment ──
         const showpiece = newGroup();
-        shell(t, center, pick(['pistil', 'heart', 'saturn']), 'large', 'high', showpiece, 'Showpiece');
+        shell(t, center, pick(['pistil', 'heart', 'saturn', ...ownTypes]), 'large', 'high', showpiece, 'Showpiece');
         if (n >= 3) {
             shell(t + 500, ids[Math.max(0, Math.floor(n / 2) - 1)], 'willow', 'medium', 'medium', showpiece, 'Showpiece');
             shell(t + 500, ids[Math.min(n - 1, Math.floor(n / 2) + 1)], 'willow', 'medium', 'medium', showpiece, 'Showpiece');
@@ -271,6 +311,7 @@ class Show {
      * @param {number} options.count - Number of fireworks (10-50)
      * @param {string} options.intensity - 'gradual', 'steady', or 'chaos'
      * @param {string} options.pattern - 'random', 'sweep', 'pingpong', or 'volley'
+     * @param {string} options.angles - 'straight', 'fan', 'sweep', or 'v'
      * @param {boolean} options.grandEnding - Add an all-launcher barrage at the end
      * @param {string} options.theme - Color theme name or 'custom'
      * @param {Array} options.customColors - Array of hex colors for custom theme
@@ -287,6 +328,7 @@ class Show {
         const fireworkCount = options.count || 25;
         const intensity = options.intensity || 'gradual';
         const pattern = options.pattern || 'random';
+        const angles = options.angles || 'straight';
         const grandEnding = options.grandEnding !== false;
         const theme = options.theme || 'random';
         const customColors = options.customColors || [];
@@ -308,15 +350,33 @@ class Show {
             }
         };
 
+        // Launch angles: 'fan' leans shells out by their launcher's place in
+        // the rack, 'sweep' swings every tube left-right-left over the
+        // finale, 'v' alternates each launcher's shells left and right.
+        // 'straight' keeps each launcher's own tilt (null).
+        const acrossRack = (launcherIndex) => numLaunchers > 1 ? (launcherIndex / (numLaunchers - 1)) * 2 - 1 : 0;
+        const angleFor = (launcherIndex, progress, shot) => {
+            switch (angles) {
+                case 'fan': return Math.round(acrossRack(launcherIndex) * 30);
+                case 'sweep': {
+                    const phase = (progress * 3) % 2;
+                    return Math.round(((phase < 1 ? phase : 2 - phase) * 2 - 1) * 30);
+                }
+                case 'v': return shot % 2 === 0 ? -25 : 25;
+                default: return null;
+            }
+        };
+
         const pickPalette = () => (theme === 'custom' && customColors.length > 0)
             ? getCustomPalette(customColors)
             : getThemePalette(theme);
 
-        const makeEvent = (time, launcherId, size) => {
+        const makeEvent = (time, launcherIndex, size, angle) => {
             const palette = pickPalette();
             return {
                 time: time,
-                launcherId: launcherId,
+                launcherId: launcherIds[launcherIndex],
+                angle: angle,
                 type: allowedTypes[Math.floor(Math.random() * allowedTypes.length)],
                 primaryColor: palette.primary,
                 secondaryColor: palette.secondary,
@@ -348,7 +408,7 @@ class Show {
                 const progress = volleyCount > 1 ? v / (volleyCount - 1) : 0;
                 const volleyTime = finaleStart + timeForProgress(progress);
                 for (let l = 0; l < numLaunchers && made < fireworkCount; l++) {
-                    finaleEvents.push(makeEvent(volleyTime, launcherIds[l], sizeForProgress(progress)));
+                    finaleEvents.push(makeEvent(volleyTime, l, sizeForProgress(progress), angleFor(l, progress, v + l)));
                     made++;
                 }
             }
@@ -374,23 +434,26 @@ class Show {
 
                 finaleEvents.push(makeEvent(
                     finaleStart + timeForProgress(progress),
-                    launcherIds[launcherIndex],
-                    sizeForProgress(progress)
+                    launcherIndex,
+                    sizeForProgress(progress),
+                    angleFor(launcherIndex, progress, i)
                 ));
             }
         }
 
-        // Grand ending: two rapid all-launcher barrages of big shells at the climax
+        // Grand ending: two rapid all-launcher barrages of big shells at the
+        // climax, fanned across the sky when the finale is angled
         if (grandEnding) {
             const bigTypes = ['chrysanthemum', 'peony', 'brocade', 'pistil'].filter(t => allowedTypes.includes(t));
             const endingTypes = bigTypes.length > 0 ? bigTypes : allowedTypes;
             for (let wave = 0; wave < 2; wave++) {
                 const waveTime = finaleStart + finaleDuration + wave * 600;
-                launcherIds.forEach(id => {
+                launcherIds.forEach((id, index) => {
                     const palette = pickPalette();
                     finaleEvents.push({
                         time: waveTime,
                         launcherId: id,
+                        angle: angles === 'straight' ? null : Math.round(acrossRack(index) * 30),
                         type: endingTypes[Math.floor(Math.random() * endingTypes.length)],
                         primaryColor: palette.primary,
                         secondaryColor: palette.secondary,
@@ -411,32 +474,84 @@ class Show {
     }
 
     /**
-     * Launch a firework for an event
+     * Build the firework for an event at its launcher (null if the
+     * launcher is gone or disabled). For a cake, builds one of its shots
+     * (see getCakeShot).
      */
-    launchFirework(event) {
+    createFirework(event, shot = null) {
         const launcher = this.launcherManager.getLauncherById(event.launcherId);
-        if (!launcher || !launcher.enabled) return;
+        if (!launcher || !launcher.enabled) return null;
 
         const launchPos = launcher.getLaunchPosition();
 
-        const firework = new Firework({
+        // Fountains, mines and candles burn at the launcher instead
+        if (isGroundEffect(event.type)) {
+            return new GroundEffect({
+                launchX: launchPos.x,
+                launchY: launchPos.y,
+                type: event.type,
+                primaryColor: event.primaryColor,
+                secondaryColor: event.secondaryColor,
+                size: event.size,
+                colorStops: event.colorStops,
+                duration: event.duration,
+                angle: launcher.getLaunchAngle(event.angle),
+                rand: this.eventRandom(event)
+            });
+        }
+
+        // Cake shots swap in their own type and colors, and lean by the pattern
+        const look = shot || event;
+        const angle = launcher.getLaunchAngle(event.angle);
+
+        return new Firework({
             launchX: launchPos.x,
             launchY: launchPos.y,
-            type: event.type,
-            primaryColor: event.primaryColor,
-            secondaryColor: event.secondaryColor,
+            type: look.type,
+            primaryColor: look.primaryColor,
+            secondaryColor: look.secondaryColor,
             size: event.size,
             height: event.height,
             trail: event.trail,
             launchSound: event.launchSound,
             text: event.text,
-            shellId: event.shellId
+            shellId: look.shellId,
+            breaks: event.breaks,
+            colorStops: event.colorStops,
+            angle: shot ? normalizeLaunchAngle(angle + shot.angleOffset) : angle,
+            rand: shot ? this.eventRandom(event, 'shot' + shot.index) : this.eventRandom(event)
         });
+    }
+
+    /**
+     * Advance a firework by an age in seconds at a fixed step
+     * @param {number} [launchMs] - Show time it launched at, so it meets the
+     *   wind of each moment it flies through (default: this many ms ago)
+     */
+    fastForwardFirework(firework, ageSec, launchMs = this.currentTime - ageSec * 1000, step = 1 / 30) {
+        const hasWind = typeof windTimeOverride !== 'undefined';
+        try {
+            for (let t = 0; t < ageSec && firework.phase !== 'done'; t += step) {
+                if (hasWind) windTimeOverride = launchMs + t * 1000;
+                firework.update(Math.min(step, ageSec - t));
+            }
+        } finally {
+            if (hasWind) windTimeOverride = null;
+        }
+    }
+
+    /**
+     * Launch a firework for an event (or one shot of a cake)
+     */
+    launchFirework(event, shot = null) {
+        const firework = this.createFirework(event, shot);
+        if (!firework) return;
 
         this.activeFireworks.push(firework);
 
         // Trigger launcher flash
-        this.launcherManager.triggerLaunch(event.launcherId);
+        this.launcherManager.triggerLaunch(event.launcherId,
+            this.eventRandom(event, shot ? 'launcher' + shot.index : 'launcher'));
 
         // Callback
         if (this.onEventTriggered) {
@@ -444,26 +559,46 @@ class Show {
         }
     }
 
+    /**
+     * How fast simulated time runs relative to wall time. Slow motion
+     * applies to the whole world (fireworks, smoke, launcher flashes,
+     * sound), not just the schedule.
+     */
+    getTimeScale() {
+        return this.isPlaying ? this.playbackSpeed : 1;
+    }
+
     /**
      * Update the show
-     * @param {number} dt - Delta time in seconds
+     * @param {number} dt - Wall-clock delta time in seconds
      */
     update(dt) {
         if (!this.isPlaying) return;
 
+        // Simulated time step at the current playback speed
+        const simDt = dt * this.playbackSpeed;
+
         // Update time
-        this.currentTime += dt * 1000 * this.playbackSpeed;
+        this.currentTime += simDt * 1000;
 
-        // Check for events to trigger
+        // Check for events to trigger. A cake is lit once, then fires its
+        // shots on their own clock.
         this.events.forEach(event => {
             if (!event.triggered && this.currentTime >= event.time) {
-                this.launchFirework(event);
                 event.triggered = true;
+                if (event.cake) {
+                    event.shotsFired = 0;
+                } else {
+                    this.launchFirework(event);
+                }
+            }
+            if (event.cake && event.triggered) {
+                this.fireCakeShots(event);
             }
         });
 
         // Update active fireworks
-        this.activeFireworks.forEach(fw => fw.update(dt));
+        this.activeFireworks.forEach(fw => fw.update(simDt));
 
         // Remove completed fireworks
         this.activeFireworks = this.activeFireworks.filter(fw => fw.phase !== 'done');
@@ -490,6 +625,18 @@ class Show {
         }
     }
 
+    /**
+     * Launch every shot of a lit cake that's come due
+     */
+    fireCakeShots(event) {
+        while (event.shotsFired < event.cake.shots) {
+            const shot = getCakeShot(event, event.shotsFired);
+            if (this.currentTime < shot.time) break;
+            this.launchFirework(event, shot);
+            event.shotsFired++;
+        }
+    }
+
     /**
      * Draw all active fireworks
      */
@@ -536,6 +683,11 @@ class Show {
             stopCrowdAmbience();
         }
 
+        // Drop sounds still on their way to the listener
+        if (typeof cancelScheduledSounds === 'function') {
+            cancelScheduledSounds();
+        }
+
         if (this.onPlayStateChange) {
             this.onPlayStateChange(false);
         }
@@ -548,6 +700,7 @@ class Show {
         this.isPlaying = false;
         this.currentTime = 0;
         this.activeFireworks = [];
+        this.reseedScene();
 
         if (typeof musicStop === 'function') {
             musicStop();
@@ -558,6 +711,11 @@ class Show {
             stopCrowdAmbience();
         }
 
+        // Drop sounds still on their way to the listener
+        if (typeof cancelScheduledSounds === 'function') {
+            cancelScheduledSounds();
+        }
+
         // Reset all event triggers
         this.events.forEach(e => e.triggered = false);
 
@@ -576,6 +734,7 @@ class Show {
         this.currentTime = 0;
         this.activeFireworks = [];
         this.events.forEach(e => e.triggered = false);
+        this.reseedScene();
 
         // Restart the soundtrack when looping
         if (this.isPlaying && typeof musicPlay === 'function') {
@@ -585,18 +744,34 @@ class Show {
 
     /**
      * Seek to a specific time
+     * @param {number} time - Show time in ms
+     * @param {boolean} restore - Rebuild fireworks already in the air
+     *   (skipped while scrubbing, where it would run every pointer move)
      */
-    seek(time) {
+    seek(time, restore = true) {
         this.currentTime = Math.max(0, Math.min(time, this.duration));
 
         // Reset events that are after the new time
         this.events.forEach(e => {
             e.triggered = e.time < this.currentTime;
+            if (e.cake) {
+                // Shots already gone by the new time
+                e.shotsFired = Math.min(e.cake.shots,
+                    Math.max(0, Math.ceil((this.currentTime - e.time) / e.cake.interval)));
+            }
         });
 
-        // Clear active fireworks when seeking
-        this.activeFireworks = [];
+        // Rebuild the fireworks already in the air at the new time
+        if (restore) {
+            this.restoreActiveFireworks();
+        } else {
+            this.releaseActiveFireworks();
+        }
+        this.reseedScene();
 
+        if (typeof cancelScheduledSounds === 'function') {
+            cancelScheduledSounds();
+        }
         if (typeof musicSeek === 'function') {
             musicSeek(this.currentTime);
         }
@@ -606,6 +781,60 @@ class Show {
         }
     }
 
+    /**
+     * Drop every firework in the air, handing their stars back to the
+     * quality budget so a rebuild right after isn't thinned by them
+     */
+    releaseActiveFireworks() {
+        this.activeFireworks.forEach(fw => {
+            if (fw.particles !== EMPTY_PARTICLES) fw.particles.release();
+        });
+        this.activeFireworks = [];
+    }
+
+    /**
+     * Rebuild activeFireworks for the current time by fast-forwarding every
+     * launch still in the air, so the sky matches what the audience would
+     * see. Simulated muted, without smoke or sky flashes.
+     */
+    restoreActiveFireworks() {
+        this.releaseActiveFireworks();
+
+        const lifespan = e => FIREWORK_LIFESPAN_MS + getShellBreakSpan(e.breaks) * 1000 + (e.duration || 0);
+        const recent = this.events.filter(e =>
+            e.time < this.currentTime &&
+            this.currentTime - e.time <= lifespan(e) + getCakeSpan(e.cake)
+        );
+        if (recent.length === 0) return;
+
+        // A preview render may already have muted sound; leave it as found
+        const wasMuted = window.PREVIEW_MUTED;
+        window.PREVIEW_MUTED = true;
+        const savedSmoke = (typeof smokeManager !== 'undefined') ? smokeManager : null;
+        if (savedSmoke) smokeManager = null;
+
+        try {
+            recent.forEach(event => {
+                // Each cake shot still in the air is its own firework
+                const shots = event.cake
+                    ? getCakeShots(event).filter(s =>
+                        s.time < this.currentTime && this.currentTime - s.time <= lifespan(event))
+                    : [null];
+                shots.forEach(shot => {
+                    const firework = this.createFirework(event, shot);
+                    if (!firework) return;
+                    this.fastForwardFirework(firework, (this.currentTime - (shot || event).time) / 1000);
+                    if (firework.phase !== 'done') {
+                        this.activeFireworks.push(firework);
+                    }
+                });
+            });
+        } finally {
+            if (savedSmoke) smokeManager = savedSmoke;
+            window.PREVIEW_MUTED = wasMuted;
+        }
+    }
+
     /**
      * Set playback speed
      */
@@ -624,10 +853,10 @@ class Show {
     }
 
     /**
-     * Get events for UI display (sorted by time)
+     * Get events for UI display (sorted by burst time)
      */
     getEventList() {
-        return [...this.events].sort((a, b) => a.time - b.time);
+        return [...this.events].sort((a, b) => getBurstTime(a) - getBurstTime(b));
     }
 
     /**
@@ -652,6 +881,7 @@ class Show {
 
         return {
             version: '1.0',
+            seed: this.seed,
             settings: {
                 duration: this.duration,
                 backgroundColor: '#0a0a1a',
@@ -663,6 +893,8 @@ class Show {
             music: (typeof getMusicSettings === 'function') ? getMusicSettings() : { track: null, volume: 70 },
             weather: weatherSettings,
             audio: audioSettings,
+            quality: (typeof getQualitySettings === 'function') ? getQualitySettings() : null,
+            stage: (typeof getStageSettings === 'function') ? getStageSettings() : null,
             launchers: this.launcherManager.toJSON(),
             events: this.events.map(e => ({
                 id: e.id,
@@ -677,10 +909,17 @@ class Show {
                 launchSound: e.launchSound || 'whistle',
                 text: e.text || null,
                 shellId: e.shellId || null,
+                breaks: e.breaks && e.breaks.length > 0 ? normalizeShellBreaks(e.breaks) : null,
+                colorStops: e.colorStops && e.colorStops.length > 0 ? normalizeColorStops(e.colorStops) : null,
+                angle: normalizeLaunchAngle(e.angle),
+                duration: normalizeEffectDuration(e.type, e.duration),
+                cake: normalizeCake(e.type, e.cake),
                 group: e.group || null,
                 groupLabel: e.groupLabel || null
             })),
-            customShells: (typeof serializeShells === 'function') ? serializeShells() : []
+            customShells: (typeof serializeShells === 'function') ? serializeShells() : [],
+            customTypes: (typeof serializeCustomTypes === 'function') ? serializeCustomTypes() : [],
+            firingScript: (typeof getFiringScriptSettings === 'function') ? getFiringScriptSettings() : null
         };
     }
 
@@ -690,6 +929,14 @@ class Show {
     fromJSON(data) {
         if (!data) return;
 
+        // Simulation seed (older projects get a fresh one, kept on next save)
+        this.seed = (typeof data.seed === 'number' && isFinite(data.seed))
+            ? data.seed >>> 0
+            : ((typeof newShowSeed === 'function') ? newShowSeed() : 0);
+        if (typeof generateStars === 'function') {
+            generateStars(this.seed);
+        }
+
         // Load settings
         if (data.settings) {
             this.duration = data.settings.duration || 30000;
@@ -715,15 +962,34 @@ class Show {
             loadAudioSettings(data.audio);
         }
 
+        // Quality preset (older projects start on auto)
+        if (typeof loadQualitySettings === 'function') {
+            loadQualitySettings(data.quality);
+        }
+
+        // Stage format (older projects are classic), before the launchers
+        // stand on its ground
+        if (typeof loadStageSettings === 'function') {
+            loadStageSettings(data.stage);
+        }
+
+        // Firing-system export settings (module mapping, lift times)
+        if (typeof loadFiringScriptSettings === 'function') {
+            loadFiringScriptSettings(data.firingScript);
+        }
+
         // Load launchers
         if (data.launchers) {
             this.launcherManager.loadFromData(data.launchers);
         }
 
-        // Load custom shells (before events, which may reference them)
+        // Load custom shells and types (before events, which may reference them)
         if (typeof loadShells === 'function') {
             loadShells(data.customShells);
         }
+        if (typeof loadCustomTypes === 'function') {
+            loadCustomTypes(data.customTypes);
+        }
 
         // Load events
         this.events = [];
@@ -737,5 +1003,11 @@ class Show {
         this.currentTime = 0;
         this.activeFireworks = [];
         this.events.forEach(e => e.triggered = false);
+        this.reseedScene();
+
+        // The performance record was of the previous show
+        if (typeof clearPerfTimeline === 'function') {
+            clearPerfTimeline();
+        }
     }
 }
@@ -0,0 +1,114 @@
+/**
+ * Stage - the project's picture format
+ *
+ * The format sets the logical canvas that every position is measured in.
+ * Stages are always 800 wide, so launcher positions, shell sizes and
+ * backdrops carry across formats, and the height follows the aspect ratio.
+ * The ground band at the bottom keeps its size while the sky above the
+ * launchers stretches: burst heights, rocket speeds and drag scale with
+ * it, so shells fill a taller sky but still burst on the same beat.
+ */
+
+const STAGE_FORMATS = {
+    classic: { name: 'Classic 8:5', width: 800, height: 500, exportWidths: [800, 1280, 1920] },
+    widescreen: { name: 'Widescreen 16:9', width: 800, height: 450, exportWidths: [800, 1280, 1920] },
+    square: { name: 'Square 1:1', width: 800, height: 800, exportWidths: [540, 720, 1080] },
+    vertical: { name: 'Vertical 9:16', width: 800, height: 1422, exportWidths: [450, 720, 1080] }
+};
+
+// Heights in the code and in HEIGHT_CONFIGS are for the classic stage:
+// the launchers stand in the bottom STAGE_GROUND, below CLASSIC_GROUND_Y
+const CLASSIC_HEIGHT = 500;
+const STAGE_GROUND = 50;
+const CLASSIC_GROUND_Y = CLASSIC_HEIGHT - STAGE_GROUND;
+
+// Logical coordinate space. All game logic and saved data use these dimensions.
+// The canvas buffer is scaled up to match the display size for crisp rendering.
+let LOGIC_WIDTH = 800;
+let LOGIC_HEIGHT = 500;
+
+const stage = {
+    format: 'classic' // A STAGE_FORMATS key
+};
+
+/**
+ * The format in effect: { name, width, height, exportWidths }
+ */
+function getStageFormat() {
+    return STAGE_FORMATS[stage.format];
+}
+
+/**
+ * How much taller the sky above the launchers is than the classic one
+ */
+function getStageSkyScale() {
+    return (LOGIC_HEIGHT - STAGE_GROUND) / CLASSIC_GROUND_Y;
+}
+
+/**
+ * Where a height on the classic stage falls on this one: the ground band
+ * moves down with the bottom edge, the sky stretches above it
+ * @param {number} classicY - y on the 800x500 stage
+ */
+function stageY(classicY) {
+    if (classicY >= CLASSIC_GROUND_Y) return classicY + (LOGIC_HEIGHT - CLASSIC_HEIGHT);
+    return LOGIC_HEIGHT - STAGE_GROUND - (CLASSIC_GROUND_Y - classicY) * getStageSkyScale();
+}
+
+/**
+ * Switch the stage to a format, moving the launchers and refitting the canvas
+ * @param {string} key - A STAGE_FORMATS key (unknown keys fall back to classic)
+ */
+function setStageFormat(key) {
+    stage.format = STAGE_FORMATS[key] ? key : 'classic';
+    const format = getStageFormat();
+    if (format.width === LOGIC_WIDTH && format.height === LOGIC_HEIGHT) return;
+
+    LOGIC_WIDTH = format.width;
+    LOGIC_HEIGHT = format.height;
+
+    if (typeof launcherManager !== 'undefined' && launcherManager) {
+        launcherManager.resize(LOGIC_WIDTH, LOGIC_HEIGHT);
+    }
+    if (typeof canvas !== 'undefined' && canvas) {
+        fitCanvasToContainer();
+    }
+    if (typeof show !== 'undefined' && show && typeof generateStars === 'function') {
+        generateStars(show.seed);
+    }
+}
+
+/**
+ * Initialize the stage format control
+ */
+function initStageFormat() {
+    const select = document.getElementById('stage-format');
+    if (select) {
+        select.addEventListener('change', function() {
+            setStageFormat(this.value);
+            // Fireworks in flight were placed for the old stage
+            testFireworks = [];
+            show.seek(show.currentTime);
+            markDirty();
+        });
+    }
+}
+
+/**
+ * Get stage settings for saving
+ */
+function getStageSettings() {
+    return { format: stage.format };
+}
+
+/**
+ * Load stage settings (older projects are classic)
+ */
+function loadStageSettings(settings) {
+    setStageFormat(settings && settings.format ? settings.format : 'classic');
+
+    const select = document.getElementById('stage-format');
+    if (select) {
+        select.value = stage.format;
+    }
+}
@@ -300,6 +300,75 @@ const FIREWORK_TYPES = {
     }
 };
 
+/**
+ * Ground effects: instead of lifting a shell, these burn at the launcher
+ * itself for the event's duration. 'kind' picks the emitter in
+ * GroundEffect: a steady spark stream ('fountain'), one violent spray of
+ * stars ('mine'), or single stars fired at an interval ('candle').
+ * 'reach' is how high the sparks or stars climb (px).
+ */
+const GROUND_EFFECTS = {
+    fountain: {
+        name: 'Fountain',
+        description: 'Wide shower of falling sparks',
+        kind: 'fountain',
+        defaultDuration: 5000,
+        reach: 130,
+        spread: 0.35,     // Half-angle of the spray (radians)
+        rate: 110,        // Sparks per second
+        sparkLife: 1.1
+    },
+    gerb: {
+        name: 'Gerb',
+        description: 'Narrow, fierce jet of sparks',
+        kind: 'fountain',
+        defaultDuration: 3000,
+        reach: 220,
+        spread: 0.1,
+        rate: 160,
+        sparkLife: 0.8
+    },
+    mine: {
+        name: 'Mine',
+        description: 'Sudden spray of stars from the ground',
+        kind: 'mine',
+        defaultDuration: 600,
+        reach: 300,
+        spread: 0.45,
+        rate: 220,        // Stars per second while it sprays
+        sparkLife: 1.6
+    },
+    candle: {
+        name: 'Roman Candle',
+        description: 'Fires a star every half second',
+        kind: 'candle',
+        defaultDuration: 4000,
+        reach: 260,
+        spread: 0.05,
+        interval: 0.5,    // Seconds between stars
+        sparkLife: 1.4
+    }
+};
+
+// Ground effects run for 0.3-20 seconds
+const GROUND_EFFECT_MIN_MS = 300;
+const GROUND_EFFECT_MAX_MS = 20000;
+
+function isGroundEffect(type) {
+    return Object.prototype.hasOwnProperty.call(GROUND_EFFECTS, type);
+}
+
+/**
+ * Clean up an event's duration (ms): ground effects get one (their
+ * default if missing), rounded to tenths of a second; shells get null
+ */
+function normalizeEffectDuration(type, duration) {
+    if (!isGroundEffect(type)) return null;
+    const ms = parseFloat(duration);
+    if (!isFinite(ms) || ms <= 0) return GROUND_EFFECTS[type].defaultDuration;
+    return Math.round(Math.max(GROUND_EFFECT_MIN_MS, Math.min(GROUND_EFFECT_MAX_MS, ms)) / 100) * 100;
+}
+
 /**
  * Size multipliers for particle counts and spread
  */
@@ -310,7 +379,8 @@ const SIZE_MULTIPLIERS = {
 };
 
 /**
- * Height configurations for burst altitude
+ * Height configurations for burst altitude, on the classic stage (other
+ * formats scale them, see getHeightProfile)
  */
 const HEIGHT_CONFIGS = {
     low: { burstY: 350, launchSpeed: 300 },    // Lower burst
@@ -318,6 +388,213 @@ const HEIGHT_CONFIGS = {
     high: { burstY: 150, launchSpeed: 500 }    // Higher burst
 };
 
+// Rockets decelerate at this rate while climbing (px/s^2)
+const ROCKET_GRAVITY = 100;
+
+// Where shells leave the mortar (top of the tube, see Launcher; tilted
+// tubes keep their mouth at this height)
+const ROCKET_LAUNCH_Y = 450;
+
+/**
+ * Burst altitude, launch speed and drag for a height config on the stage
+ * in effect. A taller sky stretches the climb and speeds the shell up to
+ * match, so the flight time doesn't change with the format.
+ */
+function getHeightProfile(height) {
+    const config = HEIGHT_CONFIGS[height] || HEIGHT_CONFIGS.high;
+    const scale = getStageSkyScale();
+    return {
+        burstY: stageY(config.burstY),
+        launchSpeed: config.launchSpeed * scale,
+        gravity: ROCKET_GRAVITY * scale
+    };
+}
+
+/**
+ * Seconds from launch to burst for a height config (the same on every
+ * stage format)
+ */
+function getFlightTime(height) {
+    const config = HEIGHT_CONFIGS[height] || HEIGHT_CONFIGS.high;
+    const rise = ROCKET_LAUNCH_Y - config.burstY;
+    const v = config.launchSpeed;
+    // rise = v*t - g*t^2/2, or the apex if the rocket stalls first
+    const disc = v * v - 2 * ROCKET_GRAVITY * rise;
+    if (disc < 0) return v / ROCKET_GRAVITY;
+    return (v - Math.sqrt(disc)) / ROCKET_GRAVITY;
+}
+
+/**
+ * Seconds from an event's launch to its burst: the height's flight time,
+ * or none for ground effects, which start the moment they're lit
+ */
+function getEventFlightTime(event) {
+    return isGroundEffect(event.type) ? 0 : getFlightTime(event.height);
+}
+
+/**
+ * When an event's shell bursts (ms). Events store their launch time;
+ * the burst follows by the height's flight time.
+ */
+function getBurstTime(event) {
+    return event.time + getEventFlightTime(event) * 1000;
+}
+
+/**
+ * Launch time (ms) that makes a shell of the given height (and type)
+ * burst at burstMs
+ */
+function getLaunchTimeForBurst(burstMs, height, type) {
+    return Math.max(0, Math.round(burstMs - getEventFlightTime({ type: type, height: height }) * 1000));
+}
+
+// Launch angles and launcher tilts lean at most this far from vertical (degrees)
+const MAX_LAUNCH_ANGLE = 45;
+
+/**
+ * Clean up a launch angle in degrees from vertical (negative leans left),
+ * rounded to whole degrees. Blank or missing stays null, meaning "use the
+ * launcher's tilt".
+ */
+function normalizeLaunchAngle(angle) {
+    if (angle === null || angle === undefined || angle === '') return null;
+    const degrees = parseFloat(angle);
+    if (!isFinite(degrees)) return null;
+    return Math.round(Math.max(-MAX_LAUNCH_ANGLE, Math.min(MAX_LAUNCH_ANGLE, degrees)));
+}
+
+// Follow-up breaks a multi-break shell can carry after its first burst
+const MAX_SHELL_BREAKS = 4;
+
+/**
+ * Clean up an event's follow-up breaks: known types (text needs its own
+ * word, so it can only be the first break), valid sizes, and delays of
+ * 0.1-3 seconds after the previous break. Always returns a fresh array,
+ * so it doubles as a copy.
+ */
+function normalizeShellBreaks(breaks) {
+    if (!Array.isArray(breaks)) return [];
+    return breaks
+        .filter(b => b && FIREWORK_TYPES[b.type] && b.type !== 'text')
+        .slice(0, MAX_SHELL_BREAKS)
+        .map(b => ({
+            type: b.type,
+            shellId: b.type === 'custom' ? (b.shellId || null) : null,
+            primaryColor: b.primaryColor || '#ffffff',
+            secondaryColor: b.secondaryColor || '#ffaa00',
+            size: SIZE_MULTIPLIERS[b.size] ? b.size : 'medium',
+            delay: Math.max(0.1, Math.min(3, parseFloat(b.delay) || 0.8))
+        }));
+}
+
+/**
+ * Seconds from a shell's first break to its last
+ */
+function getShellBreakSpan(breaks) {
+    return (breaks || []).reduce((sum, b) => sum + b.delay, 0);
+}
+
+/**
+ * Clean up an event's color stops for color-changing stars: each switches
+ * every star to a new color at a fraction of its life (0.02-0.98), kept
+ * in order. Always returns a fresh array.
+ */
+function normalizeColorStops(stops) {
+    if (!Array.isArray(stops)) return [];
+    return stops
+        .filter(s => s && /^#[0-9a-f]{6}$/i.test(s.color) && isFinite(parseFloat(s.at)))
+        .map(s => ({
+            at: Math.round(Math.max(0.02, Math.min(0.98, parseFloat(s.at))) * 100) / 100,
+            color: s.color.toLowerCase()
+        }))
+        .sort((a, b) => a.at - b.at);
+}
+
+// Cakes: one fuse that fires a row of tubes from a single launcher
+const MAX_CAKE_SHOTS = 100;
+const CAKE_PATTERNS = {
+    straight: 'Straight',
+    fan: 'Fan',       // Sweeps across the spread, left to right
+    zipper: 'Zipper'  // Alternates left and right
+};
+
+/**
+ * Clean up an event's cake settings: 2-100 shots, 50 ms-5 s apart, a
+ * pattern and spread (degrees) for the tube angles, and the types and
+ * colors the shots cycle through after the event's own. Null when the
+ * event isn't a cake; ground effects never are.
+ */
+function normalizeCake(type, cake) {
+    if (!cake || isGroundEffect(type)) return null;
+    const shots = Math.round(parseFloat(cake.shots));
+    if (!isFinite(shots) || shots < 2) return null;
+    const spread = parseFloat(cake.spread);
+    return {
+        shots: Math.min(MAX_CAKE_SHOTS, shots),
+        interval: Math.round(Math.max(50, Math.min(5000, parseFloat(cake.interval) || 250)) / 10) * 10,
+        pattern: CAKE_PATTERNS[cake.pattern] ? cake.pattern : 'straight',
+        spread: isFinite(spread) ? Math.round(Math.max(0, Math.min(MAX_LAUNCH_ANGLE * 2, spread))) : 40,
+        sequence: (Array.isArray(cake.sequence) ? cake.sequence : [])
+            .filter(s => s && FIREWORK_TYPES[s.type] && s.type !== 'text')
+            .slice(0, MAX_CAKE_SHOTS - 1)
+            .map(s => ({
+                type: s.type,
+                shellId: s.type === 'custom' ? (s.shellId || null) : null,
+                primaryColor: s.primaryColor || '#ffffff',
+                secondaryColor: s.secondaryColor || '#ffaa00'
+            }))
+    };
+}
+
+/**
+ * Milliseconds from a cake's first shot to its last
+ */
+function getCakeSpan(cake) {
+    return cake ? (cake.shots - 1) * cake.interval : 0;
+}
+
+/**
+ * One shot of a cake event: when it leaves (ms), what it is, and how far
+ * its tube leans from the launcher's angle (degrees). Shots cycle through
+ * the event's own type and colors, then the cake's sequence.
+ */
+function getCakeShot(event, index) {
+    const cake = event.cake;
+    const looks = [event, ...cake.sequence];
+    const look = looks[index % looks.length];
+    const progress = cake.shots > 1 ? index / (cake.shots - 1) : 0.5;
+
+    let angleOffset = 0;
+    if (cake.pattern === 'fan') {
+        angleOffset = (progress - 0.5) * cake.spread;
+    } else if (cake.pattern === 'zipper') {
+        angleOffset = (index % 2 === 0 ? -0.5 : 0.5) * cake.spread;
+    }
+
+    return {
+        index: index,
+        time: event.time + index * cake.interval,
+        type: look.type,
+        shellId: look.shellId || null,
+        primaryColor: look.primaryColor,
+        secondaryColor: look.secondaryColor,
+        angleOffset: angleOffset
+    };
+}
+
+function getCakeShots(event) {
+    if (!event.cake) return [];
+    return Array.from({ length: event.cake.shots }, (_, i) => getCakeShot(event, i));
+}
+
+/**
+ * Milliseconds an event keeps firing after its launch time: a ground
+ * effect's burn, a cake's run of shots and a shell's follow-up breaks
+ */
+function getEventSpan(event) {
+    return (event.duration || 0) + getCakeSpan(event.cake) + getShellBreakSpan(event.breaks) * 1000;
+}
+
 /**
  * Trail effect configurations
  */
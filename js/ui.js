@@ -4,7 +4,7 @@
 
 // Current editing state
 let currentEditingEventId = null;
-let currentEditingOriginalTime = null;
+let currentEditingOriginalBurst = null;
 let selectedLauncherId = 1;
 
 /**
@@ -42,6 +42,7 @@ function initUI() {
 
     // Drag on empty track = select a time range
     initTimelineRangeSelect();
+    initTimelineZoom();
 
     // Note: Launcher selection buttons in modal are created dynamically
     // See updateLauncherSelectButtons() in engine.js
@@ -49,16 +50,25 @@ function initUI() {
     // Initialize finale modal event listeners
     initFinaleModal();
 
-    // Text-firework input visibility follows the type dropdown
+    // Text-firework input and ground-effect rows follow the type dropdown;
+    // picking a ground effect starts from its usual duration
     const typeSelect = document.getElementById('firework-type');
     if (typeSelect) {
-        typeSelect.addEventListener('change', updateTextRowVisibility);
+        typeSelect.addEventListener('change', () => {
+            if (isGroundEffect(typeSelect.value)) {
+                document.getElementById('effect-duration').value = GROUND_EFFECTS[typeSelect.value].defaultDuration / 1000;
+            }
+            updateTextRowVisibility();
+        });
     }
 
-    // Shell studio (not present on preview pages)
+    // Shell studio and type editor (not present on preview pages)
     if (document.getElementById('shell-studio-modal')) {
         initShellStudio();
     }
+    if (document.getElementById('type-editor-modal')) {
+        initTypeEditor();
+    }
 
     // Keyboard shortcuts
     document.addEventListener('keydown', handleKeyboard);
@@ -83,6 +93,12 @@ function handleKeyboard(e) {
         return;
     }
 
+    // The offline video renderer owns playback until it finishes
+    if (typeof videoExport !== 'undefined' && videoExport.offline) {
+        if (e.key === 'Escape') cancelVideoExport();
+        return;
+    }
+
     // Space to play/pause
     if (e.key === ' ' && e.target.tagName !== 'INPUT' && e.target.tagName !== 'SELECT') {
         e.preventDefault();
@@ -107,15 +123,36 @@ function handleKeyboard(e) {
         return;
     }
 
+    // P toggles the performance HUD
+    if ((e.key === 'p' || e.key === 'P') && !e.ctrlKey && !e.metaKey && !e.altKey &&
+        e.target.tagName !== 'INPUT' && e.target.tagName !== 'SELECT' && e.target.tagName !== 'TEXTAREA') {
+        if (typeof togglePerfHud === 'function') {
+            togglePerfHud();
+        }
+        return;
+    }
+
     // Escape to close modals
     if (e.key === 'Escape') {
         closeLaunchModal();
         closeShareModal();
         closeFinaleModal();
         closeSettingsModal();
+        if (typeof closeVideoExportModal === 'function') {
+            closeVideoExportModal();
+        }
+        if (typeof closeFiringScriptModal === 'function') {
+            closeFiringScriptModal();
+        }
+        if (typeof closeCueImportModal === 'function') {
+            closeCueImportModal();
+        }
         if (document.getElementById('shell-studio-modal')) {
             closeShellStudio();
         }
+        if (document.getElementById('type-editor-modal')) {
+            closeTypeEditor();
+        }
     }
 }
 
@@ -160,16 +197,62 @@ function setupPlayheadDrag() {
         const percentage = x / rect.width;
         const time = percentage * show.duration;
 
-        show.seek(time);
+        // Cheap seek while scrubbing; the sky is rebuilt on release
+        show.seek(time, false);
     });
 
-    const endDrag = () => { isDragging = false; };
+    const endDrag = () => {
+        if (isDragging) {
+            show.seek(show.currentTime);
+        }
+        isDragging = false;
+    };
     playhead.addEventListener('pointerup', endDrag);
     playhead.addEventListener('pointercancel', endDrag);
 }
 
 /**
- * Open add launch modal (time defaults to the current playhead position)
+ * Fill the launch modal's time inputs with a burst time (ms), to the tenth
+ */
+function setBurstTimeInputs(ms) {
+    const tenths = Math.round(ms / 100);
+    document.getElementById('launch-time-min').value = Math.floor(tenths / 600);
+    document.getElementById('launch-time-sec').value = (tenths % 600) / 10;
+}
+
+/**
+ * Read the burst time (ms) from the launch modal's time inputs
+ */
+function readBurstTimeInputs() {
+    const minutes = parseInt(document.getElementById('launch-time-min').value) || 0;
+    const seconds = parseFloat(document.getElementById('launch-time-sec').value) || 0;
+    return Math.round((minutes * 60 + seconds) * 10) * 100;
+}
+
+/**
+ * Read the ground-effect duration (ms) from the launch modal; null for shells
+ */
+function readEffectDuration(type) {
+    const seconds = parseFloat(document.getElementById('effect-duration').value);
+    return normalizeEffectDuration(type, seconds * 1000);
+}
+
+/**
+ * Tell the user how far ahead of the burst the shell leaves the mortar
+ */
+function updateLaunchLeadHint() {
+    const hint = document.getElementById('launch-lead-hint');
+    if (!hint) return;
+    if (isGroundEffect(document.getElementById('firework-type').value)) {
+        hint.textContent = 'Ground effects light right at this time';
+        return;
+    }
+    const lead = getFlightTime(document.getElementById('firework-height').value);
+    hint.textContent = `Launches ${lead.toFixed(2)}s earlier so the shell bursts on time`;
+}
+
+/**
+ * Open add launch modal (burst time defaults to the current playhead position)
  */
 function openAddLaunchModal() {
     currentEditingEventId = null;
@@ -177,11 +260,9 @@ function openAddLaunchModal() {
     // Update launcher buttons first
     updateLauncherSelectButtons();
 
-    // Reset form. Default the launch time to the playhead position.
-    const playheadSeconds = Math.round((show ? show.currentTime : 0) / 1000);
+    // Reset form. Default the burst time to the playhead position.
     document.getElementById('launch-modal-title').textContent = 'Add Firework Launch';
-    document.getElementById('launch-time-min').value = Math.floor(playheadSeconds / 60);
-    document.getElementById('launch-time-sec').value = playheadSeconds % 60;
+    setBurstTimeInputs(show ? show.currentTime : 0);
     updateShellOptions();
     document.getElementById('firework-type').value = 'chrysanthemum';
     document.getElementById('firework-text').value = '';
@@ -190,9 +271,15 @@ function openAddLaunchModal() {
     document.getElementById('secondary-color').value = '#ffaa00';
     document.getElementById('firework-size').value = 'medium';
     document.getElementById('firework-height').value = 'high';
+    updateLaunchLeadHint();
     document.getElementById('firework-trail').value = 'sparkle';
     const launchSoundSel = document.getElementById('launch-sound');
     if (launchSoundSel) launchSoundSel.value = 'whistle';
+    renderShellBreakRows([]);
+    renderColorStopRows([]);
+    document.getElementById('launch-angle').value = '';
+    document.getElementById('effect-duration').value = '';
+    renderCakeOptions(null);
 
     // Reset launcher selection to first available
     const container = document.getElementById('launcher-select');
@@ -242,13 +329,14 @@ function openAddLaunchModalAt(x, y) {
     let bestHeight = 'high';
     let bestDist = Infinity;
     Object.keys(HEIGHT_CONFIGS).forEach(h => {
-        const dist = Math.abs(HEIGHT_CONFIGS[h].burstY - y);
+        const dist = Math.abs(getHeightProfile(h).burstY - y);
         if (dist < bestDist) {
             bestDist = dist;
             bestHeight = h;
         }
     });
     document.getElementById('firework-height').value = bestHeight;
+    updateLaunchLeadHint();
 }
 
 /**
@@ -259,17 +347,14 @@ function openEditLaunchModal(eventId) {
     if (!event) return;
 
     currentEditingEventId = eventId;
-    currentEditingOriginalTime = event.time;
+    currentEditingOriginalBurst = getBurstTime(event);
 
     // Update launcher buttons first
     updateLauncherSelectButtons();
 
     // Populate form with event data
     document.getElementById('launch-modal-title').textContent = 'Edit Firework Launch';
-
-    const totalSeconds = Math.floor(event.time / 1000);
-    document.getElementById('launch-time-min').value = Math.floor(totalSeconds / 60);
-    document.getElementById('launch-time-sec').value = totalSeconds % 60;
+    setBurstTimeInputs(currentEditingOriginalBurst);
 
     updateShellOptions();
     const typeSelect = document.getElementById('firework-type');
@@ -287,9 +372,15 @@ function openEditLaunchModal(eventId) {
     document.getElementById('secondary-color').value = event.secondaryColor;
     document.getElementById('firework-size').value = event.size;
     document.getElementById('firework-height').value = event.height;
+    updateLaunchLeadHint();
     document.getElementById('firework-trail').value = event.trail;
     const editLaunchSoundSel = document.getElementById('launch-sound');
     if (editLaunchSoundSel) editLaunchSoundSel.value = event.launchSound || 'whistle';
+    renderShellBreakRows(event.breaks);
+    renderColorStopRows(event.colorStops);
+    document.getElementById('launch-angle').value = event.angle !== null && event.angle !== undefined ? event.angle : '';
+    document.getElementById('effect-duration').value = event.duration ? event.duration / 1000 : '';
+    renderCakeOptions(event.cake);
 
     // Set launcher selection
     const container = document.getElementById('launcher-select');
@@ -322,22 +413,22 @@ function closeLaunchModal() {
     modal.style.display = 'none';
     modal.classList.remove('peek');
     currentEditingEventId = null;
-    currentEditingOriginalTime = null;
+    currentEditingOriginalBurst = null;
 }
 
 /**
  * Save launch event from modal
  */
 function saveLaunchEvent() {
-    const minutes = parseInt(document.getElementById('launch-time-min').value) || 0;
-    const seconds = parseInt(document.getElementById('launch-time-sec').value) || 0;
-    let time = parseTime(minutes, seconds);
+    const height = document.getElementById('firework-height').value;
+    let burstTime = readBurstTimeInputs();
 
     // If editing and the time inputs weren't changed, keep the exact original
-    // time so sub-second precision (from marker drags or finales) survives
-    if (currentEditingEventId && currentEditingOriginalTime !== null &&
-        Math.floor(currentEditingOriginalTime / 1000) === minutes * 60 + seconds) {
-        time = currentEditingOriginalTime;
+    // burst so finer precision (beat-snapped drags, finales) survives; a new
+    // height then moves the launch, not the burst
+    if (currentEditingEventId && currentEditingOriginalBurst !== null &&
+        Math.round(currentEditingOriginalBurst / 100) * 100 === burstTime) {
+        burstTime = currentEditingOriginalBurst;
     }
 
     // Resolve type: plain type name, 'text', or 'custom:{shellId}'
@@ -356,6 +447,9 @@ function saveLaunchEvent() {
         }
     }
 
+    // Events store the launch moment: the shell leaves the flight time early
+    const time = getLaunchTimeForBurst(burstTime, height, type);
+
     const eventData = {
         time: time,
         launcherId: selectedLauncherId,
@@ -365,9 +459,14 @@ function saveLaunchEvent() {
         primaryColor: document.getElementById('primary-color').value,
         secondaryColor: document.getElementById('secondary-color').value,
         size: document.getElementById('firework-size').value,
-        height: document.getElementById('firework-height').value,
+        height: height,
         trail: document.getElementById('firework-trail').value,
-        launchSound: (document.getElementById('launch-sound') || { value: 'whistle' }).value
+        launchSound: (document.getElementById('launch-sound') || { value: 'whistle' }).value,
+        breaks: readShellBreakRows(),
+        colorStops: readColorStopRows(),
+        angle: normalizeLaunchAngle(document.getElementById('launch-angle').value),
+        duration: readEffectDuration(type),
+        cake: readCakeOptions(type)
     };
 
     if (currentEditingEventId) {
@@ -427,21 +526,320 @@ function testFireLaunch() {
         size: document.getElementById('firework-size').value,
         height: document.getElementById('firework-height').value,
         trail: document.getElementById('firework-trail').value,
-        launchSound: (document.getElementById('launch-sound') || { value: 'whistle' }).value
+        launchSound: (document.getElementById('launch-sound') || { value: 'whistle' }).value,
+        breaks: readShellBreakRows(),
+        colorStops: readColorStopRows(),
+        angle: launcher.getLaunchAngle(normalizeLaunchAngle(document.getElementById('launch-angle').value)),
+        duration: readEffectDuration(type),
+        cake: readCakeOptions(type)
     });
 
     // Fade the modal so the firework is visible behind it
     document.getElementById('launch-modal').classList.add('peek');
 }
 
+/**
+ * Fill the launch modal's color-change editor
+ */
+function renderColorStopRows(stops) {
+    const list = document.getElementById('color-stop-list');
+    if (!list) return;
+    list.innerHTML = '';
+    normalizeColorStops(stops).forEach(stop => list.appendChild(createColorStopRow(stop)));
+    updateColorStopPreview();
+}
+
+/**
+ * Append a color change a third of the remaining life after the last one
+ */
+function addColorStopRow() {
+    const list = document.getElementById('color-stop-list');
+    const stops = readColorStopRows();
+    const last = stops.length > 0 ? stops[stops.length - 1].at : 0;
+    list.appendChild(createColorStopRow({
+        at: Math.min(0.95, Math.round((last + (1 - last) / 3) * 20) / 20),
+        color: stops.length === 0 ? '#00ff66' : '#ffffff'
+    }));
+    updateColorStopPreview();
+}
+
+function createColorStopRow(stop) {
+    const row = document.createElement('div');
+    row.className = 'color-stop-row';
+    row.innerHTML = `
+        <span class="time-label">at</span>
+        <input type="number" class="form-input color-stop-at" min="2" max="98" step="1" value="${Math.round(stop.at * 100)}" title="Percent of each star's life">
+        <span class="time-label">% of life, turn</span>
+        <input type="color" class="color-stop-color" value="${stop.color}" title="New color">
+        <button type="button" class="event-action-btn delete" title="Remove this color change">&times;</button>
+    `;
+    row.querySelectorAll('input').forEach(input => input.addEventListener('input', updateColorStopPreview));
+    row.querySelector('.delete').addEventListener('click', () => {
+        row.remove();
+        updateColorStopPreview();
+    });
+    return row;
+}
+
+/**
+ * The color stops as currently entered in the launch modal
+ */
+function readColorStopRows() {
+    const list = document.getElementById('color-stop-list');
+    if (!list) return [];
+    return normalizeColorStops(Array.from(list.querySelectorAll('.color-stop-row')).map(row => ({
+        at: (parseFloat(row.querySelector('.color-stop-at').value) || 0) / 100,
+        color: row.querySelector('.color-stop-color').value
+    })));
+}
+
+/**
+ * Draw a star's life as a strip: the primary color, then each stage
+ */
+function updateColorStopPreview() {
+    const preview = document.getElementById('color-stop-preview');
+    if (!preview) return;
+    const stops = readColorStopRows();
+    if (stops.length === 0) {
+        preview.style.display = 'none';
+        return;
+    }
+    const parts = [];
+    let color = document.getElementById('primary-color').value;
+    let from = 0;
+    stops.forEach(stop => {
+        parts.push(`${color} ${from * 100}%`, `${color} ${stop.at * 100}%`);
+        color = stop.color;
+        from = stop.at;
+    });
+    parts.push(`${color} ${from * 100}%`, `${color} 100%`);
+    preview.style.background = `linear-gradient(90deg, ${parts.join(', ')})`;
+    preview.style.display = 'block';
+}
+
+/**
+ * Fill the launch modal's multi-break editor
+ */
+function renderShellBreakRows(breaks) {
+    const list = document.getElementById('shell-break-list');
+    if (!list) return;
+    list.innerHTML = '';
+    normalizeShellBreaks(breaks).forEach(spec => list.appendChild(createShellBreakRow(spec)));
+    numberShellBreakRows();
+}
+
+/**
+ * Append a break, following on from the last one's colors and size
+ */
+function addShellBreakRow() {
+    const list = document.getElementById('shell-break-list');
+    if (list.children.length >= MAX_SHELL_BREAKS) return;
+
+    const previous = readShellBreakRows().pop();
+    list.appendChild(createShellBreakRow({
+        type: 'peony',
+        shellId: null,
+        primaryColor: previous ? previous.secondaryColor : document.getElementById('secondary-color').value,
+        secondaryColor: '#ffffff',
+        size: previous ? previous.size : document.getElementById('firework-size').value,
+        delay: 0.8
+    }));
+    numberShellBreakRows();
+}
+
+function createShellBreakRow(spec) {
+    const row = document.createElement('div');
+    row.className = 'shell-break-row';
+    row.innerHTML = `
+        <span class="shell-break-num"></span>
+        <select class="form-select shell-break-type" title="Break type"></select>
+        <input type="color" class="shell-break-primary" value="${spec.primaryColor}" title="Primary color">
+        <input type="color" class="shell-break-secondary" value="${spec.secondaryColor}" title="Secondary color">
+        <select class="form-select shell-break-size" title="Size">
+            <option value="small">S</option>
+            <option value="medium">M</option>
+            <option value="large">L</option>
+        </select>
+        <input type="number" class="form-input shell-break-delay" min="0.1" max="3" step="0.1" value="${spec.delay}" title="Seconds after the previous break">
+        <button type="button" class="event-action-btn delete" title="Remove this break">&times;</button>
+    `;
+
+    // Same choices as the main type picker, minus text (it needs its own
+    // word) and ground effects (they can't ride in a shell)
+    const typeSel = row.querySelector('.shell-break-type');
+    typeSel.innerHTML = document.getElementById('firework-type').innerHTML;
+    typeSel.querySelectorAll('#ground-effects-optgroup').forEach(g => g.remove());
+    typeSel.querySelectorAll('[id]').forEach(el => el.removeAttribute('id'));
+    typeSel.querySelectorAll('option[value="text"]').forEach(o => o.remove());
+    typeSel.value = spec.type === 'custom' && spec.shellId ? 'custom:' + spec.shellId : spec.type;
+    if (!typeSel.value) typeSel.value = 'chrysanthemum';
+
+    row.querySelector('.shell-break-size').value = spec.size;
+    row.querySelector('.delete').addEventListener('click', () => {
+        row.remove();
+        numberShellBreakRows();
+    });
+    return row;
+}
+
+/**
+ * Number the rows (the first break is the main type, so they start at 2)
+ * and disable adding past the limit
+ */
+function numberShellBreakRows() {
+    const list = document.getElementById('shell-break-list');
+    list.querySelectorAll('.shell-break-num').forEach((num, i) => {
+        num.textContent = i + 2;
+    });
+    const addBtn = document.getElementById('btn-add-break');
+    if (addBtn) addBtn.disabled = list.children.length >= MAX_SHELL_BREAKS;
+}
+
+/**
+ * The breaks as currently entered in the launch modal
+ */
+function readShellBreakRows() {
+    const list = document.getElementById('shell-break-list');
+    if (!list) return [];
+    return normalizeShellBreaks(Array.from(list.querySelectorAll('.shell-break-row')).map(row => {
+        const rawType = row.querySelector('.shell-break-type').value;
+        const custom = rawType.startsWith('custom:');
+        return {
+            type: custom ? 'custom' : rawType,
+            shellId: custom ? rawType.slice(7) : null,
+            primaryColor: row.querySelector('.shell-break-primary').value,
+            secondaryColor: row.querySelector('.shell-break-secondary').value,
+            size: row.querySelector('.shell-break-size').value,
+            delay: row.querySelector('.shell-break-delay').value
+        };
+    }));
+}
+
+/**
+ * Fill the launch modal's cake options (a fresh ten-shot cake when off)
+ */
+function renderCakeOptions(cake) {
+    const spec = cake || normalizeCake(null, { shots: 10 });
+    document.getElementById('cake-enabled').checked = !!cake;
+    document.getElementById('cake-shots').value = spec.shots;
+    document.getElementById('cake-interval').value = spec.interval / 1000;
+    document.getElementById('cake-pattern').value = spec.pattern;
+    document.getElementById('cake-spread').value = spec.spread;
+
+    const list = document.getElementById('cake-sequence-list');
+    list.innerHTML = '';
+    spec.sequence.forEach(look => list.appendChild(createCakeSequenceRow(look)));
+    numberCakeSequenceRows();
+    updateCakeOptionsVisibility();
+}
+
+function updateCakeOptionsVisibility() {
+    document.getElementById('cake-options').style.display =
+        document.getElementById('cake-enabled').checked ? '' : 'none';
+}
+
+/**
+ * Append a shot to the sequence, in the last shot's secondary color
+ */
+function addCakeSequenceRow() {
+    const list = document.getElementById('cake-sequence-list');
+    if (list.children.length >= MAX_CAKE_SHOTS - 1) return;
+
+    const rows = list.querySelectorAll('.shell-break-row');
+    const previous = rows.length > 0 ? rows[rows.length - 1].querySelector('.shell-break-secondary').value
+        : document.getElementById('secondary-color').value;
+    list.appendChild(createCakeSequenceRow({
+        type: 'peony',
+        shellId: null,
+        primaryColor: previous,
+        secondaryColor: '#ffffff'
+    }));
+    numberCakeSequenceRows();
+}
+
+function createCakeSequenceRow(look) {
+    const row = document.createElement('div');
+    row.className = 'shell-break-row';
+    row.innerHTML = `
+        <span class="shell-break-num"></span>
+        <select class="form-select shell-break-type" title="Shot type"></select>
+        <input type="color" class="shell-break-primary" value="${look.primaryColor}" title="Primary color">
+        <input type="color" class="shell-break-secondary" value="${look.secondaryColor}" title="Secondary color">
+        <button type="button" class="event-action-btn delete" title="Remove this shot">&times;</button>
+    `;
+
+    // Same choices as the extra breaks: shells only, and no text
+    const typeSel = row.querySelector('.shell-break-type');
+    typeSel.innerHTML = document.getElementById('firework-type').innerHTML;
+    typeSel.querySelectorAll('#ground-effects-optgroup').forEach(g => g.remove());
+    typeSel.querySelectorAll('[id]').forEach(el => el.removeAttribute('id'));
+    typeSel.querySelectorAll('option[value="text"]').forEach(o => o.remove());
+    typeSel.value = look.type === 'custom' && look.shellId ? 'custom:' + look.shellId : look.type;
+    if (!typeSel.value) typeSel.value = 'chrysanthemum';
+
+    row.querySelector('.delete').addEventListener('click', () => {
+        row.remove();
+        numberCakeSequenceRows();
+    });
+    return row;
+}
+
+/**
+ * Number the sequence rows (shot 1 is the main type, so they start at 2)
+ */
+function numberCakeSequenceRows() {
+    const list = document.getElementById('cake-sequence-list');
+    list.querySelectorAll('.shell-break-num').forEach((num, i) => {
+        num.textContent = i + 2;
+    });
+    const addBtn = document.getElementById('btn-add-cake-shot');
+    if (addBtn) addBtn.disabled = list.children.length >= MAX_CAKE_SHOTS - 1;
+}
+
+/**
+ * The cake as currently set up in the launch modal (null when off)
+ */
+function readCakeOptions(type) {
+    if (!document.getElementById('cake-enabled').checked) return null;
+    const list = document.getElementById('cake-sequence-list');
+    return normalizeCake(type, {
+        shots: document.getElementById('cake-shots').value,
+        interval: (parseFloat(document.getElementById('cake-interval').value) || 0) * 1000,
+        pattern: document.getElementById('cake-pattern').value,
+        spread: document.getElementById('cake-spread').value,
+        sequence: Array.from(list.querySelectorAll('.shell-break-row')).map(row => {
+            const rawType = row.querySelector('.shell-break-type').value;
+            const custom = rawType.startsWith('custom:');
+            return {
+                type: custom ? 'custom' : rawType,
+                shellId: custom ? rawType.slice(7) : null,
+                primaryColor: row.querySelector('.shell-break-primary').value,
+                secondaryColor: row.querySelector('.shell-break-secondary').value
+            };
+        })
+    });
+}
+
 /**
  * Show the text input row only when the Text type is selected
  */
 function updateTextRowVisibility() {
+    const type = document.getElementById('firework-type').value;
     const row = document.getElementById('text-firework-row');
     if (row) {
-        row.style.display = document.getElementById('firework-type').value === 'text' ? '' : 'none';
+        row.style.display = type === 'text' ? '' : 'none';
     }
+
+    // Ground effects burn for a duration; height, trail, launch sound,
+    // extra breaks and cakes only mean something for shells
+    const ground = isGroundEffect(type);
+    document.querySelectorAll('#launch-modal .ground-only').forEach(el => {
+        el.style.display = ground ? '' : 'none';
+    });
+    document.querySelectorAll('#launch-modal .shell-only').forEach(el => {
+        el.style.display = ground ? 'none' : '';
+    });
+    updateLaunchLeadHint();
 }
 
 /**
@@ -458,6 +856,26 @@ function updateShellOptions() {
         });
     }
 
+    const pluginGroup = document.getElementById('plugin-types-optgroup');
+    if (pluginGroup) {
+        const pluginTypes = getPluginTypes();
+        pluginGroup.innerHTML = '';
+        pluginTypes.forEach(key => {
+            const type = FIREWORK_TYPES[key];
+            pluginGroup.appendChild(new Option(type.description ? type.name + ' - ' + type.description : type.name, key));
+        });
+        pluginGroup.style.display = pluginTypes.length > 0 ? '' : 'none';
+    }
+
+    const typeGroup = document.getElementById('my-types-optgroup');
+    if (typeGroup) {
+        typeGroup.innerHTML = '';
+        customTypes.forEach(type => {
+            typeGroup.appendChild(new Option(type.name + ' - your type', type.id));
+        });
+        typeGroup.style.display = customTypes.length > 0 ? '' : 'none';
+    }
+
     const group = document.getElementById('my-shells-optgroup');
     if (!group) return;
 
@@ -475,6 +893,19 @@ function updateShellOptions() {
  * Display name for an event's firework type
  */
 function eventTypeName(event) {
+    // Cakes read as their shot count and the types they cycle through
+    if (event.cake) {
+        const names = [event, ...event.cake.sequence].map(l => singleTypeName(l));
+        return `${event.cake.shots}-Shot Cake: ${[...new Set(names)].join(', ')}`;
+    }
+    // Multi-break shells read as their sequence, e.g. "Peony → Ring"
+    if (event.breaks && event.breaks.length > 0) {
+        return [event, ...event.breaks].map(b => singleTypeName(b)).join(' → ');
+    }
+    return singleTypeName(event);
+}
+
+function singleTypeName(event) {
     if (event.type === 'text') {
         return '"' + (event.text || '?') + '"';
     }
@@ -482,7 +913,7 @@ function eventTypeName(event) {
         const shell = typeof getShellById === 'function' ? getShellById(event.shellId) : null;
         return shell ? shell.name : 'Custom Shell';
     }
-    const typeConfig = FIREWORK_TYPES[event.type];
+    const typeConfig = FIREWORK_TYPES[event.type] || GROUND_EFFECTS[event.type];
     return typeConfig ? typeConfig.name : event.type;
 }
 
@@ -493,6 +924,8 @@ function onTestFireworksDone() {
     document.getElementById('launch-modal').classList.remove('peek');
     const studio = document.getElementById('shell-studio-modal');
     if (studio) studio.classList.remove('peek');
+    const typeEditor = document.getElementById('type-editor-modal');
+    if (typeEditor) typeEditor.classList.remove('peek');
 }
 
 // ============================================
@@ -813,6 +1246,224 @@ function initShellStudio() {
     });
 }
 
+// ============================================
+// TYPE EDITOR (clone and tune a firework type)
+// ============================================
+
+let typeEditorId = null;    // Custom type being edited, or null for a new one
+let typeEditorBase = null;  // Built-in type the settings started from
+
+function openTypeEditor() {
+    // Start from the type picked in the launch modal, if it can be tuned
+    const current = document.getElementById('firework-type').value;
+    const start = (getCustomType(current) || getCloneableTypes().includes(current)) ? current : 'chrysanthemum';
+    refreshTypeEditorList();
+    loadTypeIntoEditor(start);
+    document.getElementById('type-editor-modal').style.display = 'flex';
+}
+
+function closeTypeEditor() {
+    const modal = document.getElementById('type-editor-modal');
+    modal.style.display = 'none';
+    modal.classList.remove('peek');
+}
+
+/**
+ * Populate the start-from dropdown: built-in types, then the project's own
+ */
+function refreshTypeEditorList() {
+    const select = document.getElementById('type-editor-list');
+    select.innerHTML = '';
+
+    const builtins = document.createElement('optgroup');
+    builtins.label = 'Built-in Types (clone me!)';
+    getCloneableTypes().forEach(key => builtins.appendChild(new Option(FIREWORK_TYPES[key].name, key)));
+    select.appendChild(builtins);
+
+    if (customTypes.length > 0) {
+        const mine = document.createElement('optgroup');
+        mine.label = 'My Types';
+        customTypes.forEach(type => mine.appendChild(new Option(type.name, type.id)));
+        select.appendChild(mine);
+    }
+}
+
+/**
+ * Load a type's parameters into the editor. Built-in types load as a
+ * starting point: saving makes your own copy.
+ */
+function loadTypeIntoEditor(key) {
+    const custom = getCustomType(key);
+    typeEditorId = custom ? custom.id : null;
+    typeEditorBase = custom ? custom.base : key;
+    document.getElementById('type-editor-list').value = key;
+    document.getElementById('type-editor-name').value = custom ? custom.name : 'My ' + FIREWORK_TYPES[key].name;
+
+    const params = custom ? custom.params : readTypeParams(FIREWORK_TYPES[key]);
+    CUSTOM_TYPE_PARAMS.forEach(p => {
+        const input = document.querySelector(`#type-editor-params [data-param="${p.key}"]`);
+        if (p.toggle) {
+            input.checked = getTypeParam(params, p.key);
+        } else {
+            input.value = getTypeParam(params, p.key);
+        }
+    });
+}
+
+/**
+ * The parameters as currently entered in the editor, clamped
+ */
+function readTypeEditorParams() {
+    const params = {};
+    CUSTOM_TYPE_PARAMS.forEach(p => {
+        const input = document.querySelector(`#type-editor-params [data-param="${p.key}"]`);
+        setTypeParam(params, p.key, p.toggle ? input.checked : input.value);
+    });
+    return readTypeParams(params);
+}
+
+/**
+ * Test fire the settings in the editor (saved or not)
+ */
+function testFireTypeEditor() {
+    const launcher = launcherManager.launchers[Math.floor(launcherManager.launchers.length / 2)];
+    if (!launcher) return;
+    const pos = launcher.getLaunchPosition();
+
+    testFireFirework({
+        launchX: pos.x,
+        launchY: pos.y,
+        launcherId: launcher.id,
+        type: typeEditorBase,
+        typeConfig: buildCustomTypeConfig({
+            name: document.getElementById('type-editor-name').value,
+            base: typeEditorBase,
+            params: readTypeEditorParams()
+        }),
+        primaryColor: document.getElementById('type-editor-primary').value,
+        secondaryColor: document.getElementById('type-editor-secondary').value,
+        size: document.getElementById('type-editor-size').value,
+        height: 'high',
+        trail: 'sparkle',
+        angle: launcher.getLaunchAngle(null)
+    });
+
+    // Fade the editor AND the launch modal behind it, so the sky is visible
+    document.getElementById('type-editor-modal').classList.add('peek');
+    document.getElementById('launch-modal').classList.add('peek');
+}
+
+/**
+ * Save the editor's settings as a type (updates the loaded type, or creates new)
+ */
+function saveTypeFromEditor() {
+    let name = document.getElementById('type-editor-name').value.trim().slice(0, 20);
+    if (!name) {
+        name = 'My Type ' + (customTypes.length + 1);
+    }
+    if (containsBlockedWord(name)) {
+        showToast('Please choose a different name', 'error');
+        return;
+    }
+
+    const params = readTypeEditorParams();
+    if (typeof saveState === 'function') saveState('Edit Type');
+    if (typeEditorId && getCustomType(typeEditorId)) {
+        updateCustomType(typeEditorId, name, params);
+        showToast(`Type "${name}" updated!`, 'success');
+    } else {
+        typeEditorId = addCustomType(name, typeEditorBase, params).id;
+        showToast(`Type "${name}" saved and selected!`, 'success');
+    }
+
+    refreshTypeEditorList();
+    document.getElementById('type-editor-list').value = typeEditorId;
+    updateShellOptions();
+
+    // Select the saved type in the launch modal so Test Fire and
+    // Add Launch use it right away
+    const typeSelect = document.getElementById('firework-type');
+    if (typeSelect) {
+        typeSelect.value = typeEditorId;
+        updateTextRowVisibility();
+    }
+
+    // Launches already using the type show its new name
+    refreshEventList();
+    markDirty();
+}
+
+/**
+ * Delete the type loaded in the editor
+ */
+function deleteTypeFromEditor() {
+    if (!typeEditorId || !getCustomType(typeEditorId)) {
+        showToast('Load one of your types first', 'info');
+        return;
+    }
+
+    const id = typeEditorId;
+    const used = show.events.filter(e =>
+        e.type === id ||
+        (e.breaks || []).some(b => b.type === id) ||
+        (e.cake ? e.cake.sequence.some(s => s.type === id) : false)
+    ).length;
+    if (used > 0) {
+        showToast(`This type is used by ${used} launch${used > 1 ? 'es' : ''}. Remove those first.`, 'error');
+        return;
+    }
+
+    const type = getCustomType(id);
+    if (confirm(`Delete type "${type.name}"?`)) {
+        if (typeof saveState === 'function') saveState('Delete Type');
+        removeCustomType(id);
+        refreshTypeEditorList();
+        updateShellOptions();
+        loadTypeIntoEditor(type.base);
+        markDirty();
+        showToast('Type deleted', 'info');
+    }
+}
+
+/**
+ * Build the parameter inputs and wire up the type editor (only when its
+ * modal exists on the page)
+ */
+function initTypeEditor() {
+    const container = document.getElementById('type-editor-params');
+    CUSTOM_TYPE_PARAMS.forEach(p => {
+        const row = document.createElement('div');
+        row.className = 'type-editor-param';
+        const label = document.createElement('label');
+        label.textContent = p.label;
+        row.appendChild(label);
+
+        let input;
+        if (p.toggle) {
+            input = document.createElement('input');
+            input.type = 'checkbox';
+        } else if (p.options) {
+            input = document.createElement('select');
+            input.className = 'form-select';
+            p.options.forEach(o => input.appendChild(new Option(o.charAt(0).toUpperCase() + o.slice(1), o)));
+        } else {
+            input = document.createElement('input');
+            input.type = 'number';
+            input.className = 'form-input';
+            input.min = p.min;
+            input.max = p.max;
+            input.step = p.step;
+        }
+        input.dataset.param = p.key;
+        row.appendChild(input);
+        container.appendChild(row);
+    });
+
+    document.getElementById('type-editor-list').addEventListener('change', (e) => {
+        loadTypeIntoEditor(e.target.value);
+    });
+}
+
 /**
  * Duplicate a single launch event (1 second later, same design)
  */
@@ -829,6 +1480,11 @@ function duplicateEvent(eventId) {
         text: event.text || null,
         shellId: event.shellId || null,
         launchSound: event.launchSound || 'whistle',
+        breaks: event.breaks,
+        colorStops: event.colorStops,
+        angle: event.angle,
+        duration: event.duration,
+        cake: event.cake,
         primaryColor: event.primaryColor,
         secondaryColor: event.secondaryColor,
         size: event.size,
@@ -872,6 +1528,7 @@ function addFinale() {
     document.getElementById('finale-count').value = '30';
     document.querySelector('input[name="finale-intensity"][value="gradual"]').checked = true;
     document.querySelector('input[name="finale-pattern"][value="sweep"]').checked = true;
+    document.querySelector('input[name="finale-angles"][value="straight"]').checked = true;
     document.querySelector('input[name="finale-theme"][value="random"]').checked = true;
     document.getElementById('finale-grand-ending').checked = true;
     document.getElementById('custom-colors-section').style.display = 'none';
@@ -884,7 +1541,19 @@ function addFinale() {
     document.getElementById('finale-start-min').value = Math.floor(startSeconds / 60);
     document.getElementById('finale-start-sec').value = startSeconds % 60;
 
-    // Reset type checkboxes to all checked
+    // Plugin types and the project's own types join the grid, then all
+    // start checked
+    const grid = document.querySelector('#finale-modal .type-checkbox-grid');
+    grid.querySelectorAll('.extra-type').forEach(el => el.remove());
+    getPluginTypes().concat(customTypes.map(t => t.id)).forEach(key => {
+        if (SPECIAL_TYPES.includes(key)) return;
+        const label = document.createElement('label');
+        label.className = 'type-checkbox extra-type';
+        label.innerHTML = '<input type="checkbox" checked><span></span>';
+        label.querySelector('input').value = key;
+        label.querySelector('span').textContent = FIREWORK_TYPES[key].name;
+        grid.appendChild(label);
+    });
     document.querySelectorAll('.type-checkbox-grid input[type="checkbox"]').forEach(cb => {
         cb.checked = true;
     });
@@ -909,6 +1578,7 @@ function generateFinale() {
     const count = parseInt(document.getElementById('finale-count').value);
     const intensity = document.querySelector('input[name="finale-intensity"]:checked').value;
     const pattern = document.querySelector('input[name="finale-pattern"]:checked').value;
+    const angles = document.querySelector('input[name="finale-angles"]:checked').value;
     const grandEnding = document.getElementById('finale-grand-ending').checked;
     const theme = document.querySelector('input[name="finale-theme"]:checked').value;
 
@@ -950,6 +1620,7 @@ function generateFinale() {
         count: count,
         intensity: intensity,
         pattern: pattern,
+        angles: angles,
         grandEnding: grandEnding,
         theme: theme,
         customColors: customColors,
@@ -1075,12 +1746,17 @@ const expandedGroups = new Set();
  * Render a single event row
  */
 function renderEventRow(event, inGroup) {
-    const timeStr = formatTimeDetailed(event.time);
+    const timeStr = formatTimeDetailed(getBurstTime(event));
     const typeName = eventTypeName(event);
     const isSelected = typeof isEventSelected === 'function' && isEventSelected(event.id);
+    const angleStr = event.angle !== null && event.angle !== undefined ? ` &middot; angled ${event.angle}&deg;` : '';
+    const durationStr = event.duration ? ` &middot; burns ${(event.duration / 1000).toFixed(1)}s` : '';
+    const cakeStr = event.cake
+        ? ` &middot; ${event.cake.interval / 1000}s apart${event.cake.pattern !== 'straight' ? `, ${event.cake.pattern} ${event.cake.spread}&deg;` : ''}`
+        : '';
 
     return `
-        <div class="event-item${isSelected ? ' selected' : ''}${inGroup ? ' in-group' : ''}" data-event-id="${event.id}" title="${typeName} &middot; ${event.size} &middot; ${event.height} &middot; launcher ${event.launcherId}">
+        <div class="event-item${isSelected ? ' selected' : ''}${inGroup ? ' in-group' : ''}" data-event-id="${event.id}" title="${typeName} &middot; ${event.size} &middot; ${event.height} &middot; launcher ${event.launcherId}${angleStr}${durationStr}${cakeStr} &middot; launches at ${formatTimeDetailed(event.time)}">
             <span class="event-time">${timeStr}</span>
             <span class="event-launcher">${event.launcherId}</span>
             <span class="event-color" style="background: linear-gradient(135deg, ${event.primaryColor} 50%, ${event.secondaryColor} 50%)"></span>
@@ -1138,16 +1814,16 @@ function refreshEventList() {
         }
 
         const group = groups[item.groupId];
-        const first = group.events[0];
-        const last = group.events[group.events.length - 1];
+        const firstBurst = getBurstTime(group.events[0]);
+        const lastBurst = getBurstTime(group.events[group.events.length - 1]);
         const expanded = expandedGroups.has(item.groupId);
 
         html += `
-            <div class="event-group-header" data-group-id="${item.groupId}" title="${group.events.length} fireworks from ${formatTimeDetailed(first.time)} to ${formatTimeDetailed(last.time)} &middot; click to ${expanded ? 'collapse' : 'expand'}">
+            <div class="event-group-header" data-group-id="${item.groupId}" title="${group.events.length} fireworks from ${formatTimeDetailed(firstBurst)} to ${formatTimeDetailed(lastBurst)} &middot; click to ${expanded ? 'collapse' : 'expand'}">
                 <span class="group-chevron">${expanded ? '&#9662;' : '&#9656;'}</span>
-                <span class="event-time">${formatTimeDetailed(first.time)}</span>
+                <span class="event-time">${formatTimeDetailed(firstBurst)}</span>
                 <span class="group-label">&#127878; ${group.label}</span>
-                <span class="group-count">${group.events.length} &middot; to ${formatTimeDetailed(last.time)}</span>
+                <span class="group-count">${group.events.length} &middot; to ${formatTimeDetailed(lastBurst)}</span>
                 <div class="event-actions">
                     <button class="event-action-btn delete" onclick="event.stopPropagation(); deleteGroup('${item.groupId}')" title="Delete entire finale">&#128465;</button>
                 </div>
@@ -1213,27 +1889,72 @@ function refreshEventList() {
     updateTimelineMarkers();
 }
 
+// Timeline lanes folded down to a thin strip (launcher ids, or 'orphan')
+const collapsedLanes = new Set();
+
+/**
+ * Timeline lanes: one per launcher, in left-to-right stage order. Events
+ * on a launcher that no longer exists share a trailing '?' lane.
+ */
+function getTimelineLanes() {
+    const lanes = [...launcherManager.launchers]
+        .sort((a, b) => a.x - b.x)
+        .map(l => ({ key: l.id, launcherId: l.id, label: String(l.id) }));
+    const known = new Set(lanes.map(l => l.launcherId));
+    if (show.events.some(ev => !known.has(ev.launcherId))) {
+        lanes.push({ key: 'orphan', launcherId: null, label: '?' });
+    }
+    return lanes;
+}
+
+/**
+ * Collapse or expand one launcher's timeline lane
+ */
+function toggleTimelineLane(key) {
+    if (collapsedLanes.has(key)) {
+        collapsedLanes.delete(key);
+    } else {
+        collapsedLanes.add(key);
+    }
+    updateTimelineMarkers();
+}
+
+/**
+ * Line the gutter's lane numbers up with their lanes
+ */
+function positionTimelineLaneLabels() {
+    const labels = document.getElementById('timeline-lane-labels');
+    const lanes = document.querySelectorAll('#timeline-track .timeline-lane');
+    const top = labels.getBoundingClientRect().top;
+    labels.querySelectorAll('.timeline-lane-label').forEach((label, i) => {
+        if (!lanes[i]) return;
+        const rect = lanes[i].getBoundingClientRect();
+        label.style.top = (rect.top - top + rect.height / 2) + 'px';
+    });
+}
+
 /**
  * Update timeline event markers
  */
 function updateTimelineMarkers() {
     const track = document.getElementById('timeline-track');
 
-    // Remove existing markers
-    track.querySelectorAll('.event-marker').forEach(m => m.remove());
+    // Remove existing lanes (and the markers in them)
+    track.querySelectorAll('.timeline-lane').forEach(l => l.remove());
 
     // Remove existing group bands
     track.querySelectorAll('.group-band').forEach(b => b.remove());
 
-    // Group bands: one draggable block per finale/movement
+    // Group bands: one draggable block per finale/movement, spanning its bursts
     const bands = {};
     show.events.forEach(event => {
         if (!event.group) return;
+        const burst = getBurstTime(event);
         if (!bands[event.group]) {
-            bands[event.group] = { label: event.groupLabel || 'Group', min: event.time, max: event.time };
+            bands[event.group] = { label: event.groupLabel || 'Group', min: burst, max: burst };
         } else {
-            bands[event.group].min = Math.min(bands[event.group].min, event.time);
-            bands[event.group].max = Math.max(bands[event.group].max, event.time);
+            bands[event.group].min = Math.min(bands[event.group].min, burst);
+            bands[event.group].max = Math.max(bands[event.group].max, burst);
         }
     });
     Object.entries(bands).forEach(([groupId, b]) => {
@@ -1247,20 +1968,67 @@ function updateTimelineMarkers() {
         track.appendChild(band);
     });
 
-    // Add new markers
+    // One lane per launcher; click its number to fold it away. The numbers
+    // live outside the scrolling viewport so they stay put when zoomed.
+    const labels = document.getElementById('timeline-lane-labels');
+    labels.innerHTML = '';
+    const laneEls = new Map();
+    getTimelineLanes().forEach(lane => {
+        const collapsed = collapsedLanes.has(lane.key);
+        const el = document.createElement('div');
+        el.className = 'timeline-lane' + (collapsed ? ' collapsed' : '');
+        el.dataset.launcherId = lane.launcherId === null ? '' : lane.launcherId;
+        track.appendChild(el);
+        laneEls.set(lane.key, el);
+
+        const label = document.createElement('span');
+        label.className = 'timeline-lane-label' + (collapsed ? ' collapsed' : '');
+        label.textContent = lane.label;
+        label.title = (lane.launcherId === null ? 'Removed launchers' : 'Launcher ' + lane.label) +
+            (collapsed ? ' (click to expand)' : ' (click to collapse)');
+        label.addEventListener('click', () => toggleTimelineLane(lane.key));
+        labels.appendChild(label);
+    });
+    positionTimelineLaneLabels();
+
+    // Add new markers, placed where the shell bursts (what the audience sees
+    // on the beat) rather than where it leaves the mortar
     show.events.forEach(event => {
-        const percentage = (event.time / show.duration) * 100;
+        const burst = getBurstTime(event);
+        const percentage = (burst / show.duration) * 100;
         const marker = document.createElement('div');
         const selected = typeof isEventSelected === 'function' && isEventSelected(event.id);
-        marker.className = 'event-marker' + (selected ? ' selected' : '');
+        const smokeHidden = typeof smokeForecast !== 'undefined' && smokeForecast.hidden.has(event.id);
+        marker.className = 'event-marker' + (selected ? ' selected' : '') + (smokeHidden ? ' smoke-hidden' : '');
         marker.style.left = percentage + '%';
         marker.style.backgroundColor = event.primaryColor;
-        marker.title = `${formatTimeDetailed(event.time)} - ${eventTypeName(event)} (drag to move)`;
+        marker.title = `${formatTimeDetailed(burst)} - ${eventTypeName(event)} (launches ${formatTimeDetailed(event.time)}; drag to move, or to another lane to change launcher)`;
         marker.dataset.eventId = event.id;
         marker.addEventListener('pointerdown', onMarkerPointerDown);
-        track.appendChild(marker);
+        const laneEl = laneEls.get(event.launcherId) || laneEls.get('orphan');
+
+        // Ground effects burn for a while, cakes fire a run of shots and
+        // shells break again later: a bar behind the marker spans it (with
+        // a tick per cake shot)
+        const span = getEventSpan(event);
+        if (span > 0) {
+            const bar = document.createElement('div');
+            bar.className = 'event-duration' + (event.cake ? ' cake' : '');
+            bar.dataset.eventId = event.id;
+            bar.style.left = percentage + '%';
+            bar.style.width = ((span / show.duration) * 100) + '%';
+            bar.style.backgroundColor = event.primaryColor;
+            if (event.cake) {
+                bar.style.backgroundImage = `repeating-linear-gradient(90deg, rgba(0, 0, 0, 0.6) 0 1px, transparent 1px ${100 / (event.cake.shots - 1)}%)`;
+            }
+            laneEl.appendChild(bar);
+        }
+        laneEl.appendChild(marker);
     });
 
+    // A shorter show may no longer allow the current zoom
+    if (timelineZoom > 1) setTimelineZoom(timelineZoom);
+
     // Update timeline ruler
     updateTimelineRuler();
 
@@ -1268,6 +2036,12 @@ function updateTimelineMarkers() {
     if (typeof drawTimelineWaveform === 'function') {
         drawTimelineWaveform();
     }
+    if (typeof drawPerfTimeline === 'function') {
+        drawPerfTimeline();
+    }
+    if (typeof drawWindTimeline === 'function') {
+        drawWindTimeline();
+    }
 }
 
 // Marker drag state
@@ -1275,7 +2049,7 @@ let markerDrag = null;
 let suppressTrackClick = false;
 
 /**
- * Start dragging a timeline event marker to retime it
+ * Start dragging a timeline event marker to retime its burst
  */
 function onMarkerPointerDown(e) {
     const marker = e.currentTarget;
@@ -1285,12 +2059,20 @@ function onMarkerPointerDown(e) {
     e.preventDefault();
     marker.setPointerCapture(e.pointerId);
 
+    const burst = getBurstTime(event);
     markerDrag = {
         marker: marker,
+        bar: marker.parentElement.querySelector(`.event-duration[data-event-id="${event.id}"]`),
         eventId: event.id,
+        type: event.type,
+        height: event.height,
         startClientX: e.clientX,
-        startTime: event.time,
-        newTime: event.time,
+        startTime: burst,
+        newTime: burst,
+        startLauncherId: event.launcherId,
+        launcherId: event.launcherId,
+        targetLane: null,
+        retimed: false,
         moved: false
     };
 
@@ -1308,16 +2090,65 @@ function onMarkerPointerMove(e) {
 
     if (Math.abs(e.clientX - markerDrag.startClientX) > 3) {
         markerDrag.moved = true;
+        markerDrag.retimed = true;
     }
 
-    // Snap to tenths of a second, then magnetically to the music's beat
-    // (hold Alt for free placement)
-    markerDrag.newTime = Math.round(Math.max(0, Math.min(markerDrag.startTime + deltaMs, show.duration)) / 100) * 100;
-    if (!e.altKey && typeof snapToBeat === 'function') {
-        markerDrag.newTime = snapToBeat(markerDrag.newTime, 110);
+    // Snap the burst to tenths of a second, then magnetically to the music's
+    // beat (hold Alt for free placement). It can't come before the shell
+    // could get up there from a launch at zero. A purely vertical drag to
+    // another lane leaves the time exactly as it was.
+    if (markerDrag.retimed) {
+        const minBurst = getEventFlightTime(markerDrag) * 1000;
+        markerDrag.newTime = Math.round(Math.max(0, Math.min(markerDrag.startTime + deltaMs, show.duration)) / 100) * 100;
+        if (!e.altKey && typeof snapToBeat === 'function') {
+            markerDrag.newTime = snapToBeat(markerDrag.newTime, 110);
+        }
+        markerDrag.newTime = Math.max(minBurst, markerDrag.newTime);
+        markerDrag.marker.style.left = ((markerDrag.newTime / show.duration) * 100) + '%';
+        markerDrag.marker.title = formatTimeDetailed(markerDrag.newTime);
+        if (markerDrag.bar) markerDrag.bar.style.left = markerDrag.marker.style.left;
+    }
+
+    // Dragging onto another launcher's lane hands the launch to it. The
+    // marker stays in its own lane element (moving it would drop the
+    // pointer capture) and is offset down to the target lane instead.
+    const homeLane = markerDrag.marker.parentElement;
+    const lane = timelineLaneAt(e.clientY);
+    if (markerDrag.targetLane && markerDrag.targetLane !== lane) {
+        markerDrag.targetLane.classList.remove('drop-target');
+        markerDrag.targetLane = null;
+    }
+    if (lane && lane !== homeLane && lane.dataset.launcherId !== '') {
+        const homeRect = homeLane.getBoundingClientRect();
+        const laneRect = lane.getBoundingClientRect();
+        markerDrag.marker.style.top = (laneRect.top + laneRect.height / 2 - homeRect.top) + 'px';
+        if (markerDrag.bar) markerDrag.bar.style.top = markerDrag.marker.style.top;
+        markerDrag.launcherId = parseInt(lane.dataset.launcherId);
+        markerDrag.targetLane = lane;
+        lane.classList.add('drop-target');
+        markerDrag.moved = true;
+    } else {
+        markerDrag.marker.style.top = '';
+        if (markerDrag.bar) markerDrag.bar.style.top = '';
+        markerDrag.launcherId = markerDrag.startLauncherId;
     }
-    markerDrag.marker.style.left = ((markerDrag.newTime / show.duration) * 100) + '%';
-    markerDrag.marker.title = formatTimeDetailed(markerDrag.newTime);
+}
+
+/**
+ * The timeline lane nearest to a pointer's vertical position
+ */
+function timelineLaneAt(clientY) {
+    let nearest = null;
+    let nearestDist = Infinity;
+    document.querySelectorAll('#timeline-track .timeline-lane').forEach(lane => {
+        const rect = lane.getBoundingClientRect();
+        const dist = clientY < rect.top ? rect.top - clientY : clientY > rect.bottom ? clientY - rect.bottom : 0;
+        if (dist < nearestDist) {
+            nearestDist = dist;
+            nearest = lane;
+        }
+    });
+    return nearest;
 }
 
 function onMarkerPointerUp(e) {
@@ -1329,16 +2160,25 @@ function onMarkerPointerUp(e) {
     drag.marker.removeEventListener('pointermove', onMarkerPointerMove);
     drag.marker.removeEventListener('pointerup', onMarkerPointerUp);
     drag.marker.removeEventListener('pointercancel', onMarkerPointerUp);
+    if (drag.targetLane) drag.targetLane.classList.remove('drop-target');
 
-    if (drag.moved && drag.newTime !== drag.startTime) {
+    const relaunched = drag.launcherId !== drag.startLauncherId;
+    if (drag.moved && (drag.newTime !== drag.startTime || relaunched)) {
         // Swallow the click the track would otherwise receive after this drag
         suppressTrackClick = true;
 
         if (typeof saveState === 'function') saveState('Move Launch');
-        show.updateEvent(drag.eventId, { time: drag.newTime });
+        show.updateEvent(drag.eventId, {
+            time: getLaunchTimeForBurst(drag.newTime, drag.height, drag.type),
+            launcherId: drag.launcherId
+        });
         refreshEventList();
         markDirty();
-        showToast('Moved to ' + formatTimeDetailed(drag.newTime), 'success');
+        showToast((relaunched ? 'Moved to launcher ' + drag.launcherId + ', burst at ' : 'Burst moved to ') +
+            formatTimeDetailed(drag.newTime), 'success');
+    } else {
+        drag.marker.style.top = '';
+        if (drag.bar) drag.bar.style.top = '';
     }
 }
 
@@ -1362,7 +2202,7 @@ function onGroupBandPointerDown(e) {
         band: band,
         groupId: groupId,
         startClientX: e.clientX,
-        startMin: Math.min(...members.map(ev => ev.time)),
+        startMin: Math.min(...members.map(ev => getBurstTime(ev))),
         delta: 0,
         moved: false
     };
@@ -1383,7 +2223,7 @@ function onGroupBandPointerMove(e) {
         bandDrag.moved = true;
     }
 
-    // The block start cannot go below zero; snap it to the beat
+    // The block's first burst cannot go below zero; snap it to the beat
     let newStart = Math.max(0, bandDrag.startMin + deltaMs);
     newStart = Math.round(newStart / 100) * 100;
     if (!e.altKey && typeof snapToBeat === 'function') {
@@ -1430,8 +2270,9 @@ function initTimelineRangeSelect() {
     if (!track) return;
 
     track.addEventListener('pointerdown', (e) => {
-        // Only start on the bare track (markers/bands/playhead handle themselves)
-        if (e.target !== track && e.target.id !== 'timeline-waveform' && e.target.id !== 'timeline-progress') return;
+        // Only start on the bare track or a lane (markers/bands/playhead handle themselves)
+        if (e.target !== track && e.target.id !== 'timeline-waveform' && e.target.id !== 'timeline-progress' &&
+            !e.target.classList.contains('timeline-lane')) return;
         rangeSelect = { startClientX: e.clientX, box: null, active: false };
         track.setPointerCapture(e.pointerId);
     });
@@ -1489,7 +2330,8 @@ function finishRangeSelect(e, track) {
     if (typeof selectedEventIds !== 'undefined') {
         selectedEventIds.clear();
         show.events.forEach(ev => {
-            if (ev.time >= t1 && ev.time <= t2) selectedEventIds.add(ev.id);
+            const burst = getBurstTime(ev);
+            if (burst >= t1 && burst <= t2) selectedEventIds.add(ev.id);
         });
         refreshEventList();
         const n = selectedEventIds.size;
@@ -1522,11 +2364,12 @@ function updateTimelineRuler() {
     const ruler = document.querySelector('.timeline-ruler');
     const duration = show.duration;
 
-    // Calculate appropriate interval
-    let interval = 5000; // 5 seconds default
-    if (duration > 60000) interval = 10000;
-    if (duration > 120000) interval = 30000;
-    if (duration > 300000) interval = 60000;
+    // Tick spacing adapts to the zoom: the smallest step that keeps labels
+    // about 70px apart on screen
+    const track = document.getElementById('timeline-track');
+    const pxPerMs = (track.clientWidth || 800) / duration;
+    const interval = TIMELINE_RULER_STEPS.find(step => step * pxPerMs >= 70) ||
+        TIMELINE_RULER_STEPS[TIMELINE_RULER_STEPS.length - 1];
 
     // Marks are positioned at their true percentage along the track
     let html = '';
@@ -1534,18 +2377,168 @@ function updateTimelineRuler() {
     for (let time = 0; time <= duration; time += interval) {
         const pct = (time / duration) * 100;
         const shift = pct > 96 ? ';transform:translateX(-100%)' : '';
-        html += `<span class="time-mark" style="left:${pct.toFixed(2)}%${shift}">${formatTimeDetailed(time)}</span>`;
+        html += `<span class="time-mark" style="left:${pct.toFixed(4)}%${shift}">${formatTimeDetailed(time)}</span>`;
         lastTime = time;
     }
 
     // Label the end of the show if it isn't already marked nearby
-    if ((duration - lastTime) / duration > 0.07) {
+    if ((duration - lastTime) * pxPerMs > 50) {
         html += `<span class="time-mark" style="left:100%;transform:translateX(-100%)">${formatTimeDetailed(duration)}</span>`;
     }
 
     ruler.innerHTML = html;
 }
 
+// ── Timeline zoom ───────────────────────────────────────────────────
+
+// Ruler label spacings to choose from (ms)
+const TIMELINE_RULER_STEPS = [100, 200, 500, 1000, 2000, 5000, 10000, 15000, 30000, 60000, 120000, 300000];
+
+// Deepest zoom shows this much of the show across the viewport (ms)
+const TIMELINE_MIN_VISIBLE_MS = 2000;
+
+// 1 fits the whole show; higher values stretch the track inside the viewport
+let timelineZoom = 1;
+let timelineRedrawPending = false;
+
+/**
+ * Wire up Ctrl+wheel / trackpad pinch and touch pinch zoom on the timeline
+ */
+function initTimelineZoom() {
+    const viewport = document.getElementById('timeline-viewport');
+    if (!viewport) return;
+
+    // Trackpad pinches arrive as wheel events with ctrlKey set
+    viewport.addEventListener('wheel', (e) => {
+        if (!e.ctrlKey && !e.metaKey) return;
+        e.preventDefault();
+        let delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+        delta = Math.max(-50, Math.min(50, delta));
+        setTimelineZoom(timelineZoom * Math.exp(-delta * 0.008), e.clientX);
+    }, { passive: false });
+
+    // Two-finger pinch on touch screens
+    let pinch = null;
+    const touchSpan = (t) => Math.abs(t[0].clientX - t[1].clientX);
+    viewport.addEventListener('touchstart', (e) => {
+        if (e.touches.length !== 2) return;
+        pinch = { span: Math.max(1, touchSpan(e.touches)), zoom: timelineZoom };
+        // A pinch is not a range selection
+        if (rangeSelect && rangeSelect.box) rangeSelect.box.remove();
+        rangeSelect = null;
+    }, { passive: true });
+    viewport.addEventListener('touchmove', (e) => {
+        if (!pinch || e.touches.length !== 2) return;
+        e.preventDefault();
+        const mid = (e.touches[0].clientX + e.touches[1].clientX) / 2;
+        setTimelineZoom(pinch.zoom * Math.max(1, touchSpan(e.touches)) / pinch.span, mid);
+    }, { passive: false });
+    viewport.addEventListener('touchend', (e) => {
+        if (e.touches.length < 2) pinch = null;
+    });
+
+    // Scrolling reveals a new slice of the waveform
+    viewport.addEventListener('scroll', requestTimelineRedraw);
+
+    if (typeof ResizeObserver !== 'undefined') {
+        new ResizeObserver(() => {
+            updateTimelineRuler();
+            positionTimelineLaneLabels();
+            requestTimelineRedraw();
+        }).observe(viewport);
+    }
+}
+
+/**
+ * Zoom the timeline, keeping the moment under anchorClientX (default:
+ * the middle of the viewport) where it is on screen
+ */
+function setTimelineZoom(zoom, anchorClientX) {
+    const viewport = document.getElementById('timeline-viewport');
+    const content = document.getElementById('timeline-content');
+    if (!viewport || !content) return;
+
+    const maxZoom = Math.max(1, show.duration / TIMELINE_MIN_VISIBLE_MS);
+    zoom = Math.max(1, Math.min(maxZoom, zoom));
+    if (zoom === timelineZoom && content.style.width) return;
+
+    const vpRect = viewport.getBoundingClientRect();
+    const anchorX = anchorClientX === undefined
+        ? vpRect.width / 2
+        : Math.max(0, Math.min(vpRect.width, anchorClientX - vpRect.left));
+    const fraction = (viewport.scrollLeft + anchorX) / (content.offsetWidth || 1);
+
+    timelineZoom = zoom;
+    content.style.width = (zoom * 100) + '%';
+    viewport.scrollLeft = fraction * content.offsetWidth - anchorX;
+
+    updateTimelineRuler();
+    if (typeof drawTimelineWaveform === 'function') {
+        drawTimelineWaveform();
+    }
+    if (typeof drawPerfTimeline === 'function') {
+        drawPerfTimeline();
+    }
+    if (typeof drawWindTimeline === 'function') {
+        drawWindTimeline();
+    }
+}
+
+/**
+ * The part of the track currently on screen: its offset and width in
+ * track pixels, and the show time it covers (ms)
+ */
+function getTimelineView() {
+    const viewport = document.getElementById('timeline-viewport');
+    const track = document.getElementById('timeline-track');
+    if (!viewport || !track || !track.clientWidth) return null;
+
+    const trackWidth = track.clientWidth;
+    const left = Math.max(0, Math.min(viewport.scrollLeft, trackWidth - 1));
+    const width = Math.max(1, Math.min(viewport.clientWidth, trackWidth - left));
+    return {
+        left: left,
+        width: width,
+        startMs: (left / trackWidth) * show.duration,
+        endMs: ((left + width) / trackWidth) * show.duration
+    };
+}
+
+/**
+ * Keep the playhead on screen while a zoomed-in show plays
+ */
+function followTimelinePlayhead(currentTime, duration) {
+    if (timelineZoom <= 1 || !show || !show.isPlaying) return;
+    const viewport = document.getElementById('timeline-viewport');
+    const track = document.getElementById('timeline-track');
+    if (!viewport || !track) return;
+
+    const x = (currentTime / duration) * track.clientWidth;
+    if (x < viewport.scrollLeft || x > viewport.scrollLeft + viewport.clientWidth - 20) {
+        viewport.scrollLeft = x - viewport.clientWidth * 0.1;
+    }
+}
+
+/**
+ * Redraw the visible waveform slice once per frame at most
+ */
+function requestTimelineRedraw() {
+    if (timelineRedrawPending) return;
+    timelineRedrawPending = true;
+    requestAnimationFrame(() => {
+        timelineRedrawPending = false;
+        if (typeof drawTimelineWaveform === 'function') {
+            drawTimelineWaveform();
+        }
+        if (typeof drawPerfTimeline === 'function') {
+            drawPerfTimeline();
+        }
+        if (typeof drawWindTimeline === 'function') {
+            drawWindTimeline();
+        }
+    });
+}
+
 /**
  * Show share modal
  */
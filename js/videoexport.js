@@ -1,5 +1,12 @@
 /**
- * Video Export - record the show (canvas + audio) to a webm video.
+ * Video Export - render the show (canvas + audio) to a webm video.
+ *
+ * Where WebCodecs is available the show is rendered offline: the
+ * simulation steps at a fixed timestep, each frame is drawn to an
+ * offscreen canvas at the chosen resolution, sounds are captured as cues
+ * and mixed with an OfflineAudioContext, and the result is muxed by
+ * WebMMuxer. Frames never drop and the tab can be in the background.
+ * Older browsers fall back to recording the live canvas in real time.
  *
  * On the platform, the finished video is saved to the user's Files via
  * window.saveExportedVideo (provided by the platform adapter). Standalone,
@@ -15,14 +22,348 @@ const videoExport = {
     audioDest: null,
     pollTimer: null,
     prevLoop: false,
-    prevSpeed: 1
+    prevSpeed: 1,
+    offline: false,    // Offline renderer owns the world (engine loop idles)
+    progress: 0,       // Offline render progress, 0-1
+    stage: ''          // Offline render stage label for the overlay
 };
 
+// Offline encoder preferences, best first
+const VIDEO_EXPORT_CODECS = [
+    { codec: 'vp09.00.50.08', codecId: 'V_VP9' },
+    { codec: 'vp8', codecId: 'V_VP8' }
+];
+
+// Seconds rendered after the show stops, so launcher glow and smoke settle
+const VIDEO_EXPORT_TAIL_SEC = 1.2;
+
 function isVideoExportSupported() {
     return typeof MediaRecorder !== 'undefined' &&
            canvas && typeof canvas.captureStream === 'function';
 }
 
+function isOfflineVideoExportSupported() {
+    return typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+}
+
+// ── Export dialog ───────────────────────────────────────────────────
+
+function openVideoExportModal() {
+    if (videoExport.recording) return;
+    if (show.events.length === 0) {
+        showToast('Add some fireworks first!', 'info');
+        return;
+    }
+
+    const hint = document.getElementById('export-video-hint');
+    if (hint) {
+        hint.textContent = isOfflineVideoExportSupported()
+            ? 'Rendered frame by frame, so nothing drops. You can switch tabs while it works.'
+            : 'This browser can\'t render offline, so the show will play and be recorded in real time.';
+    }
+    fillExportResolutions();
+    document.getElementById('export-video-modal').style.display = 'flex';
+}
+
+/**
+ * List the resolutions for the project's stage format, HD selected
+ */
+function fillExportResolutions() {
+    const select = document.getElementById('export-resolution');
+    if (!select) return;
+
+    const labels = ['', ' (HD)', ' (Full HD)'];
+    select.innerHTML = '';
+    getStageFormat().exportWidths.forEach((width, i) => {
+        const option = document.createElement('option');
+        option.value = width;
+        option.textContent = `${width} \u00d7 ${getExportHeight(width)}${labels[i] || ''}`;
+        option.selected = i === 1;
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Video height for a width, following the stage aspect (kept even for the encoder)
+ */
+function getExportHeight(width) {
+    return Math.round(width * LOGIC_HEIGHT / LOGIC_WIDTH / 2) * 2;
+}
+
+function closeVideoExportModal() {
+    document.getElementById('export-video-modal').style.display = 'none';
+}
+
+function startVideoExportFromModal() {
+    const width = parseInt(document.getElementById('export-resolution').value, 10) || 1280;
+    const fps = parseInt(document.getElementById('export-fps').value, 10) || 30;
+    closeVideoExportModal();
+
+    if (isOfflineVideoExportSupported()) {
+        renderVideoOffline({ width: width, fps: fps });
+    } else {
+        startVideoExport();
+    }
+}
+
+// ── Offline render ──────────────────────────────────────────────────
+
+/**
+ * Render the show from the start, one fixed step per frame, and save the
+ * video. The live render loop idles while this runs.
+ * @param {Object} options - { width, fps }; height follows the stage aspect
+ */
+async function renderVideoOffline(options) {
+    if (videoExport.recording) return;
+
+    const fps = options.fps;
+    const width = Math.round(options.width / 2) * 2;
+    const height = getExportHeight(width);
+    const scale = width / LOGIC_WIDTH;
+
+    const video = await pickVideoEncoderConfig(width, height, fps);
+    if (!video) {
+        showToast('This browser can\'t encode video at ' + width + '\u00d7' + height, 'error');
+        return;
+    }
+
+    const frameCanvas = document.createElement('canvas');
+    frameCanvas.width = width;
+    frameCanvas.height = height;
+    const frameCtx = frameCanvas.getContext('2d');
+
+    const muxer = new WebMMuxer({ width: width, height: height, frameRate: fps, codecId: video.codecId });
+    let encodeError = null;
+    const encoder = new VideoEncoder({
+        output: (chunk) => muxer.addVideoChunk(chunk),
+        error: (err) => { encodeError = err; }
+    });
+    encoder.configure(video.config);
+
+    beginOfflineRender();
+
+    let frame = 0;
+    let blob = null;
+    const frameUs = 1e6 / fps;
+    const expectedFrames = Math.ceil((show.duration / 1000 + VIDEO_EXPORT_TAIL_SEC) * fps);
+    const maxFrames = Math.ceil(((show.duration + FIREWORK_LIFESPAN_MS) / 1000 + VIDEO_EXPORT_TAIL_SEC) * fps);
+    let tailFrames = -1;
+
+    if (typeof startAudioCapture === 'function') {
+        startAudioCapture(() => frame / fps);
+    }
+    show.play();
+
+    try {
+        while (!videoExport.cancelled && frame < maxFrames) {
+            renderFrame(frameCtx, frameCanvas, scale, 1 / fps, frame * 1000 / fps);
+
+            const videoFrame = new VideoFrame(frameCanvas, {
+                timestamp: Math.round(frame * frameUs),
+                duration: Math.round(frameUs)
+            });
+            encoder.encode(videoFrame, { keyFrame: frame % (fps * 2) === 0 });
+            videoFrame.close();
+            frame++;
+            if (encodeError) throw encodeError;
+
+            // The show stops itself once the last shell has faded
+            if (!show.isPlaying) {
+                if (tailFrames < 0) tailFrames = Math.round(VIDEO_EXPORT_TAIL_SEC * fps);
+                if (--tailFrames <= 0) break;
+            }
+
+            if (frame % 6 === 0) {
+                videoExport.progress = Math.min(1, frame / expectedFrames);
+                drawOfflinePreview(frameCanvas);
+                updateExportOverlayTime();
+                await yieldToBrowser();
+            }
+            while (encoder.encodeQueueSize > 4) {
+                await yieldToBrowser();
+            }
+        }
+
+        const cues = (typeof stopAudioCapture === 'function') ? stopAudioCapture() : [];
+
+        if (!videoExport.cancelled) {
+            videoExport.stage = 'Encoding';
+            updateExportOverlayTime();
+            await encoder.flush();
+            if (encodeError) throw encodeError;
+
+            videoExport.stage = 'Mixing audio';
+            updateExportOverlayTime();
+            await encodeOfflineAudio(muxer, cues, frame / fps);
+
+            blob = muxer.finalize();
+        }
+    } catch (err) {
+        console.error('Offline video render failed:', err);
+        showToast('Video render failed', 'error');
+    } finally {
+        if (typeof isAudioCapturing === 'function' && isAudioCapturing()) {
+            stopAudioCapture();
+        }
+        if (encoder.state !== 'closed') encoder.close();
+        endOfflineRender();
+    }
+
+    if (videoExport.cancelled) {
+        showToast('Export cancelled', 'info');
+        return;
+    }
+    if (blob) saveVideoBlob(blob);
+}
+
+/**
+ * First encoder config this browser supports at the requested size
+ */
+async function pickVideoEncoderConfig(width, height, fps) {
+    for (const entry of VIDEO_EXPORT_CODECS) {
+        const config = {
+            codec: entry.codec,
+            width: width,
+            height: height,
+            framerate: fps,
+            // Particle-heavy frames need more bits than typical footage
+            bitrate: Math.round(width * height * fps * 0.12)
+        };
+        try {
+            const support = await VideoEncoder.isConfigSupported(config);
+            if (support.supported) return { config: config, codecId: entry.codecId };
+        } catch (err) {
+            // Unknown codec string; try the next one
+        }
+    }
+    return null;
+}
+
+/**
+ * Mix the captured sounds (plus soundtrack) and add them as an Opus track.
+ * Leaves the video silent if the browser can't encode audio.
+ */
+async function encodeOfflineAudio(muxer, cues, durationSec) {
+    if (typeof AudioEncoder === 'undefined' || typeof renderCapturedAudio !== 'function') return;
+
+    const sampleRate = 48000;
+    const channels = 2;
+    const config = { codec: 'opus', sampleRate: sampleRate, numberOfChannels: channels, bitrate: 128000 };
+    try {
+        const support = await AudioEncoder.isConfigSupported(config);
+        if (!support.supported) return;
+    } catch (err) {
+        return;
+    }
+
+    const musicBuffer = (typeof decodeMusicTrack === 'function') ? await decodeMusicTrack() : null;
+    const mixed = await renderCapturedAudio(cues, durationSec, { sampleRate: sampleRate, musicBuffer: musicBuffer });
+    if (!mixed || videoExport.cancelled) return;
+
+    muxer.setAudioTrack(sampleRate, channels);
+    let encodeError = null;
+    const encoder = new AudioEncoder({
+        output: (chunk, meta) => muxer.addAudioChunk(chunk, meta),
+        error: (err) => { encodeError = err; }
+    });
+    encoder.configure(config);
+
+    // Feed 100 ms at a time
+    const block = sampleRate / 10;
+    try {
+        for (let i = 0; i < mixed.length; i += block) {
+            const frames = Math.min(block, mixed.length - i);
+            const data = new Float32Array(frames * channels);
+            for (let c = 0; c < channels; c++) {
+                data.set(mixed.getChannelData(c).subarray(i, i + frames), c * frames);
+            }
+            const audioData = new AudioData({
+                format: 'f32-planar',
+                sampleRate: sampleRate,
+                numberOfFrames: frames,
+                numberOfChannels: channels,
+                timestamp: Math.round(i * 1e6 / sampleRate),
+                data: data
+            });
+            encoder.encode(audioData);
+            audioData.close();
+            if (encodeError) throw encodeError;
+            while (encoder.encodeQueueSize > 8) {
+                await yieldToBrowser();
+            }
+        }
+        await encoder.flush();
+        if (encodeError) throw encodeError;
+    } finally {
+        if (encoder.state !== 'closed') encoder.close();
+    }
+}
+
+/**
+ * Take over the world: start from a clean, stopped show at 1x
+ */
+function beginOfflineRender() {
+    videoExport.recording = true;
+    videoExport.offline = true;
+    videoExport.cancelled = false;
+    videoExport.progress = 0;
+    videoExport.stage = '';
+
+    videoExport.prevLoop = show.loop;
+    videoExport.prevSpeed = show.playbackSpeed;
+    show.setLoop(false);
+    show.setSpeed(1);
+    show.stop();
+    testFireworks = [];
+    testCakeShots = [];
+    burstFlashes = [];
+    shakeMag = 0;
+    if (typeof smokeManager !== 'undefined' && smokeManager) {
+        smokeManager.clear();
+    }
+
+    updateExportOverlay(true);
+}
+
+/**
+ * Hand the world back to the live render loop
+ */
+function endOfflineRender() {
+    show.stop();
+    burstFlashes = [];
+    shakeMag = 0;
+    if (typeof smokeManager !== 'undefined' && smokeManager) {
+        smokeManager.clear();
+    }
+
+    restorePlaybackSettings();
+    videoExport.offline = false;
+    videoExport.recording = false;
+    updateExportOverlay(false);
+}
+
+/**
+ * Show the latest rendered frame on the stage so progress is visible
+ */
+function drawOfflinePreview(frameCanvas) {
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.drawImage(frameCanvas, 0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Let the page breathe between frames. Background tabs throttle timers
+ * to once a second; a message round-trip isn't throttled.
+ */
+function yieldToBrowser() {
+    return new Promise(resolve => {
+        const channel = new MessageChannel();
+        channel.port1.onmessage = () => resolve();
+        channel.port2.postMessage(null);
+    });
+}
+
+// ── Real-time capture (fallback) ────────────────────────────────────
+
 /**
  * Start recording: plays the show from the beginning at 1x and records
  * until it finishes (or the user stops/cancels).
@@ -113,6 +454,7 @@ function startVideoExport() {
 function cancelVideoExport() {
     if (!videoExport.recording) return;
     videoExport.cancelled = true;
+    if (videoExport.offline) return; // The render loop sees the flag and stops
     videoExport.stopping = true;
     show.stop();
     if (videoExport.recorder && videoExport.recorder.state !== 'inactive') {
@@ -128,14 +470,7 @@ function finishVideoExport() {
     videoExport.recording = false;
     videoExport.stopping = false;
     updateExportOverlay(false);
-
-    // Restore playback settings and their UI controls
-    show.setLoop(videoExport.prevLoop);
-    show.setSpeed(videoExport.prevSpeed);
-    const loopBox = document.getElementById('loop-checkbox');
-    if (loopBox) loopBox.checked = videoExport.prevLoop;
-    const speedSel = document.getElementById('playback-speed');
-    if (speedSel) speedSel.value = String(videoExport.prevSpeed);
+    restorePlaybackSettings();
 
     // Disconnect the audio tap
     if (videoExport.audioDest) {
@@ -156,6 +491,25 @@ function finishVideoExport() {
         return;
     }
 
+    saveVideoBlob(blob);
+}
+
+/**
+ * Restore the loop/speed settings the export overrode, and their controls
+ */
+function restorePlaybackSettings() {
+    show.setLoop(videoExport.prevLoop);
+    show.setSpeed(videoExport.prevSpeed);
+    const loopBox = document.getElementById('loop-checkbox');
+    if (loopBox) loopBox.checked = videoExport.prevLoop;
+    const speedSel = document.getElementById('playback-speed');
+    if (speedSel) speedSel.value = String(videoExport.prevSpeed);
+}
+
+/**
+ * Save the finished video to Files on the platform, or download it
+ */
+function saveVideoBlob(blob) {
     const d = new Date();
     const pad = (n) => String(n).padStart(2, '0');
     const filename = 'fireworks-show-' + d.getFullYear() + pad(d.getMonth() + 1) + pad(d.getDate()) +
@@ -190,6 +544,9 @@ function downloadVideoBlob(blob, filename) {
 // ── Recording overlay ───────────────────────────────────────────────
 
 function updateExportOverlay(visible) {
+    // The offline renderer drives playback; keep the editor out of its way
+    document.body.classList.toggle('export-rendering', visible && videoExport.offline);
+
     let overlay = document.getElementById('export-overlay');
     if (!visible) {
         if (overlay) overlay.remove();
@@ -210,7 +567,12 @@ function updateExportOverlay(visible) {
 
 function updateExportOverlayTime() {
     const el = document.getElementById('export-overlay-time');
-    if (el && videoExport.recording) {
+    if (!el || !videoExport.recording) return;
+    if (videoExport.offline) {
+        el.textContent = videoExport.stage
+            ? videoExport.stage + '...'
+            : 'Rendering... ' + Math.floor(videoExport.progress * 100) + '%';
+    } else {
         el.textContent = 'Recording... ' + formatTime(show.currentTime) + ' / ' + formatTime(show.duration);
     }
 }
@@ -219,6 +581,6 @@ function updateExportOverlayTime() {
 document.addEventListener('DOMContentLoaded', () => {
     const btn = document.getElementById('btn-export-video');
     if (btn) {
-        btn.addEventListener('click', startVideoExport);
+        btn.addEventListener('click', openVideoExportModal);
     }
 });
@@ -6,17 +6,598 @@
 const weather = {
     windSpeed: 0,        // 0-100 (percentage)
     windDirection: 1,    // 1 = right, -1 = left
+    windLayers: false,   // Wind aloft set apart from the ground wind
+    highWindSpeed: 0,    // Wind aloft, 0-100 (percentage)
+    highWindDirection: 1,
+    windKeys: [],        // Keyframes along the show: [{ time (ms), low, high }]
+    gusts: 0,            // Gust strength, 0-100 (percentage)
+    rain: 0,             // 0-100 (percentage)
+    fog: 0,              // Ground fog, 0-100 (percentage)
+    clouds: false,       // Cloud deck over the show
+    cloudHeight: 250,    // Its underside, in classic sky pixels above the launchers
     smokeEnabled: false,
     smokeDensity: 3      // 1-5
 };
 
+// Max wind force of 80 pixels per second at 100% wind
+const WIND_MAX_FORCE = 80;
+
+// Gusts come every GUST_GAP_MIN..MAX seconds and blow for
+// GUST_LENGTH_MIN..MAX seconds
+const GUST_GAP_MIN = 2;
+const GUST_GAP_MAX = 7;
+const GUST_LENGTH_MIN = 0.8;
+const GUST_LENGTH_MAX = 2.5;
+
+// Show time the wind is read at (ms): the playhead, or the moment being
+// simulated while a firework is fast-forwarded (see Show.fastForwardFirework)
+let windTimeOverride = null;
+
+function getWindTime() {
+    if (windTimeOverride !== null) return windTimeOverride;
+    return (typeof show !== 'undefined' && show) ? show.currentTime : 0;
+}
+
+/**
+ * The wind as set, before gusts: signed percentages (+ = right) for the
+ * ground and aloft at a show time. Keyframes, where there are any, take
+ * over from the constant speed and direction, linear between keys.
+ * @param {number} time - Show time (ms)
+ */
+function getWindSetting(time) {
+    const keys = weather.windKeys;
+    let low, high;
+    if (keys.length === 0) {
+        low = weather.windSpeed * weather.windDirection;
+        high = weather.highWindSpeed * weather.highWindDirection;
+    } else if (time <= keys[0].time) {
+        low = keys[0].low;
+        high = keys[0].high;
+    } else if (time >= keys[keys.length - 1].time) {
+        low = keys[keys.length - 1].low;
+        high = keys[keys.length - 1].high;
+    } else {
+        let i = 1;
+        while (keys[i].time < time) i++;
+        const a = keys[i - 1];
+        const b = keys[i];
+        const k = b.time > a.time ? (time - a.time) / (b.time - a.time) : 1;
+        low = a.low + (b.low - a.low) * k;
+        high = a.high + (b.high - a.high) * k;
+    }
+    return { low: low, high: weather.windLayers ? high : low };
+}
+
+// Gusts drawn so far for a seed, extended as later show times are asked for
+const gustCache = { seed: null, rand: null, list: [], next: 0 };
+
+/**
+ * How hard the seeded gusts are blowing at a show time, 0-1
+ * @param {number} time - Show time (ms)
+ */
+function getGustAt(time) {
+    const seed = (typeof show !== 'undefined' && show) ? show.seed : 0;
+    if (gustCache.seed !== seed) {
+        gustCache.seed = seed;
+        gustCache.rand = typeof createSeededRandom === 'function' ? createSeededRandom(seed, 'gusts') : Math.random;
+        gustCache.list = [];
+        gustCache.next = 0;
+    }
+
+    const t = time / 1000;
+    while (gustCache.next <= t) {
+        const rand = gustCache.rand;
+        const start = gustCache.next + GUST_GAP_MIN + rand() * (GUST_GAP_MAX - GUST_GAP_MIN);
+        const length = GUST_LENGTH_MIN + rand() * (GUST_LENGTH_MAX - GUST_LENGTH_MIN);
+        gustCache.list.push({ start: start, length: length, peak: 0.5 + rand() * 0.5 });
+        gustCache.next = start;
+    }
+
+    // Each gust swells and dies away; overlapping ones add up
+    let gust = 0;
+    gustCache.list.forEach(g => {
+        if (t > g.start && t < g.start + g.length) {
+            gust += g.peak * Math.pow(Math.sin(Math.PI * (t - g.start) / g.length), 2);
+        }
+    });
+    return Math.min(1, gust);
+}
+
+/**
+ * The wind at a show time, gusts included, as signed percentages (+ = right)
+ * @param {number} time - Show time (ms)
+ */
+function getWindAt(time) {
+    const wind = getWindSetting(time);
+    if (weather.gusts > 0) {
+        // Gusts blow with the wind (rightward in a calm)
+        const gust = weather.gusts * getGustAt(time);
+        wind.low += wind.low < 0 ? -gust : gust;
+        wind.high += wind.high < 0 ? -gust : gust;
+    }
+    return wind;
+}
+
+// The wind layers read this frame (many stars and smoke puffs ask at once)
+const windMemo = { time: null, layers: null };
+
+/**
+ * Wind force at the ground and aloft right now (pixels per second of
+ * horizontal drift)
+ */
+function getWindLayers() {
+    const time = getWindTime();
+    if (windMemo.time !== time) {
+        const wind = getWindAt(time);
+        windMemo.time = time;
+        windMemo.layers = { low: wind.low / 100 * WIND_MAX_FORCE, high: wind.high / 100 * WIND_MAX_FORCE };
+    }
+    return windMemo.layers;
+}
+
+/**
+ * Forget the memoized wind (a setting changed while the playhead stood still)
+ */
+function invalidateWind() {
+    windMemo.time = null;
+}
+
+/**
+ * How far up from the ground wind to the wind aloft a height is: 0 at
+ * the launchers, 1 at the high burst height and above
+ * @param {number} y - Logical y
+ */
+function getWindAltitude(y) {
+    const ground = stageY(CLASSIC_GROUND_Y);
+    const aloft = stageY(HEIGHT_CONFIGS.high.burstY);
+    return Math.max(0, Math.min(1, (ground - y) / (ground - aloft)));
+}
+
 /**
  * Get wind force as a velocity modifier
  * Returns pixels per second of horizontal drift
+ * @param {number} [y] - Height to read the wind at (default: the ground)
+ */
+function getWindForce(y) {
+    const layers = getWindLayers();
+    if (y === undefined || layers.high === layers.low) return layers.low;
+    return layers.low + (layers.high - layers.low) * getWindAltitude(y);
+}
+
+/**
+ * Smoke particles per emission step: the density setting, thinned by the
+ * quality preset
+ */
+function getSmokeDensity() {
+    const scale = typeof getQuality === 'function' ? getQuality().smoke : 1;
+    return weather.smokeDensity * scale;
+}
+
+// ── Rain, fog and cloud ─────────────────────────────────────────────
+
+// Most rain streaks on screen (at 100% rain and High quality)
+const RAIN_MAX_DROPS = 260;
+
+// Deepest ground fog, in classic sky pixels above the launchers
+const FOG_MAX_DEPTH = 180;
+
+// Drawn once: where each rain streak and cloud puff starts
+let rainDrops = null;
+let cloudPuffs = null;
+
+// Weather that moves on its own: the rain's fall and the drift of the
+// rain, fog and cloud with the wind (advanced with the scene, not the show)
+const weatherScene = { clock: 0, rainDrift: 0, fogDrift: 0, cloudDrift: 0 };
+
+/**
+ * The cloud deck's underside (logical y)
+ */
+function getCloudBaseY() {
+    return stageY(CLASSIC_GROUND_Y - weather.cloudHeight);
+}
+
+/**
+ * Which burst heights a cloud deck this high hides, for the settings label
+ */
+function describeCloudDeck() {
+    const hidden = Object.keys(HEIGHT_CONFIGS).filter(h =>
+        CLASSIC_GROUND_Y - HEIGHT_CONFIGS[h].burstY > weather.cloudHeight);
+    if (hidden.length === 0) return 'Above every burst';
+    if (hidden.length === Object.keys(HEIGHT_CONFIGS).length) return 'Hides every burst';
+    return 'Hides ' + hidden.join(' and ') + ' bursts';
+}
+
+/**
+ * Move the rain, fog and cloud along
+ * @param {number} dt - Simulated seconds
+ */
+function updateWeatherScene(dt) {
+    weatherScene.clock += dt;
+    weatherScene.rainDrift += getWindForce() * dt;
+    weatherScene.fogDrift += (4 + getWindForce() * 0.3) * dt;
+    if (weather.clouds) {
+        weatherScene.cloudDrift += (3 + getWindForce(getCloudBaseY()) * 0.25) * dt;
+    }
+}
+
+/**
+ * Draw the cloud deck over the sky: it hides whatever bursts above its
+ * underside, and shells bursting inside or just under it light it up in
+ * their colors. Drawn after the fireworks, before the lake mirrors the sky.
+ * @param {Array} fireworks - Fireworks on stage
+ */
+function drawCloudDeck(ctx, fireworks) {
+    if (!weather.clouds) return;
+
+    const base = getCloudBaseY();
+    const edge = 26; // Depth of the ragged underside
+    if (!cloudPuffs) {
+        const rand = typeof createSeededRandom === 'function' ? createSeededRandom(1, 'clouds') : Math.random;
+        cloudPuffs = Array.from({ length: 14 }, () => ({ dy: rand() * 16 - 8, r: 40 + rand() * 30 }));
+    }
+
+    ctx.save();
+    ctx.fillStyle = '#171a26';
+    ctx.globalAlpha = 0.97;
+    ctx.fillRect(-10, -10, LOGIC_WIDTH + 20, base - edge + 10);
+
+    // Ragged underside: soft puffs drifting with the wind aloft
+    const spacing = (LOGIC_WIDTH + 160) / cloudPuffs.length;
+    const offset = ((weatherScene.cloudDrift % spacing) + spacing) % spacing;
+    cloudPuffs.forEach((puff, i) => {
+        const x = i * spacing + offset - 80;
+        const y = base - edge / 2 + puff.dy;
+        const g = ctx.createRadialGradient(x, y - edge, 0, x, y - edge, puff.r + edge);
+        g.addColorStop(0, 'rgba(23, 26, 38, 1)');
+        g.addColorStop(0.6, 'rgba(23, 26, 38, 0.9)');
+        g.addColorStop(1, 'rgba(23, 26, 38, 0)');
+        ctx.fillStyle = g;
+        ctx.fillRect(x - puff.r - edge, y - edge - puff.r - edge, (puff.r + edge) * 2, (puff.r + edge) * 2);
+    });
+
+    // Glow from inside: each shell's stars in (or just under) the deck,
+    // weighted by how fresh they are
+    ctx.beginPath();
+    ctx.rect(-10, -10, LOGIC_WIDTH + 20, base + 10);
+    ctx.clip();
+    ctx.globalCompositeOperation = 'lighter';
+    fireworks.forEach(fw => {
+        const stars = fw.particles;
+        let weight = 0;
+        let sumX = 0;
+        let sumY = 0;
+        for (let i = 0; i < stars.length; i++) {
+            const below = stars.y[i] - base;
+            if (below > 60) continue;
+            const w = (below > 0 ? 1 - below / 60 : 1) * (1 - stars.age[i] / stars.lifetime[i]);
+            weight += w;
+            sumX += stars.x[i] * w;
+            sumY += Math.min(stars.y[i], base) * w;
+        }
+        if (weight < 0.5) return;
+
+        const x = sumX / weight;
+        const y = sumY / weight;
+        const radius = Math.min(170, 60 + weight * 0.8);
+        const color = parseStarColor(fw.primaryColor);
+        const g = ctx.createRadialGradient(x, y, 0, x, y, radius);
+        g.addColorStop(0, `rgba(${color.r}, ${color.g}, ${color.b}, ${Math.min(0.55, weight / 90)})`);
+        g.addColorStop(1, `rgba(${color.r}, ${color.g}, ${color.b}, 0)`);
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = g;
+        ctx.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+    });
+    ctx.restore();
+}
+
+/**
+ * Draw the ground fog and the rain in front of everything: fog banks low
+ * over the ground, and rain streaks slanting with the wind over a veil
+ * that takes the shine off the whole scene
+ */
+function drawWeatherOverlay(ctx) {
+    if (weather.fog > 0) {
+        const ground = stageY(SCENERY_HORIZON_Y);
+        const top = stageY(CLASSIC_GROUND_Y - FOG_MAX_DEPTH * weather.fog / 100);
+        const density = weather.fog / 100;
+
+        ctx.save();
+        const g = ctx.createLinearGradient(0, top, 0, ground);
+        g.addColorStop(0, 'rgba(140, 150, 170, 0)');
+        g.addColorStop(1, `rgba(140, 150, 170, ${0.5 * density})`);
+        ctx.fillStyle = g;
+        ctx.fillRect(0, top, LOGIC_WIDTH, ground - top);
+        ctx.fillStyle = `rgba(140, 150, 170, ${0.5 * density})`;
+        ctx.fillRect(0, ground, LOGIC_WIDTH, LOGIC_HEIGHT - ground);
+
+        // Banks rolling along the ground
+        const depth = ground - top;
+        const spacing = LOGIC_WIDTH / 3;
+        const offset = ((weatherScene.fogDrift % spacing) + spacing) % spacing;
+        for (let i = -1; i < 4; i++) {
+            const x = i * spacing + offset;
+            const y = ground - depth * (i % 2 === 0 ? 0.3 : 0.45);
+            ctx.save();
+            ctx.translate(x, y);
+            ctx.scale(1, 0.35);
+            const bank = ctx.createRadialGradient(0, 0, 0, 0, 0, spacing * 0.8);
+            bank.addColorStop(0, `rgba(150, 160, 180, ${0.22 * density})`);
+            bank.addColorStop(1, 'rgba(150, 160, 180, 0)');
+            ctx.fillStyle = bank;
+            ctx.fillRect(-spacing, -spacing, spacing * 2, spacing * 2);
+            ctx.restore();
+        }
+        ctx.restore();
+    }
+
+    if (weather.rain > 0) {
+        const amount = weather.rain / 100;
+        if (!rainDrops) {
+            const rand = typeof createSeededRandom === 'function' ? createSeededRandom(1, 'rain') : Math.random;
+            rainDrops = Array.from({ length: RAIN_MAX_DROPS }, () => ({
+                x: rand(), y: rand(), speed: 520 + rand() * 260, length: 9 + rand() * 9
+            }));
+        }
+
+        ctx.save();
+        // Veil: wet air dims every light behind it
+        ctx.globalAlpha = 0.35 * amount;
+        ctx.fillStyle = backgroundColor;
+        ctx.fillRect(-10, -10, LOGIC_WIDTH + 20, LOGIC_HEIGHT + 20);
+
+        const scale = typeof getQuality === 'function' ? getQuality().particles : 1;
+        const count = Math.round(RAIN_MAX_DROPS * amount * scale);
+        const wind = getWindForce();
+        ctx.globalAlpha = 0.25 + 0.2 * amount;
+        ctx.strokeStyle = 'rgb(170, 185, 215)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let i = 0; i < count; i++) {
+            const drop = rainDrops[i];
+            const fall = drop.y * LOGIC_HEIGHT + weatherScene.clock * drop.speed;
+            const y = fall % (LOGIC_HEIGHT + drop.length) - drop.length;
+            // Drops blow sideways as they fall; wrap across the stage
+            const drift = weatherScene.rainDrift * (drop.speed / 650);
+            const x = (((drop.x * LOGIC_WIDTH + drift) % LOGIC_WIDTH) + LOGIC_WIDTH) % LOGIC_WIDTH;
+            const slant = (wind / drop.speed) * drop.length;
+            ctx.moveTo(x, y);
+            ctx.lineTo(x + slant, y + drop.length);
+        }
+        ctx.stroke();
+        ctx.restore();
+    }
+}
+
+// ── Smoke curtain ───────────────────────────────────────────────────
+
+// What the puffs leave behind: a coarse grid of smoke density over the
+// stage that drifts with the wind at its height and thins out slowly
+const SMOKE_CELL = 20;                // Grid cell size (logical px)
+const SMOKE_RISE = 4;                 // The curtain's slow climb (px/s)
+const SMOKE_DISSIPATION = 0.035;      // Thinning per second in still air
+const SMOKE_WIND_THINNING = 0.0008;   // Extra thinning per px/s of wind
+const SMOKE_MAX_DENSITY = 2;
+
+// Curtain density left per unit of puff alpha as a puff fades (launch
+// smoke is made every frame, so each of its puffs leaves far less)
+const SMOKE_BURST_SETTLE = 0.3;
+const SMOKE_LAUNCH_SETTLE = 0.02;
+
+// Each burst lights the smoke around it in its color for a moment
+const SMOKE_LIGHT_LIFE = 1.2;     // Seconds
+const SMOKE_LIGHT_RADIUS = 200;   // Logical px
+const SMOKE_MAX_LIGHTS = 24;
+
+// Shared result of getSmokeLightAt
+const smokeLight = { r: 0, g: 0, b: 0, amount: 0 };
+
+/**
+ * The burst light falling on a point of smoke: the mixed color of the
+ * bursts in reach and how strongly they light it (0-1). Returns a shared
+ * object, read it before the next call.
+ * @param {Array} lights - SmokeManager lights
+ */
+function getSmokeLightAt(x, y, lights) {
+    let weight = 0;
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    for (let i = 0; i < lights.length; i++) {
+        const light = lights[i];
+        const d2 = ((light.x - x) ** 2 + (light.y - y) ** 2) / (SMOKE_LIGHT_RADIUS * SMOKE_LIGHT_RADIUS);
+        if (d2 >= 1) continue;
+        const fade = 1 - light.age / SMOKE_LIGHT_LIFE;
+        const w = light.strength * fade * fade * (1 - d2);
+        weight += w;
+        r += light.r * w;
+        g += light.g * w;
+        b += light.b * w;
+    }
+
+    smokeLight.amount = Math.min(1, weight);
+    if (weight > 0) {
+        smokeLight.r = Math.round(r / weight);
+        smokeLight.g = Math.round(g / weight);
+        smokeLight.b = Math.round(b / weight);
+    }
+    return smokeLight;
+}
+
+/**
+ * SmokeVolume Class - The smoke curtain hanging over the stage
+ */
+class SmokeVolume {
+    constructor() {
+        this.canvas = null; // Offscreen image of the grid, a pixel per cell
+        this.resize();
+    }
+
+    /**
+     * Fit the grid to the stage (dropping the smoke)
+     */
+    resize() {
+        this.width = LOGIC_WIDTH;
+        this.height = LOGIC_HEIGHT;
+        this.cols = Math.ceil(LOGIC_WIDTH / SMOKE_CELL);
+        this.rows = Math.ceil(LOGIC_HEIGHT / SMOKE_CELL);
+        this.density = new Float32Array(this.cols * this.rows);
+        this.next = new Float32Array(this.cols * this.rows);
+        this.active = false; // Any smoke at all
+    }
+
+    /**
+     * Add smoke at a point, spread over the four nearest cells
+     */
+    deposit(x, y, amount) {
+        const fx = x / SMOKE_CELL - 0.5;
+        const fy = y / SMOKE_CELL - 0.5;
+        const i0 = Math.floor(fx);
+        const j0 = Math.floor(fy);
+        const tx = fx - i0;
+        const ty = fy - j0;
+        const add = (i, j, w) => {
+            if (i < 0 || j < 0 || i >= this.cols || j >= this.rows || w <= 0) return;
+            const k = j * this.cols + i;
+            this.density[k] = Math.min(SMOKE_MAX_DENSITY, this.density[k] + amount * w);
+            this.active = true;
+        };
+        add(i0, j0, (1 - tx) * (1 - ty));
+        add(i0 + 1, j0, tx * (1 - ty));
+        add(i0, j0 + 1, (1 - tx) * ty);
+        add(i0 + 1, j0 + 1, tx * ty);
+    }
+
+    /**
+     * Density between cell centers (fractional cell indices); the stage
+     * edges let smoke out and none in
+     */
+    sample(fi, fj) {
+        const i0 = Math.floor(fi);
+        const j0 = Math.floor(fj);
+        const tx = fi - i0;
+        const ty = fj - j0;
+        const at = (i, j) => (i < 0 || j < 0 || i >= this.cols || j >= this.rows) ? 0 : this.density[j * this.cols + i];
+        return (at(i0, j0) * (1 - tx) + at(i0 + 1, j0) * tx) * (1 - ty) +
+            (at(i0, j0 + 1) * (1 - tx) + at(i0 + 1, j0 + 1) * tx) * ty;
+    }
+
+    /**
+     * Smoke density at a point (0 = clear air, 1 = a thick bank)
+     */
+    densityAt(x, y) {
+        return this.sample(x / SMOKE_CELL - 0.5, y / SMOKE_CELL - 0.5);
+    }
+
+    /**
+     * How thick the smoke at a point will be in a while, if the wind holds:
+     * what is upwind (and below) now, thinned by the wait
+     * @param {number} lead - Seconds ahead
+     */
+    forecastAt(x, y, lead) {
+        const wind = getWindForce(y);
+        const keep = Math.exp(-(SMOKE_DISSIPATION + Math.abs(wind) * SMOKE_WIND_THINNING) * lead);
+        return this.densityAt(x - wind * lead, y + SMOKE_RISE * lead) * keep;
+    }
+
+    /**
+     * Carry the smoke on the wind of each row and up, and thin it out
+     * @param {number} dt - Simulated seconds
+     */
+    update(dt) {
+        if (this.width !== LOGIC_WIDTH || this.height !== LOGIC_HEIGHT) this.resize();
+        if (!this.active || dt <= 0) return;
+
+        const rise = SMOKE_RISE * dt / SMOKE_CELL;
+        let any = false;
+        for (let j = 0; j < this.rows; j++) {
+            const wind = getWindForce((j + 0.5) * SMOKE_CELL);
+            const keep = Math.exp(-(SMOKE_DISSIPATION + Math.abs(wind) * SMOKE_WIND_THINNING) * dt);
+            const shift = wind * dt / SMOKE_CELL;
+            for (let i = 0; i < this.cols; i++) {
+                const d = this.sample(i - shift, j + rise) * keep;
+                this.next[j * this.cols + i] = d < 0.002 ? 0 : d;
+                if (d >= 0.002) any = true;
+            }
+        }
+
+        const swap = this.density;
+        this.density = this.next;
+        this.next = swap;
+        this.active = any;
+    }
+
+    /**
+     * Draw the curtain, lit by the bursts near it: each cell becomes a
+     * pixel of a small image that is scaled up smoothly over the stage
+     * @param {Array} lights - SmokeManager lights
+     */
+    draw(ctx, lights) {
+        if (!this.active || typeof document === 'undefined') return;
+
+        if (!this.canvas || this.canvas.width !== this.cols || this.canvas.height !== this.rows) {
+            this.canvas = document.createElement('canvas');
+            this.canvas.width = this.cols;
+            this.canvas.height = this.rows;
+        }
+        const octx = this.canvas.getContext('2d');
+        const image = octx.createImageData(this.cols, this.rows);
+        const data = image.data;
+
+        for (let j = 0; j < this.rows; j++) {
+            for (let i = 0; i < this.cols; i++) {
+                const k = j * this.cols + i;
+                const d = this.density[k];
+                if (d <= 0) continue;
+
+                let r = 62;
+                let g = 62;
+                let b = 68;
+                if (lights.length > 0) {
+                    const light = getSmokeLightAt((i + 0.5) * SMOKE_CELL, (j + 0.5) * SMOKE_CELL, lights);
+                    if (light.amount > 0) {
+                        r += (light.r - r) * light.amount * 0.8;
+                        g += (light.g - g) * light.amount * 0.8;
+                        b += (light.b - b) * light.amount * 0.8;
+                    }
+                }
+                data[k * 4] = r;
+                data[k * 4 + 1] = g;
+                data[k * 4 + 2] = b;
+                data[k * 4 + 3] = Math.min(0.85, 1 - Math.exp(-d * 0.9)) * 255;
+            }
+        }
+        octx.putImageData(image, 0, 0);
+
+        ctx.save();
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(this.canvas, 0, 0, this.cols * SMOKE_CELL, this.rows * SMOKE_CELL);
+        ctx.restore();
+    }
+
+    clear() {
+        this.density.fill(0);
+        this.active = false;
+    }
+}
+
+/**
+ * Step smoke puffs, handing what each loses as it fades over to the
+ * curtain. Returns the puffs still alive.
+ * @param {Array} particles - SmokeParticles
+ * @param {SmokeVolume|null} volume - Curtain to settle into
+ * @param {number} settle - Curtain density per unit of puff alpha
  */
-function getWindForce() {
-    // Max wind force of 80 pixels per second at 100% wind
-    return (weather.windSpeed / 100) * 80 * weather.windDirection;
+function settleSmokePuffs(particles, dt, volume, settle) {
+    // Thinner smoke at lower quality leaves the same curtain
+    const scale = settle / (typeof getQuality === 'function' ? getQuality().smoke : 1);
+    return particles.filter(p => {
+        const before = p.alpha;
+        p.update(dt);
+        const dead = p.isDead();
+        const lost = dead ? before : before - Math.max(0, p.alpha);
+        if (volume && lost > 0) volume.deposit(p.x, p.y, lost * scale);
+        return !dead;
+    });
 }
 
 /**
@@ -24,44 +605,47 @@ function getWindForce() {
  */
 class SmokeParticle {
     constructor(x, y, config = {}) {
+        // Seeded stream from the firework that made the smoke
+        this.rand = config.rand || Math.random;
+
         this.x = x;
         this.y = y;
-        this.vx = (Math.random() - 0.5) * 30;  // More random horizontal spread
-        this.vy = -15 - Math.random() * 25;     // Rise upward
-        this.size = 6 + Math.random() * 10;
-        this.alpha = 0.25 + Math.random() * 0.15;
+        this.vx = (this.rand() - 0.5) * 30;  // More random horizontal spread
+        this.vy = -15 - this.rand() * 25;     // Rise upward
+        this.size = 6 + this.rand() * 10;
+        this.alpha = 0.25 + this.rand() * 0.15;
         this.maxAlpha = this.alpha;
-        this.lifetime = 3 + Math.random() * 3;  // 3-6 seconds for more dispersion time
+        this.lifetime = 3 + this.rand() * 3;  // 3-6 seconds for more dispersion time
         this.age = 0;
-        this.rotation = Math.random() * Math.PI * 2;
-        this.rotationSpeed = (Math.random() - 0.5) * 0.8;
-        this.disperseRate = 0.5 + Math.random() * 0.5; // Random disperse rate
+        this.rotation = this.rand() * Math.PI * 2;
+        this.rotationSpeed = (this.rand() - 0.5) * 0.8;
+        this.disperseRate = 0.5 + this.rand() * 0.5; // Random disperse rate
 
         // Enhanced blending properties
         this.color = config.color || null;  // Firework color for tinting
         this.isHot = config.isHot || false; // Hot smoke from burst
         this.temperature = config.isHot ? 1.0 : 0;  // 1.0 = hot (glowing), 0 = cool (gray)
-        this.coolingRate = 0.4 + Math.random() * 0.3; // How fast it cools down
+        this.coolingRate = 0.4 + this.rand() * 0.3; // How fast it cools down
     }
 
     update(dt) {
         this.age += dt;
 
-        // Apply wind
-        const windForce = getWindForce();
+        // Apply wind (at the puff's height)
+        const windForce = getWindForce(this.y);
         this.vx += windForce * dt * 0.8;
 
         // Add random turbulence for more natural dispersion
-        this.vx += (Math.random() - 0.5) * 20 * dt;
-        this.vy += (Math.random() - 0.5) * 10 * dt;
+        this.vx += (this.rand() - 0.5) * 20 * dt;
+        this.vy += (this.rand() - 0.5) * 10 * dt;
 
         // Apply velocity
         this.x += this.vx * dt;
         this.y += this.vy * dt;
 
-        // Slow down over time (more drag)
-        this.vx *= 0.97;
-        this.vy *= 0.96;
+        // Slow down over time (more drag; per-60fps-frame factors scaled by dt)
+        this.vx *= Math.pow(0.97, dt * 60);
+        this.vy *= Math.pow(0.96, dt * 60);
 
         // Expand size as smoke disperses - faster expansion
         this.size += dt * 15 * this.disperseRate;
@@ -106,7 +690,10 @@ class SmokeParticle {
         return `rgba(80, 80, 80, ${alpha})`;
     }
 
-    draw(ctx) {
+    /**
+     * @param {Array} lights - Burst lights on the smoke (see SmokeManager)
+     */
+    draw(ctx, lights = []) {
         if (this.alpha <= 0.01) return;
 
         ctx.save();
@@ -165,6 +752,25 @@ class SmokeParticle {
             ctx.fill();
         }
 
+        // Lit from outside by bursts going off nearby
+        if (lights.length > 0) {
+            const light = getSmokeLightAt(this.x, this.y, lights);
+            if (light.amount > 0.03) {
+                ctx.globalCompositeOperation = 'lighter';
+                ctx.globalAlpha = this.alpha * light.amount * 0.8;
+
+                const litGradient = ctx.createRadialGradient(0, 0, 0, 0, 0, this.size * 1.2);
+                litGradient.addColorStop(0, `rgba(${light.r}, ${light.g}, ${light.b}, 0.45)`);
+                litGradient.addColorStop(0.5, `rgba(${light.r}, ${light.g}, ${light.b}, 0.15)`);
+                litGradient.addColorStop(1, `rgba(${light.r}, ${light.g}, ${light.b}, 0)`);
+
+                ctx.fillStyle = litGradient;
+                ctx.beginPath();
+                ctx.arc(0, 0, this.size * 1.2, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+
         ctx.restore();
     }
 }
@@ -182,6 +788,7 @@ class SmokeEmitter {
         this.emitDuration = 0;
         this.color = config.color || '#ff6600';  // Default warm orange for launch
         this.isHot = config.isHot !== undefined ? config.isHot : true;
+        this.rand = config.rand || Math.random;
     }
 
     /**
@@ -201,7 +808,10 @@ class SmokeEmitter {
         this.y = y;
     }
 
-    update(dt) {
+    /**
+     * @param {SmokeVolume|null} volume - Curtain the fading puffs settle into
+     */
+    update(dt, volume = null) {
         // Emit new particles if active
         if (this.emitting && weather.smokeEnabled) {
             this.emitTimer += dt;
@@ -211,17 +821,18 @@ class SmokeEmitter {
             const isStillHot = emitProgress < 0.6;
 
             // Emit based on density setting (1-5 particles per frame equivalent)
-            const particlesToEmit = weather.smokeDensity;
+            const particlesToEmit = Math.max(1, Math.round(getSmokeDensity()));
             for (let i = 0; i < particlesToEmit; i++) {
                 // Spread spawn position slightly
-                const offsetX = (Math.random() - 0.5) * 20;
-                const offsetY = Math.random() * 10;
+                const offsetX = (this.rand() - 0.5) * 20;
+                const offsetY = this.rand() * 10;
                 this.particles.push(new SmokeParticle(
                     this.x + offsetX,
                     this.y + offsetY,
                     {
                         color: this.color,
-                        isHot: this.isHot && isStillHot
+                        isHot: this.isHot && isStillHot,
+                        rand: this.rand
                     }
                 ));
             }
@@ -232,16 +843,13 @@ class SmokeEmitter {
             }
         }
 
-        // Update all particles
-        this.particles.forEach(p => p.update(dt));
-
-        // Remove dead particles
-        this.particles = this.particles.filter(p => !p.isDead());
+        // Update all particles, fading ones settling into the curtain
+        this.particles = settleSmokePuffs(this.particles, dt, volume, SMOKE_LAUNCH_SETTLE);
     }
 
-    draw(ctx) {
+    draw(ctx, lights = []) {
         if (!weather.smokeEnabled) return;
-        this.particles.forEach(p => p.draw(ctx));
+        this.particles.forEach(p => p.draw(ctx, lights));
     }
 
     /**
@@ -260,6 +868,8 @@ class SmokeManager {
     constructor() {
         this.emitters = [];
         this.burstSmoke = [];  // Smoke from firework bursts
+        this.volume = new SmokeVolume();  // The curtain the puffs settle into
+        this.lights = [];      // Recent bursts lighting the smoke: { x, y, r, g, b, strength, age }
     }
 
     /**
@@ -267,13 +877,15 @@ class SmokeManager {
      * @param {number} x - X position
      * @param {number} y - Y position
      * @param {string} color - Optional color tint (defaults to warm orange)
+     * @param {Function} rand - Optional seeded stream (defaults to Math.random)
      */
-    createLaunchSmoke(x, y, color = '#ff6600') {
+    createLaunchSmoke(x, y, color = '#ff6600', rand = Math.random) {
         if (!weather.smokeEnabled) return;
 
         const emitter = new SmokeEmitter(x, y, {
             color: color,
-            isHot: true  // Launch smoke starts hot with glow
+            isHot: true,  // Launch smoke starts hot with glow
+            rand: rand
         });
         emitter.startEmit(0.4);  // Short burst for launch
         this.emitters.push(emitter);
@@ -285,33 +897,46 @@ class SmokeManager {
      * @param {number} y - Y position
      * @param {number} intensity - Smoke intensity multiplier
      * @param {string} color - Firework primary color (hex) for tinting
+     * @param {Function} rand - Optional seeded stream (defaults to Math.random)
      */
-    createBurstSmoke(x, y, intensity = 1, color = null) {
+    createBurstSmoke(x, y, intensity = 1, color = null, rand = Math.random) {
         if (!weather.smokeEnabled) return;
 
+        // The burst lights the smoke already hanging around it
+        const light = color ? parseStarColor(color) : { r: 255, g: 220, b: 170 };
+        this.lights.push({ x: x, y: y, r: light.r, g: light.g, b: light.b, strength: Math.min(1, intensity), age: 0 });
+        if (this.lights.length > SMOKE_MAX_LIGHTS) this.lights.shift();
+
         // Create several smoke particles at burst location
-        const count = Math.floor(5 * intensity * weather.smokeDensity);
+        const count = Math.floor(5 * intensity * getSmokeDensity());
         for (let i = 0; i < count; i++) {
             const particle = new SmokeParticle(
-                x + (Math.random() - 0.5) * 30,
-                y + (Math.random() - 0.5) * 30,
+                x + (rand() - 0.5) * 30,
+                y + (rand() - 0.5) * 30,
                 {
                     color: color,
-                    isHot: true  // Burst smoke starts hot and glowing
+                    isHot: true,  // Burst smoke starts hot and glowing
+                    rand: rand
                 }
             );
             particle.size *= 1.5;  // Bigger smoke for bursts
             particle.lifetime *= 1.2;
             // Hot smoke starts with higher alpha for visible glow
-            particle.maxAlpha = 0.35 + Math.random() * 0.15;
+            particle.maxAlpha = 0.35 + rand() * 0.15;
             particle.alpha = particle.maxAlpha;
             this.burstSmoke.push(particle);
         }
     }
 
     update(dt) {
+        this.lights.forEach(l => { l.age += dt; });
+        this.lights = this.lights.filter(l => l.age < SMOKE_LIGHT_LIFE);
+
+        // Last frame's curtain drifts on before this frame's puffs settle
+        this.volume.update(dt);
+
         // Update emitters
-        this.emitters.forEach(e => e.update(dt));
+        this.emitters.forEach(e => e.update(dt, this.volume));
 
         // Remove finished emitters (no particles left)
         this.emitters = this.emitters.filter(e =>
@@ -319,18 +944,27 @@ class SmokeManager {
         );
 
         // Update burst smoke
-        this.burstSmoke.forEach(p => p.update(dt));
-        this.burstSmoke = this.burstSmoke.filter(p => !p.isDead());
+        this.burstSmoke = settleSmokePuffs(this.burstSmoke, dt, this.volume, SMOKE_BURST_SETTLE);
     }
 
     draw(ctx) {
         if (!weather.smokeEnabled) return;
 
+        // The curtain hangs behind the fresh puffs
+        this.volume.draw(ctx, this.lights);
+
         // Draw emitter smoke (behind fireworks)
-        this.emitters.forEach(e => e.draw(ctx));
+        this.emitters.forEach(e => e.draw(ctx, this.lights));
 
         // Draw burst smoke
-        this.burstSmoke.forEach(p => p.draw(ctx));
+        this.burstSmoke.forEach(p => p.draw(ctx, this.lights));
+    }
+
+    /**
+     * Smoke particles alive, emitters and bursts together
+     */
+    getParticleCount() {
+        return this.emitters.reduce((sum, e) => sum + e.particles.length, this.burstSmoke.length);
     }
 
     /**
@@ -340,12 +974,136 @@ class SmokeManager {
         this.emitters.forEach(e => e.clear());
         this.emitters = [];
         this.burstSmoke = [];
+        this.volume.clear();
+        this.lights = [];
     }
 }
 
 // Global smoke manager instance
 let smokeManager = null;
 
+// ── Smoke visibility ────────────────────────────────────────────────
+
+const SMOKE_FORECAST_AHEAD = 4000; // Show time looked ahead (ms)
+const SMOKE_FORECAST_EVERY = 0.5;  // Seconds between looks
+const SMOKE_HIDE_DENSITY = 0.5;    // Curtain this thick hides a burst
+
+// Upcoming shells the curtain will be over when they burst
+const smokeForecast = {
+    timer: 0,
+    hidden: new Set(), // Event ids
+    shells: 0,         // Shells among them (each cake shot counts)
+    firstBurst: null   // The soonest of their burst times (ms)
+};
+
+/**
+ * Where and when each burst of an event goes off: every cake shot, and
+ * every break of each shell, from the same spot. Shells climb along their
+ * tube's lean (the event's angle, the launcher's tilt, the cake pattern)
+ * and a little with the wind, as Firework does.
+ * @returns {Array} [{ shot, time (ms), x, y }]
+ */
+function getEventBursts(event, launcher) {
+    const launch = launcher.getLaunchPosition();
+    const profile = getHeightProfile(event.height);
+    const flight = getFlightTime(event.height);
+    const angle = launcher.getLaunchAngle(event.angle);
+    const breakTimes = [0];
+    (event.breaks || []).forEach(b => breakTimes.push(breakTimes[breakTimes.length - 1] + b.delay));
+
+    const shots = event.cake ? getCakeShots(event) : [null];
+    const bursts = [];
+    shots.forEach((shot, index) => {
+        const lean = shot ? normalizeLaunchAngle(angle + shot.angleOffset) : angle;
+        const x = launch.x + (Math.tan(lean * Math.PI / 180) * profile.launchSpeed +
+            getWindForce(profile.burstY) * 0.3) * flight;
+        const burst = (shot ? shot.time : event.time) + flight * 1000;
+        breakTimes.forEach(at => bursts.push({ shot: index, time: burst + at * 1000, x: x, y: profile.burstY }));
+    });
+    return bursts;
+}
+
+/**
+ * While the show plays, look a few seconds ahead for shells that will
+ * burst inside the smoke the wind is carrying toward them
+ * @param {number} dt - Wall-clock seconds since the last frame
+ */
+function updateSmokeForecast(dt) {
+    smokeForecast.timer -= dt;
+    if (smokeForecast.timer > 0) return;
+    smokeForecast.timer = SMOKE_FORECAST_EVERY;
+
+    const hidden = new Set();
+    let shells = 0;
+    let firstBurst = null;
+    if (weather.smokeEnabled && smokeManager && smokeManager.volume.active && show.isPlaying) {
+        const now = show.currentTime;
+        show.events.forEach(event => {
+            if (isGroundEffect(event.type)) return;
+            // Skip events whose bursts are all past or too far off
+            const last = event.time + getCakeSpan(event.cake) +
+                (getFlightTime(event.height) + getShellBreakSpan(event.breaks)) * 1000;
+            if (last <= now || event.time + getFlightTime(event.height) * 1000 > now + SMOKE_FORECAST_AHEAD) return;
+            const launcher = show.launcherManager.getLauncherById(event.launcherId);
+            if (!launcher || !launcher.enabled) return;
+
+            const hiddenShots = new Set();
+            getEventBursts(event, launcher).forEach(burst => {
+                if (burst.time <= now || burst.time > now + SMOKE_FORECAST_AHEAD) return;
+                const lead = (burst.time - now) / 1000;
+                if (smokeManager.volume.forecastAt(burst.x, burst.y, lead) < SMOKE_HIDE_DENSITY) return;
+                hiddenShots.add(burst.shot);
+                if (firstBurst === null || burst.time < firstBurst) firstBurst = burst.time;
+            });
+            if (hiddenShots.size > 0) {
+                hidden.add(event.id);
+                shells += hiddenShots.size;
+            }
+        });
+    }
+
+    const changed = hidden.size !== smokeForecast.hidden.size ||
+        [...hidden].some(id => !smokeForecast.hidden.has(id));
+    smokeForecast.hidden = hidden;
+    smokeForecast.shells = shells;
+    smokeForecast.firstBurst = firstBurst;
+    if (changed) markSmokeHiddenEvents();
+}
+
+/**
+ * Flag the timeline markers of the shells the smoke will hide
+ */
+function markSmokeHiddenEvents() {
+    document.querySelectorAll('.event-marker').forEach(marker => {
+        marker.classList.toggle('smoke-hidden', smokeForecast.hidden.has(marker.dataset.eventId));
+    });
+}
+
+/**
+ * Warn over the stage's top-right corner while shells are about to burst
+ * in the smoke
+ * @param {CanvasRenderingContext2D} target - Live canvas context
+ * @param {number} scale - Buffer pixels per logical unit
+ */
+function drawSmokeWarning(target, scale) {
+    const count = smokeForecast.shells;
+    if (count === 0) return;
+
+    const soon = Math.max(0, (smokeForecast.firstBurst - show.currentTime) / 1000);
+    const text = `Smoke will hide ${count} shell${count === 1 ? '' : 's'} (next in ${soon.toFixed(1)}s)`;
+
+    target.save();
+    target.setTransform(scale, 0, 0, scale, 0, 0);
+    target.font = '11px "Courier New", monospace';
+    target.textBaseline = 'top';
+    const width = target.measureText(text).width + 12;
+    target.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    target.fillRect(LOGIC_WIDTH - 8 - width, 8, width, 20);
+    target.fillStyle = '#f1c40f';
+    target.fillText(text, LOGIC_WIDTH - 2 - width, 13);
+    target.restore();
+}
+
 /**
  * Initialize the weather system
  */
@@ -364,14 +1122,49 @@ function initWeather() {
         windSpeedSlider.addEventListener('input', function() {
             weather.windSpeed = parseInt(this.value);
             windSpeedLabel.textContent = this.value + '%';
-            markDirty();
+            windChanged();
         });
     }
 
     if (windDirection) {
         windDirection.addEventListener('change', function() {
             weather.windDirection = this.value === 'left' ? -1 : 1;
-            markDirty();
+            windChanged();
+        });
+    }
+
+    const gustSlider = document.getElementById('wind-gusts');
+    if (gustSlider) {
+        gustSlider.addEventListener('input', function() {
+            weather.gusts = parseInt(this.value);
+            document.getElementById('wind-gusts-label').textContent = this.value + '%';
+            windChanged();
+        });
+    }
+
+    const layersToggle = document.getElementById('wind-layers');
+    if (layersToggle) {
+        layersToggle.addEventListener('change', function() {
+            weather.windLayers = this.checked;
+            syncWindAloftControls();
+            windChanged();
+        });
+    }
+
+    const highSpeedSlider = document.getElementById('high-wind-speed');
+    if (highSpeedSlider) {
+        highSpeedSlider.addEventListener('input', function() {
+            weather.highWindSpeed = parseInt(this.value);
+            document.getElementById('high-wind-speed-label').textContent = this.value + '%';
+            windChanged();
+        });
+    }
+
+    const highDirection = document.getElementById('high-wind-direction');
+    if (highDirection) {
+        highDirection.addEventListener('change', function() {
+            weather.highWindDirection = this.value === 'left' ? -1 : 1;
+            windChanged();
         });
     }
 
@@ -391,6 +1184,86 @@ function initWeather() {
             markDirty();
         });
     }
+
+    const rainSlider = document.getElementById('rain-intensity');
+    if (rainSlider) {
+        rainSlider.addEventListener('input', function() {
+            weather.rain = parseInt(this.value);
+            document.getElementById('rain-intensity-label').textContent = this.value + '%';
+            markDirty();
+        });
+    }
+
+    const fogSlider = document.getElementById('fog-density');
+    if (fogSlider) {
+        fogSlider.addEventListener('input', function() {
+            weather.fog = parseInt(this.value);
+            document.getElementById('fog-density-label').textContent = this.value + '%';
+            markDirty();
+        });
+    }
+
+    const cloudsToggle = document.getElementById('clouds-enabled');
+    if (cloudsToggle) {
+        cloudsToggle.addEventListener('change', function() {
+            weather.clouds = this.checked;
+            syncCloudControls();
+            markDirty();
+        });
+    }
+
+    const cloudHeightSlider = document.getElementById('cloud-height');
+    if (cloudHeightSlider) {
+        cloudHeightSlider.addEventListener('input', function() {
+            weather.cloudHeight = parseInt(this.value);
+            syncCloudControls();
+            markDirty();
+        });
+    }
+}
+
+/**
+ * Show the cloud height only with the deck on, naming what it hides
+ */
+function syncCloudControls() {
+    const cloudControl = document.querySelector('.cloud-control');
+    if (cloudControl) {
+        cloudControl.style.display = weather.clouds ? 'flex' : 'none';
+    }
+    const label = document.getElementById('cloud-height-label');
+    if (label) {
+        label.textContent = describeCloudDeck();
+    }
+}
+
+/**
+ * A wind setting changed: drop the memoized wind, redraw the curve
+ */
+function windChanged() {
+    invalidateWind();
+    if (typeof drawWindTimeline === 'function') drawWindTimeline();
+    markDirty();
+}
+
+/**
+ * Show the aloft speed and direction only while the layers are apart
+ */
+function syncWindAloftControls() {
+    document.querySelectorAll('.wind-aloft-control').forEach(row => {
+        row.style.display = weather.windLayers ? 'flex' : 'none';
+    });
+}
+
+/**
+ * Tidy loaded or edited keyframes: in show time order, values within ±100
+ */
+function normalizeWindKeys(keys) {
+    if (!Array.isArray(keys)) return [];
+    const clamp = v => Math.max(-100, Math.min(100, Math.round(Number(v) || 0)));
+    return keys
+        .filter(k => k && isFinite(k.time))
+        .map(k => ({ time: Math.max(0, Math.round(k.time)), low: clamp(k.low), high: clamp(k.high !== undefined ? k.high : k.low) }))
+        .sort((a, b) => a.time - b.time);
 }
 
 /**
@@ -400,6 +1273,15 @@ function getWeatherSettings() {
     return {
         windSpeed: weather.windSpeed,
         windDirection: weather.windDirection === 1 ? 'right' : 'left',
+        windLayers: weather.windLayers,
+        highWindSpeed: weather.highWindSpeed,
+        highWindDirection: weather.highWindDirection === 1 ? 'right' : 'left',
+        windKeys: weather.windKeys.map(k => ({ time: k.time, low: k.low, high: k.high })),
+        gusts: weather.gusts,
+        rain: weather.rain,
+        fog: weather.fog,
+        clouds: weather.clouds,
+        cloudHeight: weather.cloudHeight,
         smokeEnabled: weather.smokeEnabled,
         smokeDensity: weather.smokeDensity
     };
@@ -413,8 +1295,19 @@ function loadWeatherSettings(settings) {
 
     weather.windSpeed = settings.windSpeed || 0;
     weather.windDirection = settings.windDirection === 'left' ? -1 : 1;
+    // Older projects have one wind for the whole sky and the whole show
+    weather.windLayers = !!settings.windLayers;
+    weather.highWindSpeed = settings.highWindSpeed !== undefined ? settings.highWindSpeed : weather.windSpeed;
+    weather.highWindDirection = (settings.highWindDirection || settings.windDirection) === 'left' ? -1 : 1;
+    weather.windKeys = normalizeWindKeys(settings.windKeys);
+    weather.gusts = settings.gusts || 0;
+    weather.rain = settings.rain || 0;
+    weather.fog = settings.fog || 0;
+    weather.clouds = !!settings.clouds;
+    weather.cloudHeight = settings.cloudHeight || 250;
     weather.smokeEnabled = settings.smokeEnabled || false;
     weather.smokeDensity = settings.smokeDensity || 3;
+    invalidateWind();
 
     // Update UI
     const windSpeedSlider = document.getElementById('wind-speed');
@@ -431,6 +1324,44 @@ function loadWeatherSettings(settings) {
     if (windDirectionSelect) {
         windDirectionSelect.value = weather.windDirection === 1 ? 'right' : 'left';
     }
+    const gustSlider = document.getElementById('wind-gusts');
+    if (gustSlider) {
+        gustSlider.value = weather.gusts;
+        document.getElementById('wind-gusts-label').textContent = weather.gusts + '%';
+    }
+    const layersToggle = document.getElementById('wind-layers');
+    if (layersToggle) {
+        layersToggle.checked = weather.windLayers;
+    }
+    const highSpeedSlider = document.getElementById('high-wind-speed');
+    if (highSpeedSlider) {
+        highSpeedSlider.value = weather.highWindSpeed;
+        document.getElementById('high-wind-speed-label').textContent = weather.highWindSpeed + '%';
+    }
+    const highDirectionSelect = document.getElementById('high-wind-direction');
+    if (highDirectionSelect) {
+        highDirectionSelect.value = weather.highWindDirection === 1 ? 'right' : 'left';
+    }
+    syncWindAloftControls();
+    const rainSlider = document.getElementById('rain-intensity');
+    if (rainSlider) {
+        rainSlider.value = weather.rain;
+        document.getElementById('rain-intensity-label').textContent = weather.rain + '%';
+    }
+    const fogSlider = document.getElementById('fog-density');
+    if (fogSlider) {
+        fogSlider.value = weather.fog;
+        document.getElementById('fog-density-label').textContent = weather.fog + '%';
+    }
+    const cloudsToggle = document.getElementById('clouds-enabled');
+    if (cloudsToggle) {
+        cloudsToggle.checked = weather.clouds;
+    }
+    const cloudHeightSlider = document.getElementById('cloud-height');
+    if (cloudHeightSlider) {
+        cloudHeightSlider.value = weather.cloudHeight;
+    }
+    syncCloudControls();
     if (smokeEnabledCheck) {
         smokeEnabledCheck.checked = weather.smokeEnabled;
     }
@@ -440,4 +1371,11 @@ function loadWeatherSettings(settings) {
     if (smokeControl) {
         smokeControl.style.display = weather.smokeEnabled ? 'flex' : 'none';
     }
+
+    // A show with a wind curve opens with the curve on view
+    if (typeof setWindCurveVisible === 'function' && weather.windKeys.length > 0) {
+        setWindCurveVisible(true);
+    } else if (typeof drawWindTimeline === 'function') {
+        drawWindTimeline();
+    }
 }
@@ -0,0 +1,302 @@
+/**
+ * WebM Muxer - packs encoded WebCodecs chunks into a playable .webm file.
+ *
+ * Just enough Matroska for our exports: one video track (VP8/VP9), an
+ * optional Opus audio track, and SimpleBlocks grouped into clusters that
+ * start on video keyframes. Everything is kept in memory and written out
+ * in one go by finalize(), so the segment and cluster sizes are exact.
+ */
+
+// Element IDs used below
+const EBML_IDS = {
+    EBML: 0x1A45DFA3,
+    EBMLVersion: 0x4286,
+    EBMLReadVersion: 0x42F7,
+    EBMLMaxIDLength: 0x42F2,
+    EBMLMaxSizeLength: 0x42F3,
+    DocType: 0x4282,
+    DocTypeVersion: 0x4287,
+    DocTypeReadVersion: 0x4285,
+    Segment: 0x18538067,
+    Info: 0x1549A966,
+    TimecodeScale: 0x2AD7B1,
+    Duration: 0x4489,
+    MuxingApp: 0x4D80,
+    WritingApp: 0x5741,
+    Tracks: 0x1654AE6B,
+    TrackEntry: 0xAE,
+    TrackNumber: 0xD7,
+    TrackUID: 0x73C5,
+    TrackType: 0x83,
+    CodecID: 0x86,
+    CodecPrivate: 0x63A2,
+    SeekPreRoll: 0x56BB,
+    DefaultDuration: 0x23E383,
+    Video: 0xE0,
+    PixelWidth: 0xB0,
+    PixelHeight: 0xBA,
+    Audio: 0xE1,
+    SamplingFrequency: 0xB5,
+    Channels: 0x9F,
+    Cluster: 0x1F43B675,
+    Timecode: 0xE7,
+    SimpleBlock: 0xA3
+};
+
+const WEBM_VIDEO_TRACK = 1;
+const WEBM_AUDIO_TRACK = 2;
+
+// Clusters hold at most this much time (block timecodes are int16 ms)
+const WEBM_MAX_CLUSTER_MS = 30000;
+
+class WebMMuxer {
+    /**
+     * @param {Object} options
+     * @param {number} options.width - Frame width in pixels
+     * @param {number} options.height - Frame height in pixels
+     * @param {number} options.frameRate - Frames per second
+     * @param {string} options.codecId - Matroska codec id ('V_VP8' or 'V_VP9')
+     */
+    constructor(options) {
+        this.width = options.width;
+        this.height = options.height;
+        this.frameRate = options.frameRate;
+        this.codecId = options.codecId;
+        this.audio = null;     // { sampleRate, channels, codecPrivate }
+        this.blocks = [];      // { track, timeMs, key, data }
+        this.durationMs = 0;
+    }
+
+    /**
+     * Add a chunk from a VideoEncoder output callback
+     */
+    addVideoChunk(chunk) {
+        this.addChunk(WEBM_VIDEO_TRACK, chunk, chunk.type === 'key');
+    }
+
+    /**
+     * Add a chunk from an AudioEncoder output callback. The first chunk's
+     * metadata carries the Opus header the track needs.
+     */
+    addAudioChunk(chunk, meta) {
+        if (meta && meta.decoderConfig && this.audio) {
+            const desc = meta.decoderConfig.description;
+            if (desc) {
+                this.audio.codecPrivate = desc instanceof ArrayBuffer
+                    ? new Uint8Array(desc)
+                    : new Uint8Array(desc.buffer, desc.byteOffset, desc.byteLength);
+            }
+        }
+        this.addChunk(WEBM_AUDIO_TRACK, chunk, true);
+    }
+
+    /**
+     * Declare the Opus audio track (call before adding audio chunks)
+     */
+    setAudioTrack(sampleRate, channels) {
+        this.audio = { sampleRate: sampleRate, channels: channels, codecPrivate: null };
+    }
+
+    addChunk(track, chunk, key) {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        const timeMs = chunk.timestamp / 1000;
+        this.blocks.push({ track: track, timeMs: timeMs, key: key, data: data });
+        const end = timeMs + (chunk.duration || 0) / 1000;
+        if (end > this.durationMs) this.durationMs = end;
+    }
+
+    /**
+     * Write the file
+     * @returns {Blob}
+     */
+    finalize() {
+        const header = ebmlElement(EBML_IDS.EBML, [
+            ebmlUint(EBML_IDS.EBMLVersion, 1),
+            ebmlUint(EBML_IDS.EBMLReadVersion, 1),
+            ebmlUint(EBML_IDS.EBMLMaxIDLength, 4),
+            ebmlUint(EBML_IDS.EBMLMaxSizeLength, 8),
+            ebmlString(EBML_IDS.DocType, 'webm'),
+            ebmlUint(EBML_IDS.DocTypeVersion, 4),
+            ebmlUint(EBML_IDS.DocTypeReadVersion, 2)
+        ]);
+
+        const info = ebmlElement(EBML_IDS.Info, [
+            ebmlUint(EBML_IDS.TimecodeScale, 1000000), // 1 ms
+            ebmlFloat(EBML_IDS.Duration, this.durationMs),
+            ebmlString(EBML_IDS.MuxingApp, 'FireworksDesigner'),
+            ebmlString(EBML_IDS.WritingApp, 'FireworksDesigner')
+        ]);
+
+        const tracks = [ebmlElement(EBML_IDS.TrackEntry, [
+            ebmlUint(EBML_IDS.TrackNumber, WEBM_VIDEO_TRACK),
+            ebmlUint(EBML_IDS.TrackUID, WEBM_VIDEO_TRACK),
+            ebmlUint(EBML_IDS.TrackType, 1),
+            ebmlString(EBML_IDS.CodecID, this.codecId),
+            ebmlUint(EBML_IDS.DefaultDuration, Math.round(1e9 / this.frameRate)),
+            ebmlElement(EBML_IDS.Video, [
+                ebmlUint(EBML_IDS.PixelWidth, this.width),
+                ebmlUint(EBML_IDS.PixelHeight, this.height)
+            ])
+        ])];
+
+        const hasAudio = this.audio && this.blocks.some(b => b.track === WEBM_AUDIO_TRACK);
+        if (hasAudio) {
+            tracks.push(ebmlElement(EBML_IDS.TrackEntry, [
+                ebmlUint(EBML_IDS.TrackNumber, WEBM_AUDIO_TRACK),
+                ebmlUint(EBML_IDS.TrackUID, WEBM_AUDIO_TRACK),
+                ebmlUint(EBML_IDS.TrackType, 2),
+                ebmlString(EBML_IDS.CodecID, 'A_OPUS'),
+                ebmlBytes(EBML_IDS.CodecPrivate,
+                    this.audio.codecPrivate || buildOpusHead(this.audio.sampleRate, this.audio.channels)),
+                ebmlUint(EBML_IDS.SeekPreRoll, 80000000),
+                ebmlElement(EBML_IDS.Audio, [
+                    ebmlFloat(EBML_IDS.SamplingFrequency, this.audio.sampleRate),
+                    ebmlUint(EBML_IDS.Channels, this.audio.channels)
+                ])
+            ]));
+        }
+
+        const parts = [info, ebmlElement(EBML_IDS.Tracks, tracks)];
+        this.buildClusters(hasAudio).forEach(c => parts.push(c));
+
+        const segmentSize = parts.reduce((sum, p) => sum + p.length, 0);
+        const segmentHead = concatBytes([ebmlId(EBML_IDS.Segment), ebmlSize(segmentSize)]);
+
+        return new Blob([header, segmentHead, ...parts], { type: 'video/webm' });
+    }
+
+    /**
+     * Interleave blocks by time and group them into clusters. A new cluster
+     * starts at each video keyframe (so players can seek to it) and before
+     * the relative block timecode would overflow.
+     */
+    buildClusters(hasAudio) {
+        const blocks = this.blocks
+            .filter(b => hasAudio || b.track === WEBM_VIDEO_TRACK)
+            .map((b, i) => ({ b: b, i: i }))
+            .sort((a, z) => (a.b.timeMs - z.b.timeMs) || (a.b.track - z.b.track) || (a.i - z.i))
+            .map(e => e.b);
+
+        const clusters = [];
+        let current = null;
+
+        const flush = () => {
+            if (!current) return;
+            clusters.push(ebmlElement(EBML_IDS.Cluster, [
+                ebmlUint(EBML_IDS.Timecode, current.start),
+                ...current.blocks
+            ]));
+            current = null;
+        };
+
+        blocks.forEach(block => {
+            const t = Math.round(block.timeMs);
+            const isVideoKey = block.track === WEBM_VIDEO_TRACK && block.key;
+            if (current && ((isVideoKey && current.blocks.length > 0) || t - current.start > WEBM_MAX_CLUSTER_MS)) {
+                flush();
+            }
+            if (!current) current = { start: t, blocks: [] };
+
+            const rel = t - current.start;
+            const head = new Uint8Array(4);
+            head[0] = 0x80 | block.track;     // Track number as a 1-byte vint
+            head[1] = (rel >> 8) & 0xFF;       // Signed 16-bit relative timecode
+            head[2] = rel & 0xFF;
+            head[3] = block.key ? 0x80 : 0x00; // Keyframe flag
+            current.blocks.push(ebmlBytes(EBML_IDS.SimpleBlock, concatBytes([head, block.data])));
+        });
+        flush();
+
+        return clusters;
+    }
+}
+
+// ── EBML encoding ───────────────────────────────────────────────────
+
+function concatBytes(arrays) {
+    const total = arrays.reduce((sum, a) => sum + a.length, 0);
+    const out = new Uint8Array(total);
+    let offset = 0;
+    arrays.forEach(a => {
+        out.set(a, offset);
+        offset += a.length;
+    });
+    return out;
+}
+
+/**
+ * Element IDs already include their length marker; write them as-is
+ */
+function ebmlId(id) {
+    const length = id > 0xFFFFFF ? 4 : id > 0xFFFF ? 3 : id > 0xFF ? 2 : 1;
+    const out = new Uint8Array(length);
+    for (let i = length - 1; i >= 0; i--) {
+        out[i] = id & 0xFF;
+        id = Math.floor(id / 256);
+    }
+    return out;
+}
+
+/**
+ * Data size as a variable-length integer (shortest form that fits)
+ */
+function ebmlSize(size) {
+    let length = 1;
+    while (length < 8 && size >= Math.pow(2, 7 * length) - 1) length++;
+    const out = new Uint8Array(length);
+    let value = size;
+    for (let i = length - 1; i >= 0; i--) {
+        out[i] = value % 256;
+        value = Math.floor(value / 256);
+    }
+    out[0] |= 1 << (8 - length);
+    return out;
+}
+
+function ebmlElement(id, children) {
+    const payload = concatBytes(children);
+    return concatBytes([ebmlId(id), ebmlSize(payload.length), payload]);
+}
+
+function ebmlBytes(id, bytes) {
+    return concatBytes([ebmlId(id), ebmlSize(bytes.length), bytes]);
+}
+
+function ebmlUint(id, value) {
+    const bytes = [];
+    do {
+        bytes.unshift(value % 256);
+        value = Math.floor(value / 256);
+    } while (value > 0);
+    return ebmlBytes(id, new Uint8Array(bytes));
+}
+
+function ebmlFloat(id, value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return ebmlBytes(id, bytes);
+}
+
+function ebmlString(id, str) {
+    const bytes = new Uint8Array(str.length);
+    for (let i = 0; i < str.length; i++) bytes[i] = str.charCodeAt(i) & 0x7F;
+    return ebmlBytes(id, bytes);
+}
+
+/**
+ * Minimal OpusHead identification header, for encoders that don't
+ * supply one in their decoder config
+ */
+function buildOpusHead(sampleRate, channels) {
+    const head = new Uint8Array(19);
+    const view = new DataView(head.buffer);
+    'OpusHead'.split('').forEach((c, i) => { head[i] = c.charCodeAt(0); });
+    head[8] = 1;                          // Version
+    head[9] = channels;
+    view.setUint16(10, 312, true);        // Pre-skip (libopus default)
+    view.setUint32(12, sampleRate, true); // Original input rate
+    view.setInt16(16, 0, true);           // Output gain
+    head[18] = 0;                         // Channel mapping family
+    return head;
+}
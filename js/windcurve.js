@@ -0,0 +1,251 @@
+/**
+ * Wind Curve - the wind's keyframes, edited under the timeline
+ *
+ * The strip plots the wind along the show: above the middle line it blows
+ * right, below it left, and the distance from the line is its speed. The
+ * ground wind is a solid line with round keys, the wind aloft (when set
+ * apart) a dashed line with square keys, and the seeded gusts a faint
+ * band over the ground line. Click to add a key, drag a key to move it in
+ * time and change its speed, double-click a key to remove it.
+ */
+
+const WIND_CURVE_HIT = 7; // Pointer distance that grabs a key (px)
+
+const windCurve = {
+    visible: false,
+    drag: null // { key, layer: 'low' | 'high' } while a key is dragged
+};
+
+/**
+ * Show or hide the strip under the timeline
+ */
+function setWindCurveVisible(visible) {
+    windCurve.visible = visible;
+
+    const strip = document.getElementById('timeline-wind-strip');
+    if (strip) strip.classList.toggle('visible', visible);
+    const toggle = document.getElementById('wind-curve-visible');
+    if (toggle) toggle.checked = visible;
+    drawWindTimeline();
+}
+
+/**
+ * The strip's canvas and the show time it covers, or null while hidden
+ */
+function getWindCurveView() {
+    const canvas = document.getElementById('timeline-wind');
+    if (!canvas || !windCurve.visible || !show || !show.duration) return null;
+
+    const view = typeof getTimelineView === 'function' ? getTimelineView() : null;
+    const startMs = view ? view.startMs : 0;
+    return {
+        canvas: canvas,
+        timeline: view,
+        startMs: startMs,
+        msPerPx: ((view ? view.endMs : show.duration) - startMs) / canvas.width,
+        mid: canvas.height / 2,
+        span: canvas.height / 2 - 3
+    };
+}
+
+/**
+ * Draw the wind along the visible part of the show
+ */
+function drawWindTimeline() {
+    const canvas = document.getElementById('timeline-wind');
+    if (!canvas || !windCurve.visible) return;
+
+    const view = typeof getTimelineView === 'function' ? getTimelineView() : null;
+    if (view) {
+        canvas.style.left = view.left + 'px';
+        canvas.style.width = view.width + 'px';
+        if (canvas.width !== Math.round(view.width)) canvas.width = Math.round(view.width);
+    }
+
+    const ctx2 = canvas.getContext('2d');
+    ctx2.clearRect(0, 0, canvas.width, canvas.height);
+
+    const curve = getWindCurveView();
+    if (!curve) return;
+    const { startMs, msPerPx, mid, span } = curve;
+    const xAt = ms => (ms - startMs) / msPerPx;
+    const yAt = value => mid - (value / 100) * span;
+
+    // Calm line
+    ctx2.fillStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx2.fillRect(0, Math.round(mid), canvas.width, 1);
+
+    ctx2.font = '9px "Courier New", monospace';
+    ctx2.textBaseline = 'top';
+    ctx2.fillStyle = 'rgba(255, 255, 255, 0.35)';
+    ctx2.fillText('→', 3, 1);
+    ctx2.textBaseline = 'bottom';
+    ctx2.fillText('←', 3, canvas.height - 1);
+
+    // Gusts: how far each column's gust lifts the ground wind
+    if (weather.gusts > 0) {
+        ctx2.fillStyle = 'rgba(120, 200, 255, 0.18)';
+        for (let x = 0; x < canvas.width; x += 2) {
+            const t = startMs + x * msPerPx;
+            const y0 = yAt(getWindSetting(t).low);
+            const y1 = yAt(getWindAt(t).low);
+            ctx2.fillRect(x, Math.min(y0, y1), 2, Math.abs(y1 - y0));
+        }
+    }
+
+    const plot = (layer, style, dash) => {
+        ctx2.strokeStyle = style;
+        ctx2.lineWidth = 1.5;
+        ctx2.setLineDash(dash);
+        ctx2.beginPath();
+        for (let x = 0; x <= canvas.width; x += 2) {
+            const y = yAt(getWindSetting(startMs + x * msPerPx)[layer]);
+            if (x === 0) ctx2.moveTo(x, y);
+            else ctx2.lineTo(x, y);
+        }
+        ctx2.stroke();
+        ctx2.setLineDash([]);
+    };
+    if (weather.windLayers) plot('high', 'rgba(255, 190, 110, 0.85)', [4, 3]);
+    plot('low', 'rgba(120, 200, 255, 0.9)', []);
+
+    // Keys
+    weather.windKeys.forEach(key => {
+        const x = xAt(key.time);
+        if (x < -WIND_CURVE_HIT || x > canvas.width + WIND_CURVE_HIT) return;
+        if (weather.windLayers) {
+            ctx2.fillStyle = '#ffbe6e';
+            ctx2.fillRect(x - 3, yAt(key.high) - 3, 6, 6);
+        }
+        ctx2.fillStyle = '#78c8ff';
+        ctx2.beginPath();
+        ctx2.arc(x, yAt(key.low), 3.5, 0, Math.PI * 2);
+        ctx2.fill();
+    });
+}
+
+/**
+ * Where a pointer event falls on the strip: show time and wind value
+ */
+function windCurvePointer(e, curve) {
+    const rect = curve.canvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) * (curve.canvas.width / rect.width);
+    const y = (e.clientY - rect.top) * (curve.canvas.height / rect.height);
+    return {
+        x: x,
+        y: y,
+        time: Math.max(0, Math.min(show.duration, Math.round(curve.startMs + x * curve.msPerPx))),
+        value: Math.max(-100, Math.min(100, Math.round(((curve.mid - y) / curve.span) * 100)))
+    };
+}
+
+/**
+ * The key handle under the pointer: { key, layer } or null
+ */
+function findWindKeyAt(pos, curve) {
+    let best = null;
+    let bestDist = WIND_CURVE_HIT;
+    const layers = weather.windLayers ? ['low', 'high'] : ['low'];
+    weather.windKeys.forEach(key => {
+        const x = (key.time - curve.startMs) / curve.msPerPx;
+        layers.forEach(layer => {
+            const y = curve.mid - (key[layer] / 100) * curve.span;
+            const dist = Math.hypot(pos.x - x, pos.y - y);
+            if (dist < bestDist) {
+                bestDist = dist;
+                best = { key: key, layer: layer };
+            }
+        });
+    });
+    return best;
+}
+
+/**
+ * Set a key's value on a layer (without separate wind aloft, the aloft
+ * value follows the ground)
+ */
+function setWindKeyValue(key, layer, value) {
+    key[layer] = value;
+    if (!weather.windLayers) key.high = key.low;
+}
+
+function onWindCurvePointerDown(e) {
+    const curve = getWindCurveView();
+    if (!curve) return;
+    const pos = windCurvePointer(e, curve);
+
+    let hit = findWindKeyAt(pos, curve);
+    if (!hit) {
+        // A new key starts from the wind as it stands there, then takes
+        // the clicked value on the nearer line
+        const setting = getWindSetting(pos.time);
+        const key = { time: pos.time, low: Math.round(setting.low), high: Math.round(setting.high) };
+        const nearHigh = weather.windLayers &&
+            Math.abs(pos.value - setting.high) < Math.abs(pos.value - setting.low);
+        hit = { key: key, layer: nearHigh ? 'high' : 'low' };
+        setWindKeyValue(key, hit.layer, pos.value);
+        weather.windKeys.push(key);
+        weather.windKeys.sort((a, b) => a.time - b.time);
+        windChanged();
+    }
+
+    windCurve.drag = hit;
+    curve.canvas.setPointerCapture(e.pointerId);
+}
+
+function onWindCurvePointerMove(e) {
+    const curve = getWindCurveView();
+    if (!curve) return;
+    const pos = windCurvePointer(e, curve);
+
+    if (windCurve.drag) {
+        windCurve.drag.key.time = pos.time;
+        setWindKeyValue(windCurve.drag.key, windCurve.drag.layer, pos.value);
+        weather.windKeys.sort((a, b) => a.time - b.time);
+        invalidateWind();
+        drawWindTimeline();
+        return;
+    }
+
+    // Hovering names the wind at that moment
+    const wind = getWindSetting(pos.time);
+    const describe = value => value === 0 ? 'calm'
+        : `${Math.round(Math.abs(value))}% ${value < 0 ? 'left' : 'right'}`;
+    curve.canvas.title = `${formatTime(pos.time)}: ground ${describe(wind.low)}` +
+        (weather.windLayers ? `, aloft ${describe(wind.high)}` : '');
+}
+
+function onWindCurvePointerUp() {
+    if (!windCurve.drag) return;
+    windCurve.drag = null;
+    markDirty();
+}
+
+function onWindCurveDoubleClick(e) {
+    const curve = getWindCurveView();
+    if (!curve) return;
+
+    const hit = findWindKeyAt(windCurvePointer(e, curve), curve);
+    if (hit) {
+        weather.windKeys = weather.windKeys.filter(key => key !== hit.key);
+        windChanged();
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const canvas = document.getElementById('timeline-wind');
+    if (canvas) {
+        canvas.addEventListener('pointerdown', onWindCurvePointerDown);
+        canvas.addEventListener('pointermove', onWindCurvePointerMove);
+        canvas.addEventListener('pointerup', onWindCurvePointerUp);
+        canvas.addEventListener('pointercancel', onWindCurvePointerUp);
+        canvas.addEventListener('dblclick', onWindCurveDoubleClick);
+    }
+
+    const toggle = document.getElementById('wind-curve-visible');
+    if (toggle) {
+        toggle.addEventListener('change', function() {
+            setWindCurveVisible(this.checked);
+        });
+    }
+});